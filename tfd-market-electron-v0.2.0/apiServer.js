@@ -0,0 +1,259 @@
+// apiServer.js
+// Local HTTP/JSON API for other tools on the same machine, e.g. stream
+// overlays or scripts. It is off by default (Settings → Local API), only
+// listens on 127.0.0.1 and requires the token stored as api-token in the
+// userData folder, sent as "Authorization: Bearer <token>" or, for
+// EventSource clients that cannot set headers, as ?token=<token>.
+//
+//   GET  /api/searches              Search metrics (as in the debug console)
+//   POST /api/searches              Start a search; the body holds its filters
+//   GET  /api/searches/:id          Metrics and listings of one search
+//   POST /api/searches/:id/stop     Stop a search
+//   POST /api/searches/:id/retry    Re-run a search
+//   GET  /api/events[?searchId=N]   Server-Sent Events: search-updated,
+//                                   search-progress, search-queued, ...
+//
+// The operations themselves are supplied by main.js, so searches started
+// here behave exactly like those started from the hub.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MODULE_TYPES, PLATFORMS } = require('./cliSearch');
+
+const TOKEN_FILE_NAME = 'api-token';
+// Largest request body accepted, in bytes.
+const MAX_BODY_BYTES = 64 * 1024;
+// Interval of the comment lines that keep idle event streams open, in ms.
+const KEEPALIVE_INTERVAL = 15000;
+
+/**
+ * Read the API token from the userData folder, creating a random one the
+ * first time. Delete the file to issue a new token.
+ * @param {string} userDataDir
+ * @returns {string}
+ */
+function loadApiToken(userDataDir) {
+  const tokenPath = path.join(userDataDir, TOKEN_FILE_NAME);
+  try {
+    const token = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (token) return token;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.writeFileSync(tokenPath, token, { encoding: 'utf8', mode: 0o600 });
+  return token;
+}
+
+/**
+ * Error answered with its HTTP status.
+ * @param {number} status
+ * @param {string} message
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Compare the request's token with the expected one in constant time.
+ * @param {http.IncomingMessage} req
+ * @param {URL} url
+ * @param {string} token
+ */
+function isAuthorized(req, url, token) {
+  const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const given = Buffer.from(header ? header[1].trim() : url.searchParams.get('token') || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Read and parse a JSON request body. An empty body gives {}.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(httpError(400, 'Body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (err) {
+        reject(httpError(400, `Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Stream search events to a client until it disconnects.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {function(function(string, Object)): function()} subscribe
+ *   Registers a listener and returns a function removing it
+ * @param {number|null} searchId Only events of this search, or all
+ */
+function streamEvents(req, res, subscribe, searchId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  });
+  res.write(': connected\n\n');
+  const unsubscribe = subscribe((channel, payload) => {
+    if (searchId !== null && payload.searchId !== searchId) return;
+    res.write(`event: ${channel}\ndata: ${JSON.stringify(payload)}\n\n`);
+  });
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+}
+
+/**
+ * Start the API server.
+ * @param {Object} options
+ * @param {number} options.port Port to listen on; 0 picks a free port
+ * @param {string} options.token Token clients must send
+ * @param {Object} options.operations Implemented by main.js:
+ *   listSearches() → metrics array; getSearch(id) → object or null;
+ *   startSearch(filters) → { searchId, queuePosition };
+ *   stopSearch(id) and retrySearch(id) → false for an unknown search;
+ *   subscribe(listener) → function removing the listener
+ * @param {function(string, Object=)} [options.log] Receives request log lines
+ * @returns {Promise<{url: string, port: number, close: function(): Promise<void>}>}
+ */
+function startApiServer(options) {
+  const { token, operations } = options;
+  const log = options.log || (() => {});
+  const streams = new Set();
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    // Browser-based overlays call the API from another origin; the token
+    // still has to be sent with every request
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+      });
+      res.end();
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      sendJson(res, 401, { error: 'Missing or invalid token' });
+      return;
+    }
+    handle(req, res, url).catch((err) => {
+      if (!err.status) log(`API ${req.method} ${url.pathname} failed: ${err.message}`, { level: 'error' });
+      if (!res.headersSent) sendJson(res, err.status || 500, { error: err.message });
+      else res.end();
+    });
+  });
+
+  async function handle(req, res, url) {
+    const parts = url.pathname.replace(/\/+$/, '').split('/').slice(1);
+    if (parts[0] !== 'api') throw httpError(404, 'Not found');
+    log(`API ${req.method} ${url.pathname}`, { level: 'debug' });
+    if (parts[1] === 'events' && parts.length === 2) {
+      if (req.method !== 'GET') throw httpError(405, 'Method not allowed');
+      const searchId = url.searchParams.has('searchId') ? Number(url.searchParams.get('searchId')) : null;
+      streams.add(res);
+      req.on('close', () => streams.delete(res));
+      streamEvents(req, res, operations.subscribe, searchId);
+      return;
+    }
+    if (parts[1] !== 'searches') throw httpError(404, 'Not found');
+    if (parts.length === 2) {
+      if (req.method === 'GET') {
+        sendJson(res, 200, operations.listSearches());
+      } else if (req.method === 'POST') {
+        // Filters are form values, so only strings and numbers are kept.
+        // The platform defaults to all, as in the hub and the command line
+        const filters = { platform: 'all' };
+        Object.entries(await readJsonBody(req)).forEach(([key, value]) => {
+          if (typeof value === 'string' || typeof value === 'number') filters[key] = String(value);
+        });
+        filters.moduleType = (filters.moduleType || '').toLowerCase();
+        filters.platform = filters.platform.toLowerCase();
+        if (!MODULE_TYPES.includes(filters.moduleType)) {
+          throw httpError(400, `moduleType must be one of ${MODULE_TYPES.join(', ')}`);
+        }
+        if (!PLATFORMS.includes(filters.platform)) {
+          throw httpError(400, `platform must be one of ${PLATFORMS.join(', ')}`);
+        }
+        sendJson(res, 201, operations.startSearch(filters));
+      } else {
+        throw httpError(405, 'Method not allowed');
+      }
+      return;
+    }
+    const id = Number(parts[2]);
+    if (!Number.isInteger(id) || parts.length > 4) throw httpError(404, 'Not found');
+    if (parts.length === 3) {
+      if (req.method !== 'GET') throw httpError(405, 'Method not allowed');
+      const search = operations.getSearch(id);
+      if (!search) throw httpError(404, `No search ${id}`);
+      sendJson(res, 200, search);
+      return;
+    }
+    const action = { stop: operations.stopSearch, retry: operations.retrySearch }[parts[3]];
+    if (!action) throw httpError(404, 'Not found');
+    if (req.method !== 'POST') throw httpError(405, 'Method not allowed');
+    if ((await action(id)) === false) throw httpError(404, `No search ${id}`);
+    sendJson(res, 200, { searchId: id });
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, '127.0.0.1', () => {
+      server.off('error', reject);
+      // Errors after startup (e.g. a failing socket) are logged; without a
+      // listener they would be thrown and crash the app
+      server.on('error', (err) => log(`API server error: ${err.message}`, { level: 'error' }));
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/api`,
+        port,
+        close: () => new Promise(r => {
+          // Open event streams would keep the server from closing
+          streams.forEach(res => res.end());
+          server.close(() => r());
+        })
+      });
+    });
+  });
+}
+
+module.exports = { loadApiToken, startApiServer };
@@ -0,0 +1,158 @@
+// cliSearch.js
+// Headless search mode: runs one search from the command line without the
+// hub window and writes the listings to a file or stdout, e.g.
+//
+//   electron . --search --type ancestor --name "Ancestral Singularity" --platform pc --out results.json
+//
+// This module parses the arguments and maps outcomes to exit codes; the
+// search itself runs through the normal pipeline in main.js.
+
+const { SEARCH_ERROR_CODES } = require('./searchErrors');
+
+// Process exit codes of a headless search.
+const EXIT_CODES = {
+  OK: 0,
+  // Unexpected failure, e.g. the search window crashed
+  ERROR: 1,
+  // Invalid or missing arguments
+  USAGE: 2,
+  // The run did not finish within --timeout
+  TIMEOUT: 3,
+  // The search found no listings: none matched the filters, or the market
+  // returned none within the no-results timeout
+  NO_RESULTS: 4,
+  // The market page did not load
+  LOAD_FAILED: 5,
+  // The page no longer matches the selector profile
+  PAGE_CHANGED: 6
+};
+
+const USAGE = `Usage: electron . --search --type <ancestor|trigger> [options]
+
+  --name <name>          Module name; repeat or separate with commas to search several
+  --platform <platform>  all (default), pc, ps or xbox
+  --socket <type>        Socket type (ancestor modules)
+  --price-min <n>        --price-max <n>   Price range
+  --rank-min <n>         --rank-max <n>    Required MR range
+  --out <file>           Write to a file instead of stdout
+  --format <json|csv>    Output format; defaults to the --out extension, else json
+  --timeout <seconds>    Give up after this long (exit code ${EXIT_CODES.TIMEOUT})
+  --mock-market          Search the bundled mock market
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 timeout, 4 no results, 5 page did not load, 6 page changed`;
+
+// Values the hub's search form offers; the local API accepts the same.
+const PLATFORMS = ['all', 'pc', 'ps', 'xbox'];
+const MODULE_TYPES = ['ancestor', 'trigger'];
+const FORMATS = ['json', 'csv'];
+// Options that take a value, mapped to the search filter they set.
+const FILTER_OPTIONS = {
+  type: 'moduleType',
+  'module-type': 'moduleType',
+  name: 'moduleName',
+  platform: 'platform',
+  socket: 'socketType',
+  'price-min': 'priceMin',
+  'price-max': 'priceMax',
+  'rank-min': 'rankMin',
+  'rank-max': 'rankMax'
+};
+const OTHER_OPTIONS = ['out', 'format', 'timeout'];
+
+/**
+ * Error for invalid arguments; the message is printed with the usage.
+ * @param {string} message
+ */
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'usage';
+  return err;
+}
+
+/**
+ * Parse the arguments of a headless search. Accepts "--key value" and
+ * "--key=value"; arguments not listed in USAGE (Electron's own, the app
+ * path) are ignored.
+ *
+ * @param {Array<string>} argv process.argv
+ * @returns {Object|null} { filters, out, format, timeoutMs }, or null when
+ *   --search is not given
+ * @throws {Error} With code 'usage' for invalid arguments
+ */
+function parseSearchArgs(argv) {
+  if (!argv.includes('--search')) return null;
+  const filters = { platform: 'all' };
+  const names = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    const key = match[1];
+    if (!(key in FILTER_OPTIONS) && !OTHER_OPTIONS.includes(key)) continue;
+    let value = match[2];
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) throw usageError(`--${key} needs a value`);
+      i++;
+    }
+    if (key === 'name') {
+      names.push(value);
+    } else if (key in FILTER_OPTIONS) {
+      filters[FILTER_OPTIONS[key]] = value;
+    } else {
+      options[key] = value;
+    }
+  }
+  if (names.length > 0) filters.moduleName = names.join('\n');
+  filters.moduleType = (filters.moduleType || '').toLowerCase();
+  filters.platform = filters.platform.toLowerCase();
+  if (!MODULE_TYPES.includes(filters.moduleType)) {
+    throw usageError(`--type must be one of ${MODULE_TYPES.join(', ')}`);
+  }
+  if (!PLATFORMS.includes(filters.platform)) {
+    throw usageError(`--platform must be one of ${PLATFORMS.join(', ')}`);
+  }
+  for (const key of ['priceMin', 'priceMax', 'rankMin', 'rankMax']) {
+    if (filters[key] !== undefined && isNaN(parseFloat(filters[key]))) {
+      throw usageError(`${key} must be a number`);
+    }
+  }
+  const out = options.out || null;
+  const format = (options.format || (out && out.toLowerCase().endsWith('.csv') ? 'csv' : 'json')).toLowerCase();
+  if (!FORMATS.includes(format)) throw usageError(`--format must be one of ${FORMATS.join(', ')}`);
+  let timeoutMs = null;
+  if (options.timeout !== undefined) {
+    const seconds = parseFloat(options.timeout);
+    if (!(seconds > 0)) throw usageError('--timeout must be a positive number of seconds');
+    timeoutMs = seconds * 1000;
+  }
+  return { filters, out, format, timeoutMs };
+}
+
+/**
+ * Exit code for a failed search.
+ * @param {Object} error Error description from the 'search-updated' payload
+ * @returns {number}
+ */
+function exitCodeForError(error) {
+  switch (error && error.code) {
+    case SEARCH_ERROR_CODES.ZERO_RESULTS:
+      return EXIT_CODES.NO_RESULTS;
+    case SEARCH_ERROR_CODES.LOAD_FAILED:
+      return EXIT_CODES.LOAD_FAILED;
+    case SEARCH_ERROR_CODES.SELECTOR_NOT_FOUND:
+    case SEARCH_ERROR_CODES.PARSE_ERROR:
+      return EXIT_CODES.PAGE_CHANGED;
+    default:
+      return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  PLATFORMS,
+  MODULE_TYPES,
+  parseSearchArgs,
+  exitCodeForError
+};
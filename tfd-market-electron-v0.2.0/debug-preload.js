@@ -5,9 +5,26 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('debugAPI', {
-  /** Request the current debug info: logs and metrics. */
-  requestInfo: () => ipcRenderer.invoke('get-debug-info'),
-  /** Listen for real-time debug log updates. */
+  /**
+   * Request the buffered log entries and current metrics. Pass the last
+   * sequence number seen to get only newer entries.
+   */
+  requestInfo: (sinceSeq) => ipcRenderer.invoke('get-debug-info', sinceSeq),
+  /** Request the current search metrics. */
+  requestMetrics: () => ipcRenderer.invoke('get-debug-metrics'),
+  /** Return the active selector profile. */
+  getSelectorProfile: () => ipcRenderer.invoke('get-selector-profile'),
+  /** Reload the selector profile from disk and return it. */
+  reloadSelectors: () => ipcRenderer.invoke('reload-selectors'),
+  /**
+   * Export a diagnostics bundle covering all searches. Resolves to the
+   * bundle folder, or null when the user cancelled.
+   */
+  exportDiagnostics: () => ipcRenderer.invoke('export-diagnostics', null),
+  /**
+   * Listen for new debug log entries. The callback receives one entry:
+   * { seq, timestamp, level, message, searchId, stage, data }.
+   */
   onDebugLog: (callback) => {
     ipcRenderer.on('debug-log', (_event, payload) => callback(payload));
   }
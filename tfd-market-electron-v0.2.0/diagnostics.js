@@ -0,0 +1,181 @@
+// diagnostics.js
+// Writes a diagnostics bundle for bug reports: a folder holding the debug
+// log (and, for the whole app, the log files on disk), search metrics,
+// the filters of the searches involved, version information, the active
+// selector profile and failure snapshots. Seller names can be redacted;
+// they are replaced by stable placeholders ("seller-1", ...) in every text
+// file, and screenshots, which cannot be redacted, are left out.
+
+const fs = require('fs');
+const path = require('path');
+
+// Names shorter than this are only redacted in seller name fields, not
+// wherever they appear: they would mostly match unrelated text such as
+// stat abbreviations ("HP", "MR"). Two-letter names are common on the
+// Korean servers, so they cannot simply be skipped.
+const MIN_FREE_TEXT_NAME_LENGTH = 3;
+
+// JSON fields holding a seller name, also when the JSON is itself quoted
+// inside a log message
+const SELLER_FIELD_PATTERN = /(\\?"(?:sellerName|seller)\\?"\s*:\s*\\?")([^"\\]*)(\\?")/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a function that replaces the given seller names in a string.
+ * Every name is replaced in seller name fields of JSON and, given the
+ * nickname class, in the nickname elements of page HTML. Names of at
+ * least three characters are replaced in any other text as well, but
+ * only where they stand on their own, not inside a longer word; longer
+ * names are tried first so a name containing another is not split.
+ * @param {Iterable<string>} sellerNames
+ * @param {Object} [options]
+ * @param {string} [options.nicknameClass] Class of the seller name element
+ *   in page HTML, e.g. "nickname"
+ * @returns {function(string): string}
+ */
+function createRedactor(sellerNames, options = {}) {
+  const names = Array.from(new Set(Array.from(sellerNames).map(name => String(name || '').trim()).filter(Boolean)))
+    .sort((a, b) => b.length - a.length);
+  if (names.length === 0) return (text) => text;
+  const placeholders = new Map(names.map((name, index) => [name, `seller-${index + 1}`]));
+  const replaceField = (match, before, value, after) => {
+    const placeholder = placeholders.get(value.trim());
+    return placeholder ? `${before}${placeholder}${after}` : match;
+  };
+  const nicknamePattern = options.nicknameClass
+    ? new RegExp(`(class="[^"]*\\b${escapeRegExp(options.nicknameClass)}\\b[^"]*"[^>]*>)([^<]+)(<)`, 'g')
+    : null;
+  const freeText = names.filter(name => name.length >= MIN_FREE_TEXT_NAME_LENGTH).map(escapeRegExp);
+  const freeTextPattern = freeText.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${freeText.join('|')})(?![\\p{L}\\p{N}_])`, 'gu')
+    : null;
+  return (text) => {
+    let result = text.replace(SELLER_FIELD_PATTERN, replaceField);
+    if (nicknamePattern) result = result.replace(nicknamePattern, replaceField);
+    if (freeTextPattern) result = result.replace(freeTextPattern, match => placeholders.get(match));
+    return result;
+  };
+}
+
+/**
+ * Seller names shown in saved page HTML: the text of elements carrying
+ * the nickname class.
+ * @param {string} html
+ * @param {string} className Class of the nickname element, e.g. "nickname"
+ * @returns {Array<string>}
+ */
+function nicknamesInHtml(html, className) {
+  const pattern = new RegExp(`class="[^"]*\\b${escapeRegExp(className)}\\b[^"]*"[^>]*>([^<]+)<`, 'g');
+  const names = [];
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    names.push(match[1].trim());
+  }
+  return names;
+}
+
+/**
+ * Copy a failure snapshot folder into the bundle, redacting its text
+ * files. With redaction the screenshot is skipped.
+ * @param {string} sourceDir
+ * @param {string} targetDir
+ * @param {function(string): string|null} redact
+ */
+async function copySnapshot(sourceDir, targetDir, redact) {
+  await fs.promises.mkdir(targetDir, { recursive: true });
+  for (const name of await fs.promises.readdir(sourceDir)) {
+    const source = path.join(sourceDir, name);
+    if (name.endsWith('.png')) {
+      if (!redact) await fs.promises.copyFile(source, path.join(targetDir, name));
+      continue;
+    }
+    const text = await fs.promises.readFile(source, 'utf8');
+    await fs.promises.writeFile(path.join(targetDir, name), redact ? redact(text) : text, 'utf8');
+  }
+}
+
+/**
+ * Write a diagnostics bundle.
+ *
+ * @param {string} parentDir Folder in which the bundle folder is created
+ * @param {Object} bundle
+ * @param {Object} bundle.info App and environment information
+ * @param {Array<Object>} bundle.logs Debug log entries (see logger.js)
+ * @param {Array<string>} [bundle.logFiles] Rotated JSONL log files to include
+ * @param {Array<Object>} bundle.metrics Output of getMetrics()
+ * @param {Array<Object>} bundle.searches { id, filters, ... } of the searches included
+ * @param {Object} bundle.selectorProfile The active selector profile
+ * @param {Array<string>} bundle.snapshotDirs Failure snapshot folders to include
+ * @param {Object} [options]
+ * @param {Array<string>} [options.redactSellers] Seller names to redact;
+ *   omit to keep names and screenshots
+ * @param {string} [options.nicknameClass] Class of the seller name element
+ *   in snapshot HTML; names found there are redacted as well, and the
+ *   text of these elements is always redacted
+ * @returns {Promise<string>} Path of the bundle folder
+ */
+async function writeDiagnosticsBundle(parentDir, bundle, options = {}) {
+  let redact = null;
+  if (options.redactSellers) {
+    const names = options.redactSellers.slice();
+    if (options.nicknameClass) {
+      for (const snapshotDir of bundle.snapshotDirs) {
+        try {
+          const html = await fs.promises.readFile(path.join(snapshotDir, 'results.html'), 'utf8');
+          names.push(...nicknamesInHtml(html, options.nicknameClass));
+        } catch (err) {
+          // no results HTML in this snapshot
+        }
+      }
+    }
+    redact = createRedactor(names, { nicknameClass: options.nicknameClass });
+  }
+  const stamp = new Date(bundle.info.createdAt || Date.now()).toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(parentDir, `tfd-diagnostics-${stamp}`);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const writeJson = (name, value) => {
+    const text = JSON.stringify(value, null, 2);
+    return fs.promises.writeFile(path.join(dir, name), redact ? redact(text) : text, 'utf8');
+  };
+  const logText = bundle.logs
+    .map(entry => [
+      new Date(entry.timestamp).toISOString(),
+      entry.level ? entry.level.toUpperCase().padEnd(5) : null,
+      entry.searchId !== null && entry.searchId !== undefined ? `[search ${entry.searchId}]` : null,
+      entry.message
+    ].filter(Boolean).join(' '))
+    .join('\n');
+
+  await writeJson('info.json', { ...bundle.info, redacted: !!redact });
+  await fs.promises.writeFile(path.join(dir, 'debug.log'), redact ? redact(logText) : logText, 'utf8');
+  for (const logFile of bundle.logFiles || []) {
+    try {
+      const text = await fs.promises.readFile(logFile, 'utf8');
+      await fs.promises.mkdir(path.join(dir, 'logs'), { recursive: true });
+      await fs.promises.writeFile(path.join(dir, 'logs', path.basename(logFile)), redact ? redact(text) : text, 'utf8');
+    } catch (err) {
+      // The file may have been rotated away in the meantime
+    }
+  }
+  await writeJson('metrics.json', bundle.metrics);
+  await writeJson('searches.json', bundle.searches);
+  await writeJson('selectors.json', bundle.selectorProfile);
+  for (const snapshotDir of bundle.snapshotDirs) {
+    try {
+      await copySnapshot(snapshotDir, path.join(dir, 'snapshots', path.basename(snapshotDir)), redact);
+    } catch (err) {
+      // The snapshot may have been pruned in the meantime
+    }
+  }
+  return dir;
+}
+
+module.exports = {
+  createRedactor,
+  nicknamesInHtml,
+  writeDiagnosticsBundle
+};
@@ -0,0 +1,90 @@
+// failureSnapshots.js
+// Saves what a search window looked like when its search failed: a
+// screenshot, the outer HTML of the results container and the error.
+// Each snapshot is a folder under "snapshots" in the userData folder so
+// it can be opened from the tab or attached to a bug report.
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR_NAME = 'snapshots';
+// Snapshots kept on disk; older ones are removed when a new one is saved.
+const MAX_SNAPSHOTS = 20;
+
+// Absolute path of the snapshot folder, set by initFailureSnapshots.
+let snapshotRoot = null;
+
+/**
+ * Point snapshots at the given userData folder.
+ * @param {string} userDataDir
+ */
+function initFailureSnapshots(userDataDir) {
+  snapshotRoot = path.join(userDataDir, SNAPSHOT_DIR_NAME);
+}
+
+/**
+ * Delete the oldest snapshot folders beyond MAX_SNAPSHOTS.
+ */
+async function pruneSnapshots() {
+  const names = (await fs.promises.readdir(snapshotRoot)).sort();
+  const excess = names.slice(0, Math.max(0, names.length - MAX_SNAPSHOTS));
+  for (const name of excess) {
+    await fs.promises.rm(path.join(snapshotRoot, name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Write a failure snapshot.
+ * @param {Object} snapshot
+ * @param {number} snapshot.searchId
+ * @param {Object} snapshot.error Error description (see searchErrors.describeSearchError)
+ * @param {Object} [snapshot.filters]
+ * @param {Buffer|null} [snapshot.image] PNG screenshot of the window
+ * @param {string|null} [snapshot.html] Outer HTML of the results container
+ * @returns {Promise<string>} Folder of the snapshot
+ */
+async function saveFailureSnapshot(snapshot) {
+  if (!snapshotRoot) throw new Error('Failure snapshots have not been initialised');
+  const capturedAt = Date.now();
+  const dir = path.join(snapshotRoot, `${capturedAt}-search-${snapshot.searchId}`);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const files = [];
+  if (snapshot.image) {
+    await fs.promises.writeFile(path.join(dir, 'screenshot.png'), snapshot.image);
+    files.push('screenshot.png');
+  }
+  if (snapshot.html) {
+    await fs.promises.writeFile(path.join(dir, 'results.html'), snapshot.html, 'utf8');
+    files.push('results.html');
+  }
+  const info = {
+    searchId: snapshot.searchId,
+    capturedAt,
+    error: snapshot.error,
+    filters: snapshot.filters || {},
+    files
+  };
+  await fs.promises.writeFile(path.join(dir, 'error.json'), JSON.stringify(info, null, 2), 'utf8');
+  await pruneSnapshots();
+  return dir;
+}
+
+/**
+ * Folders of all saved snapshots, oldest first.
+ * @returns {Promise<Array<string>>}
+ */
+async function listFailureSnapshots() {
+  if (!snapshotRoot) throw new Error('Failure snapshots have not been initialised');
+  try {
+    return (await fs.promises.readdir(snapshotRoot)).sort().map(name => path.join(snapshotRoot, name));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+module.exports = {
+  initFailureSnapshots,
+  saveFailureSnapshot,
+  listFailureSnapshots
+};
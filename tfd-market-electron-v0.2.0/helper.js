@@ -28,6 +28,22 @@
   // Module name filter (ancestor mode only)
   let moduleNames = [];
   let selectedModuleNames = [];
+  // Only show listings tagged new, repriced or gone by a re-run
+  let changesOnly = false;
+  // Listings of the cards on screen, filtered and sorted by updateResults;
+  // this is what the Export menu writes
+  let shownModules = [];
+
+  /**
+   * Stable key of a listing. Listings from a running search carry the key
+   * main.js assigned; saved searches from older versions are keyed here
+   * the same way (see listingIdentity.js).
+   * @param {Object} mod
+   * @returns {string}
+   */
+  function listingKeyOf(mod) {
+    return mod.listingKey || window.TFDListingIdentity.listingKey(mod);
+  }
 
   // -------------------------------------------------------------------------
   // Global filter state for persistent profiles
@@ -510,6 +526,22 @@
       sortSelect.value = 'priceDesc';
     }
 
+    // "Changes only" toggle, shown once a re-run has tagged the listings.
+    // Assigned rather than added so repeated initialisation keeps a
+    // single handler bound to the latest updateResults.
+    const changesOnlyToggle = document.getElementById('changesOnlyToggle');
+    const changesOnlyGroup = document.getElementById('changesOnlyGroup');
+    if (changesOnlyToggle && changesOnlyGroup) {
+      const hasChanges = data.some(mod => mod.change !== undefined);
+      changesOnlyGroup.classList.toggle('hidden', !hasChanges);
+      if (!hasChanges) changesOnly = false;
+      changesOnlyToggle.checked = changesOnly;
+      changesOnlyToggle.onchange = () => {
+        changesOnly = changesOnlyToggle.checked;
+        updateResults();
+      };
+    }
+
     // Hook seller name filter
     if (sellerFilterInput) {
       sellerFilterInput.addEventListener('input', () => {
@@ -708,46 +740,12 @@
     let ageNumbers = [];
     // Track age values expressed purely in hours (e.g. "19 hours ago")
     let ageHoursNumbers = [];
-    // Helper to convert registration date strings like "4 days ago" or "5 hours ago"
-    // into a numeric age in days.  Hours are converted to fractional days.
-    function parseAgeToDays(str) {
-      if (!str || typeof str !== 'string') return null;
-      const lower = str.toLowerCase();
-      // Match number and unit (day(s) or hour(s))
-      const m = lower.match(/(\d+(?:\.\d+)?)\s*(day|days|hour|hours)/);
-      if (m) {
-        const val = parseFloat(m[1]);
-        const unit = m[2];
-        if (unit.startsWith('day')) {
-          return val;
-        } else if (unit.startsWith('hour')) {
-          return val / 24;
-        }
-      }
-      return null;
-    }
-
-    // Parse a registration date string and return the age in hours.
-    // Supports strings like "3 days ago" or "12 hours ago". If the time
-    // is specified in days, this returns 0 since day-based items have no
-    // specific hour component. For hour-based strings, it returns the
-    // numeric hour count. Returns null for unrecognised formats.
-    function parseAgeToHours(str) {
-      if (!str || typeof str !== 'string') return null;
-      const lower = str.toLowerCase();
-      const m = lower.match(/(\d+(?:\.\d+)?)\s*(day|days|hour|hours)/);
-      if (m) {
-        const val = parseFloat(m[1]);
-        const unit = m[2];
-        if (unit.startsWith('hour')) {
-          return val;
-        } else if (unit.startsWith('day')) {
-          // Convert days to hours (1 day = 24 hours) so that hour filters
-          // correctly exclude day-based entries when a narrow hour range is set.
-          return val * 24;
-        }
-      }
-      return null;
+    // Age of a listing in hours. The parsers read it from the relative
+    // registration date in the market's language ("4 days ago", "vor 5
+    // Stunden", ...); listings saved before that are read as English.
+    function listingAgeHours(mod) {
+      if (typeof mod.ageHours === 'number') return mod.ageHours;
+      return TFDLocales.ageInHours(mod.regDate, TFDLocales.getLocale('en'));
     }
     data.forEach(mod => {
       // Required mastery rank (some modules may omit this).  Convert strings to integers when possible.
@@ -774,10 +772,11 @@
       // Status
       if (mod.sellerStatus) statusSet.add(mod.sellerStatus);
       // Age in days and hours
-      const ageDays = parseAgeToDays(mod.regDate);
+      const ageHours = listingAgeHours(mod);
+      // Hours are converted to fractional days
+      const ageDays = ageHours !== null ? ageHours / 24 : null;
       mod.__ageDays = ageDays;
       if (ageDays !== null) ageNumbers.push(ageDays);
-      const ageHours = parseAgeToHours(mod.regDate);
       mod.__ageHours = ageHours;
       if (ageHours !== null) ageHoursNumbers.push(ageHours);
     });
@@ -990,133 +989,6 @@
       });
     }
 
-    // After setting up UI components, render initial module name chips and determine mode
-    if (typeof renderSelectedModuleNames === 'function') {
-      renderSelectedModuleNames();
-    }
-    setupMode();
-
-    function updateResults() {
-      // Collect active filters
-      const activeCats = getActiveCategories();
-      cardsContainer.innerHTML = '';
-      const filtered = modules.filter(mod => {
-        // Category filtering
-        const catMatch = activeCats.length === 0 || activeCats.includes(mod.category);
-        // Attribute filtering (for ancestor modules).  A module must
-        // include each selected attribute and satisfy any per‑attribute
-        // min/max filters specified by the user.  The module's
-        // attrValues map contains average numeric values for each
-        // attribute, computed during initialization.
-        let attrMatch = true;
-        for (const attr of selectedAttrs) {
-          // Ensure the module has this attribute at all
-          if (!mod.attributes || !mod.attributes.includes(attr)) {
-            attrMatch = false;
-            break;
-          }
-          // Check min/max filters if provided
-          const range = selectedAttrRanges[attr] || {};
-          const val = mod.attrValues ? mod.attrValues[attr] : null;
-          if (range.min !== null && range.min !== undefined && !isNaN(range.min)) {
-            // Only apply min filter if a numeric value exists. If val is null, do not exclude.
-            if (val !== null && val !== undefined) {
-              if (val < range.min) {
-                attrMatch = false;
-                break;
-              }
-            }
-          }
-          if (range.max !== null && range.max !== undefined && !isNaN(range.max)) {
-            // Only apply max filter if a numeric value exists. If val is null, do not exclude.
-            if (val !== null && val !== undefined) {
-              if (val > range.max) {
-                attrMatch = false;
-                break;
-              }
-            }
-          }
-        }
-        // Socket filter
-        const socketMatch = selectedSockets.length === 0 || selectedSockets.includes(mod.socketType);
-        // Platform filter
-        const platformMatch = selectedPlatforms.length === 0 || selectedPlatforms.includes(mod.platform);
-        // Price filter
-        let priceMatch = true;
-        const priceNum = parseFloat((mod.price || '').replace(/[^0-9.]/g, ''));
-        if (!isNaN(priceNum)) {
-          if (priceMinVal !== null && priceNum < priceMinVal) priceMatch = false;
-          if (priceMaxVal !== null && priceNum > priceMaxVal) priceMatch = false;
-        }
-        // Required MR filter (disabled in trigger mode)
-        let mrMatch = true;
-        if (!isTriggerMode) {
-          if (mrMinVal !== null) {
-            if (mod.__mrVal === null || mod.__mrVal < mrMinVal) mrMatch = false;
-          }
-          if (mrMaxVal !== null) {
-            if (mod.__mrVal === null || mod.__mrVal > mrMaxVal) mrMatch = false;
-          }
-        }
-        // Reroll filter (disabled in trigger mode)
-        let rerollMatch = true;
-        if (!isTriggerMode) {
-          if (rerollMinVal !== null) {
-            if (mod.__rerollVal === null || mod.__rerollVal < rerollMinVal) rerollMatch = false;
-          }
-          if (rerollMaxVal !== null) {
-            if (mod.__rerollVal === null || mod.__rerollVal > rerollMaxVal) rerollMatch = false;
-          }
-        }
-        // Status filter
-        let statusMatch = true;
-        if (selectedStatuses.length > 0) {
-          // Compare case-insensitive
-          const currentStatus = mod.sellerStatus ? mod.sellerStatus.toLowerCase() : '';
-          statusMatch = selectedStatuses.some(s => s.toLowerCase() === currentStatus);
-        }
-        // Age filter (in days)
-        let ageMatch = true;
-        if (ageMinVal !== null) {
-          if (mod.__ageDays === null || mod.__ageDays < ageMinVal) ageMatch = false;
-        }
-        if (ageMaxVal !== null) {
-          if (mod.__ageDays === null || mod.__ageDays > ageMaxVal) ageMatch = false;
-        }
-        // Age filter (in hours)
-        let ageHoursMatch = true;
-        if (ageHoursMinVal !== null) {
-          if (mod.__ageHours === null || mod.__ageHours < ageHoursMinVal) ageHoursMatch = false;
-        }
-        if (ageHoursMaxVal !== null) {
-          if (mod.__ageHours === null || mod.__ageHours > ageHoursMaxVal) ageHoursMatch = false;
-        }
-        // Seller name filter (case-insensitive contains)
-        let sellerMatch = true;
-        if (sellerFilterVal) {
-          const nm = (mod.sellerName || '').toLowerCase();
-          if (!nm.includes(sellerFilterVal)) sellerMatch = false;
-        }
-        // Trigger attribute min/max filtering when in trigger mode
-        let triggerMatch = true;
-        if (isTriggerMode && triggerAttrMap) {
-          for (const attr in triggerFilterValues) {
-            const filters = triggerFilterValues[attr] || {};
-            const value = mod.triggerValues ? mod.triggerValues[attr] : null;
-            if (filters.min !== null && filters.min !== undefined) {
-              if (value === null || value === undefined || value < filters.min) {
-                triggerMatch = false;
-                break;
-              }
-            }
-            if (filters.max !== null && filters.max !== undefined) {
-              if (value === null || value === undefined || value > filters.max) {
-                triggerMatch = false;
-                break;
-              }
-            }
-          }
-
     // ---------------- Module Name Filter (Ancestor mode only) ----------------
     // Render module name suggestion dropdown. Shows all module names when query is empty.
     function renderModuleSuggestions() {
@@ -1203,24 +1075,59 @@
         updateResults();
       });
     }
-        }
-        // Negative attribute filter: exclude modules that have any selected negative attribute
-        let negFilterMatch = true;
-        if (selectedNegAttrs.length > 0) {
-          for (const attr of selectedNegAttrs) {
-            if (mod.negAttributes && mod.negAttributes.includes(attr)) {
-              negFilterMatch = false;
-              break;
-            }
-          }
-        }
-        // Module name filter: only apply in ancestor mode. If any module names are selected, include only those names.
-        let moduleMatch = true;
-        if (!isTriggerMode && selectedModuleNames.length > 0) {
-          moduleMatch = selectedModuleNames.includes(mod.name);
-        }
-        return catMatch && attrMatch && socketMatch && platformMatch && priceMatch && mrMatch && rerollMatch && statusMatch && ageMatch && ageHoursMatch && triggerMatch && negFilterMatch && sellerMatch && moduleMatch;
+
+    // After setting up UI components, render initial module name chips and determine mode
+    if (typeof renderSelectedModuleNames === 'function') {
+      renderSelectedModuleNames();
+    }
+    setupMode();
+
+    /**
+     * The filters a profile saves, in the shape of profileManager.getState()
+     * without the sort order. updateResults passes it to
+     * TFDWatchRules.matchesProfile, the same check watch rules use.
+     */
+    function currentProfileState() {
+      return {
+        priceMin: priceMinVal,
+        priceMax: priceMaxVal,
+        mrMin: mrMinVal,
+        mrMax: mrMaxVal,
+        rerollMin: rerollMinVal,
+        rerollMax: rerollMaxVal,
+        ageMin: ageMinVal,
+        ageMax: ageMaxVal,
+        ageHoursMin: ageHoursMinVal,
+        ageHoursMax: ageHoursMaxVal,
+        seller: sellerFilterVal,
+        statuses: selectedStatuses.slice(),
+        attributes: selectedAttrs.slice(),
+        attributeRanges: JSON.parse(JSON.stringify(selectedAttrRanges)),
+        negAttributes: selectedNegAttrs.slice(),
+        moduleNames: selectedModuleNames.slice(),
+        triggerFilters: isTriggerMode ? JSON.parse(JSON.stringify(triggerFilterValues)) : null
+      };
+    }
+
+    function updateResults() {
+      // Collect active filters
+      const activeCats = getActiveCategories();
+      const profileState = currentProfileState();
+      cardsContainer.innerHTML = '';
+      const filtered = modules.filter(mod => {
+        // Category filtering
+        const catMatch = activeCats.length === 0 || activeCats.includes(mod.category);
+        // Socket filter
+        const socketMatch = selectedSockets.length === 0 || selectedSockets.includes(mod.socketType);
+        // Platform filter
+        const platformMatch = selectedPlatforms.length === 0 || selectedPlatforms.includes(mod.platform);
+        // Filters that are part of a profile are shared with watch rules
+        const profileMatch = TFDWatchRules.matchesProfile(mod, profileState, { triggerMode: isTriggerMode });
+        // Run-to-run changes
+        const changeMatch = !changesOnly || !!mod.change;
+        return catMatch && socketMatch && platformMatch && profileMatch && changeMatch;
       });
+      shownModules = filtered;
       if (filtered.length === 0) {
         const msg = document.createElement('div');
         msg.className = 'no-items';
@@ -1305,6 +1212,9 @@
         // Card wrapper and container
         const wrapper = document.createElement('div');
         wrapper.className = 'card-wrapper';
+        // Same key as runSearch's de-duplication so watch notifications can
+        // point at this card
+        wrapper.dataset.listingKey = listingKeyOf(mod);
         const card = document.createElement('div');
         card.className = 'module-card';
         // Header top: title (name) and right info (category + price)
@@ -1313,6 +1223,16 @@
         const title = document.createElement('h3');
         title.className = 'module-title';
         title.textContent = mod.name;
+        // Tag describing how the listing changed since the previous run
+        if (mod.change) {
+          const changeTag = document.createElement('span');
+          changeTag.className = 'change-tag change-' + mod.change;
+          if (mod.change === 'new') changeTag.textContent = 'New';
+          else if (mod.change === 'repriced') changeTag.textContent = 'Price changed (was ' + mod.previousPrice + ')';
+          else changeTag.textContent = 'Gone';
+          title.appendChild(changeTag);
+        }
+        if (mod.change === 'gone') wrapper.classList.add('card-gone');
         headerTop.appendChild(title);
         const headerRight = document.createElement('div');
         headerRight.style.display = 'flex';
@@ -1333,6 +1253,18 @@
           priceLab.textContent = priceString + ' Caliber';
         }
         headerRight.appendChild(priceLab);
+        // Price history for this module name, narrowed to the currently
+        // selected attributes that this module has
+        const historyIcon = document.createElement('span');
+        historyIcon.className = 'history-icon';
+        historyIcon.textContent = '📈';
+        historyIcon.title = 'Price history';
+        historyIcon.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const sharedAttrs = selectedAttrs.filter(attr => (mod.attributes || []).includes(attr));
+          if (window.priceHistoryView) window.priceHistoryView.open(mod.name, sharedAttrs);
+        });
+        headerRight.appendChild(historyIcon);
         headerTop.appendChild(headerRight);
         card.appendChild(headerTop);
         // Info container with badges
@@ -1423,9 +1355,8 @@
     if (typeof window !== 'undefined') {
       window.__updateResults = updateResults;
       window.__renderSelected = renderSelected;
-      // Expose age parsing helpers so appendModules can compute age values
-      window.__parseAgeToDays = parseAgeToDays;
-      window.__parseAgeToHours = parseAgeToHours;
+      // Expose the age helper so appendModules can compute age values
+      window.__listingAgeHours = listingAgeHours;
     }
   }
 
@@ -1439,7 +1370,7 @@
     /**
      * Append new modules to the existing dataset without resetting the UI.  This
      * function merges modules into the global `modules` array if they are not
-     * duplicates (based on name, price and sellerName), computes negative
+     * duplicates (based on their listing key), computes negative
      * attributes and attribute values for each new module, updates the global
      * attrRangeMap and negAttributes arrays, and triggers a results update.  It
      * preserves user-selected filters because it does not rebuild the filter UI.
@@ -1447,11 +1378,13 @@
      */
     window.appendModules = function(newData) {
       if (!Array.isArray(newData)) return;
+      const knownKeys = new Set(modules.map(listingKeyOf));
       newData.forEach(mod => {
         if (!mod || !mod.name) return;
-        // Deduplicate based on name, price and sellerName
-        const exists = modules.some(m => m.name === mod.name && m.price === mod.price && m.sellerName === mod.sellerName);
-        if (exists) return;
+        // Deduplicate based on the listing key
+        const key = listingKeyOf(mod);
+        if (knownKeys.has(key)) return;
+        knownKeys.add(key);
         // Initialise arrays if absent
         if (!mod.negAttributes) mod.negAttributes = [];
         if (!mod.attrValues) mod.attrValues = {};
@@ -1542,13 +1475,10 @@
         }
         mod.__rerollVal = rerollVal;
         // Compute age in days and hours using helpers exposed on the window.
-        if (typeof window !== 'undefined') {
-          if (typeof window.__parseAgeToDays === 'function') {
-            mod.__ageDays = window.__parseAgeToDays(mod.regDate);
-          }
-          if (typeof window.__parseAgeToHours === 'function') {
-            mod.__ageHours = window.__parseAgeToHours(mod.regDate);
-          }
+        if (typeof window !== 'undefined' && typeof window.__listingAgeHours === 'function') {
+          const ageHours = window.__listingAgeHours(mod);
+          mod.__ageHours = ageHours;
+          mod.__ageDays = ageHours !== null ? ageHours / 24 : null;
         }
         // If we are in trigger mode, compute numeric values for each stat and
         // update triggerAttrMap so that trigger attribute filters continue to
@@ -1650,30 +1580,10 @@
       },
       /** Capture all current filter values into an object */
       getState() {
-        const state = {
-          priceMin: priceMinVal,
-          priceMax: priceMaxVal,
-          mrMin: mrMinVal,
-          mrMax: mrMaxVal,
-          rerollMin: rerollMinVal,
-          rerollMax: rerollMaxVal,
-          ageMin: ageMinVal,
-          ageMax: ageMaxVal,
-          ageHoursMin: ageHoursMinVal,
-          ageHoursMax: ageHoursMaxVal,
-          seller: sellerFilterVal,
-          statuses: selectedStatuses.slice(),
-          attributes: selectedAttrs.slice(),
-          attributeRanges: JSON.parse(JSON.stringify(selectedAttrRanges)),
-          negAttributes: selectedNegAttrs.slice(),
-          moduleNames: selectedModuleNames.slice(),
-          triggerFilters: isTriggerMode ? JSON.parse(JSON.stringify(triggerFilterValues)) : null,
-          // Capture current sort selection from the dropdown if present
-          sort: (function() {
-            const sortEl = document.getElementById('sortSelect');
-            return sortEl ? sortEl.value : null;
-          })()
-        };
+        const state = currentProfileState();
+        // Capture current sort selection from the dropdown if present
+        const sortEl = document.getElementById('sortSelect');
+        state.sort = sortEl ? sortEl.value : null;
         return state;
       },
       /** Apply a saved state to the UI and internal variables */
@@ -2038,5 +1948,215 @@
     if (typeof window !== 'undefined') {
       window.profileManager = profileManager;
     }
+
+    /**
+     * Price History View
+     *
+     * Shows how the price of a module has moved across saved searches as a
+     * min/median/max chart and table. The data lives in the main process,
+     * so the request goes to the parent hub via postMessage and the answer
+     * comes back as a 'priceHistory' message.
+     */
+    const priceHistoryView = {
+      name: null,
+      attributes: [],
+      /** Open the view for a module name and the attributes it can be narrowed to */
+      open(name, attributes) {
+        const modal = document.getElementById('priceHistoryModal');
+        if (!modal || !name) return;
+        this.name = name;
+        this.attributes = attributes || [];
+        document.getElementById('priceHistoryTitle').textContent = name + ' – Price History';
+        const toggle = document.getElementById('priceHistoryAttrToggle');
+        const toggleGroup = document.getElementById('priceHistoryAttrGroup');
+        const toggleLabel = document.getElementById('priceHistoryAttrLabel');
+        if (this.attributes.length > 0) {
+          toggleGroup.classList.remove('hidden');
+          toggleLabel.textContent = 'Only listings with ' + this.attributes.join(', ');
+          toggle.checked = true;
+        } else {
+          toggleGroup.classList.add('hidden');
+          toggle.checked = false;
+        }
+        modal.classList.remove('hidden');
+        this.request();
+      },
+      /** Ask the hub for the history of the current module */
+      request() {
+        const toggle = document.getElementById('priceHistoryAttrToggle');
+        const attributes = toggle && toggle.checked ? this.attributes : [];
+        document.getElementById('priceHistoryChart').innerHTML = '';
+        document.getElementById('priceHistoryBody').innerHTML = '';
+        document.getElementById('priceHistoryEmpty').textContent = 'Loading…';
+        window.parent.postMessage({ type: 'priceHistoryRequest', name: this.name, attributes }, '*');
+      },
+      /** Render daily buckets: [{ day, min, median, max, count }] */
+      render(history) {
+        const chartEl = document.getElementById('priceHistoryChart');
+        const bodyEl = document.getElementById('priceHistoryBody');
+        const emptyEl = document.getElementById('priceHistoryEmpty');
+        chartEl.innerHTML = '';
+        bodyEl.innerHTML = '';
+        if (!Array.isArray(history) || history.length === 0) {
+          emptyEl.textContent = 'No saved listings for this module yet.';
+          return;
+        }
+        emptyEl.textContent = '';
+        // Build a simple SVG line chart with one line per statistic
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const width = 560;
+        const height = 180;
+        const pad = 36;
+        const low = Math.min(...history.map(h => h.min));
+        const high = Math.max(...history.map(h => h.max));
+        const span = high - low || 1;
+        const x = (i) => history.length === 1 ? width / 2 : pad + (i * (width - pad * 2)) / (history.length - 1);
+        const y = (v) => height - pad / 2 - ((v - low) / span) * (height - pad);
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+        svg.setAttribute('class', 'history-chart');
+        [['max', 'var(--negative)'], ['median', 'var(--accent-end)'], ['min', 'var(--positive)']].forEach(([key, colour]) => {
+          const line = document.createElementNS(svgNS, 'polyline');
+          line.setAttribute('points', history.map((h, i) => x(i) + ',' + y(h[key])).join(' '));
+          line.setAttribute('fill', 'none');
+          line.setAttribute('stroke', colour);
+          line.setAttribute('stroke-width', '2');
+          svg.appendChild(line);
+          history.forEach((h, i) => {
+            const dot = document.createElementNS(svgNS, 'circle');
+            dot.setAttribute('cx', x(i));
+            dot.setAttribute('cy', y(h[key]));
+            dot.setAttribute('r', '3');
+            dot.setAttribute('fill', colour);
+            const tip = document.createElementNS(svgNS, 'title');
+            tip.textContent = key + ': ' + h[key];
+            dot.appendChild(tip);
+            svg.appendChild(dot);
+          });
+        });
+        // Axis labels for the price range
+        [[high, y(high) + 4], [low, y(low) + 4]].forEach(([value, ty]) => {
+          const text = document.createElementNS(svgNS, 'text');
+          text.setAttribute('x', '2');
+          text.setAttribute('y', ty);
+          text.setAttribute('class', 'history-axis');
+          text.textContent = String(Math.round(value));
+          svg.appendChild(text);
+        });
+        chartEl.appendChild(svg);
+        // Table with one row per day, newest first
+        history.slice().reverse().forEach(h => {
+          const tr = document.createElement('tr');
+          [new Date(h.day).toLocaleDateString(), h.count, h.min, h.median, h.max].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+          });
+          bodyEl.appendChild(tr);
+        });
+      },
+      close() {
+        const modal = document.getElementById('priceHistoryModal');
+        if (modal) modal.classList.add('hidden');
+        this.name = null;
+      },
+      /** Attach listeners for the close button, the attribute toggle and replies */
+      initUI() {
+        const closeBtn = document.getElementById('priceHistoryClose');
+        const toggle = document.getElementById('priceHistoryAttrToggle');
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+        if (toggle) toggle.addEventListener('change', () => this.request());
+        window.addEventListener('message', (event) => {
+          const msg = event.data;
+          if (!msg || msg.type !== 'priceHistory' || !msg.query) return;
+          if (msg.query.name !== this.name) return;
+          this.render(msg.history);
+        });
+      }
+    };
+    priceHistoryView.initUI();
+    window.priceHistoryView = priceHistoryView;
+
+    // Scroll to and highlight a card when the hub asks for it, e.g. after
+    // a watch notification was clicked. Cards hidden by the current
+    // filters cannot be shown.
+    window.addEventListener('message', (event) => {
+      const msg = event.data;
+      if (!msg || msg.type !== 'focusListing') return;
+      const card = Array.from(document.querySelectorAll('.card-wrapper'))
+        .find(el => el.dataset.listingKey === msg.listingKey);
+      if (!card) return;
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      card.classList.add('card-highlight');
+      setTimeout(() => card.classList.remove('card-highlight'), 2500);
+    });
+
+    // Export menu in the results header: the cards on screen as a CSV or
+    // JSON file, or as a text table copied for Discord. Files are offered
+    // as downloads, which Electron turns into a save dialog.
+    const exportSelect = document.getElementById('exportSelect');
+    if (exportSelect) {
+      const download = (text, extension, type) => {
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = `tfd-market-${isTriggerMode ? 'trigger' : 'ancestor'}-${stamp}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      };
+      // The menu's placeholder option briefly reports how a copy went
+      const placeholder = exportSelect.options[0];
+      const placeholderText = placeholder.textContent;
+      let statusTimer = null;
+      const showExportStatus = (text) => {
+        placeholder.textContent = text;
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => { placeholder.textContent = placeholderText; }, 2500);
+      };
+      exportSelect.addEventListener('change', () => {
+        const format = exportSelect.value;
+        exportSelect.value = '';
+        const exporter = window.TFDListingExport;
+        if (!format || !exporter) return;
+        if (format === 'csv') {
+          download(exporter.toCsv(shownModules), 'csv', 'text/csv;charset=utf-8');
+        } else if (format === 'json') {
+          download(exporter.toRecordsJson(shownModules), 'json', 'application/json');
+        } else if (format === 'markdown') {
+          navigator.clipboard.writeText(exporter.toMarkdown(shownModules)).then(() => {
+            showExportStatus(`✔ Copied ${shownModules.length} listings`);
+          }).catch((err) => {
+            console.error('Failed to copy', err);
+            showExportStatus('✖ Copy failed');
+          });
+        }
+      });
+    }
+
+    // Session restore: report the filter and sort state to the hub after
+    // the user changes it, and apply the state the hub saved for this tab.
+    // A restored state waits until the profile manager has set up the
+    // panel (see market_helper.html), which would otherwise replace it
+    // with the default profile.
+    let filterStateTimer = null;
+    const reportFilterState = () => {
+      clearTimeout(filterStateTimer);
+      filterStateTimer = setTimeout(() => {
+        if (!window.__layoutReady || window.parent === window) return;
+        window.parent.postMessage({ type: 'filterState', state: profileManager.getState() }, '*');
+      }, 500);
+    };
+    ['input', 'change', 'click'].forEach(type => document.addEventListener(type, reportFilterState, true));
+    window.addEventListener('message', (event) => {
+      const msg = event.data;
+      if (!msg || msg.type !== 'applyFilterState' || !msg.state) return;
+      if (window.__profilesReady) {
+        profileManager.applyState(msg.state);
+      } else {
+        window.__restoredFilterState = msg.state;
+      }
+    });
   }
 })();
\ No newline at end of file
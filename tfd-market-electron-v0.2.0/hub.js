@@ -9,9 +9,107 @@ document.addEventListener('DOMContentLoaded', () => {
   // Reference the search form embedded in the sidebar
   const searchForm = document.getElementById('search-form');
 
-  // Keep track of open tabs. Keys are tab ids ("dashboard" or numeric search ids).
+  // List of saved searches in the sidebar
+  const historyList = document.getElementById('history-list');
+
+  // Keep track of open tabs. Keys are tab ids ("dashboard", numeric search
+  // ids or "history-<recordId>" for saved searches opened read-only).
   const tabs = {};
 
+  // Number of saved searches listed in the sidebar.
+  const HISTORY_LIMIT = 25;
+
+  // Delay before reporting changed tabs to the main process for session
+  // restore, in ms. Also set once the last session has been reopened, so
+  // the empty start-up layout never replaces it.
+  const SESSION_SAVE_DELAY = 1000;
+  let sessionSaveTimer = null;
+  let sessionRestored = false;
+
+  // Repeat intervals offered in the tab header, in minutes. Mirrors the
+  // "Repeat Every" select in the search form.
+  const REPEAT_OPTIONS = [
+    { minutes: 0, label: 'Once' },
+    { minutes: 5, label: 'Every 5 min' },
+    { minutes: 15, label: 'Every 15 min' },
+    { minutes: 30, label: 'Every 30 min' },
+    { minutes: 60, label: 'Every hour' }
+  ];
+
+  // Names of the search steps that report missing page controls.
+  const FAILURE_STEPS = {
+    moduleType: 'module type',
+    enterName: 'module name',
+    platform: 'platform'
+  };
+
+  // localStorage keys under which the helper's profileManager keeps saved
+  // filter profiles. The hub and helper iframes share the same origin, so
+  // the hub can read them to offer profiles as watch rules.
+  const PROFILE_STORAGE_KEYS = {
+    ancestor: 'tfd_ancestor_profiles',
+    trigger: 'tfd_trigger_profiles'
+  };
+
+  /**
+   * Saved filter profiles for a module type, keyed by profile name.
+   * @param {string} moduleType
+   * @returns {Object<string, Object>}
+   */
+  function loadFilterProfiles(moduleType) {
+    const key = moduleType === 'trigger' ? PROFILE_STORAGE_KEYS.trigger : PROFILE_STORAGE_KEYS.ancestor;
+    try {
+      return JSON.parse(localStorage.getItem(key) || '{}') || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * Build a tab title from a search's filters.
+   * @param {Object} filters
+   * @param {string} fallback Title used when no module name was entered
+   */
+  function searchTitle(filters, fallback) {
+    const names = filters ? moduleNameList(filters.moduleName) : [];
+    if (names.length === 0) return fallback;
+    const label = names.length > 1 ? `${names[0]} +${names.length - 1}` : names[0];
+    return `${label} (${filters.moduleType})`;
+  }
+
+  /**
+   * User-facing reason for a failed search.
+   * @param {Object} error Error from a 'search-updated' event ({ code, step, ... })
+   * @returns {string}
+   */
+  function describeFailure(error) {
+    switch (error.code) {
+      case 'load-failed':
+        return 'The market page could not be loaded.';
+      case 'selector-not-found':
+        return `The ${FAILURE_STEPS[error.step] || 'search'} step could not find its control on the market page.`;
+      case 'zero-results':
+        // The message names the configured no-results timeout
+        return `${error.message || 'No items were found'}.`;
+      case 'parse-error':
+        return 'The listings on the market page could not be read.';
+      case 'window-crashed':
+        return 'The search window crashed.';
+      default:
+        return 'An error occurred while fetching results.';
+    }
+  }
+
+  /**
+   * Split the module name field into its names. A batch search lists
+   * several names separated by newlines or commas.
+   * @param {string} value
+   * @returns {Array<string>}
+   */
+  function moduleNameList(value) {
+    return String(value || '').split(/[\n,]/).map(name => name.trim()).filter(Boolean);
+  }
+
   /**
    * Switch to a given tab ID. Hides other views and marks the tab
    * element as active.
@@ -35,18 +133,34 @@ document.addEventListener('DOMContentLoaded', () => {
     Array.from(tabBar.children).forEach(tab => {
       if (tab.dataset.tab === String(tabId)) {
         tab.classList.add('active');
+        // Viewing the tab acknowledges its watch matches
+        const badge = tab.querySelector('.tab-badge');
+        if (badge) {
+          badge.textContent = '';
+          badge.style.display = 'none';
+        }
       } else {
         tab.classList.remove('active');
       }
     });
+    // The active tab is restored too
+    scheduleSessionSave();
   }
 
   /**
    * Create a new tab and associated view for a search.
-   * @param {number} searchId
+   * @param {number|string} searchId
    * @param {string} title
+   * @param {string} moduleType
+   * @param {Object} [options]
+   * @param {boolean} [options.readOnly] Saved search: no stop/retry/debug controls
+   * @param {Array<Object>} [options.data] Listings to show immediately
+   * @param {number} [options.queuePosition] Position of a search waiting for a slot
+   * @param {boolean} [options.restored] Search reopened from the last session
+   * @param {Object} [options.filterState] Helper filter and sort state to apply
    */
-  function createSearchTab(searchId, title, moduleType) {
+  function createSearchTab(searchId, title, moduleType, options = {}) {
+    const readOnly = !!options.readOnly;
     const idStr = String(searchId);
     // Create tab element
     const tabEl = document.createElement('div');
@@ -56,6 +170,11 @@ document.addEventListener('DOMContentLoaded', () => {
     labelSpan.textContent = title || `Search ${idStr}`;
     labelSpan.style.flex = '1';
     tabEl.appendChild(labelSpan);
+    // Count of new watch rule matches, shown until the tab is viewed
+    const badgeSpan = document.createElement('span');
+    badgeSpan.classList.add('tab-badge');
+    badgeSpan.style.display = 'none';
+    tabEl.appendChild(badgeSpan);
     const closeSpan = document.createElement('span');
     closeSpan.textContent = '✕';
     closeSpan.classList.add('close');
@@ -78,6 +197,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const newName = input.value.trim() || labelSpan.textContent;
         labelSpan.textContent = newName;
         tabEl.replaceChild(labelSpan, input);
+        if (tabs[idStr]) tabs[idStr].title = newName;
+        scheduleSessionSave();
       };
       input.addEventListener('blur', finishRename);
       input.addEventListener('keydown', (ev) => {
@@ -90,7 +211,7 @@ document.addEventListener('DOMContentLoaded', () => {
     closeSpan.addEventListener('click', (e) => {
       e.stopPropagation();
       // Inform main process to stop this search
-      window.marketHelperAPI.stopSearch(searchId);
+      if (!readOnly) window.marketHelperAPI.stopSearch(searchId);
       // Remove the tab locally
       removeSearchTab(searchId);
     });
@@ -105,9 +226,18 @@ document.addEventListener('DOMContentLoaded', () => {
     header.style.display = 'flex';
     header.style.alignItems = 'center';
     header.style.justifyContent = 'space-between';
+    // Title with a summary of changes since the previous run underneath
+    const titleGroup = document.createElement('div');
+    titleGroup.style.display = 'flex';
+    titleGroup.style.flexDirection = 'column';
     const h2 = document.createElement('h2');
     h2.textContent = title || `Search ${idStr}`;
-    header.appendChild(h2);
+    titleGroup.appendChild(h2);
+    const diffSummaryEl = document.createElement('span');
+    diffSummaryEl.classList.add('diff-summary');
+    diffSummaryEl.style.display = 'none';
+    titleGroup.appendChild(diffSummaryEl);
+    header.appendChild(titleGroup);
     // Debug toggle button
     const debugBtn = document.createElement('button');
     debugBtn.textContent = 'Debug';
@@ -126,7 +256,16 @@ document.addEventListener('DOMContentLoaded', () => {
         debugBtn.textContent = 'Debug';
       }
     });
-    header.appendChild(debugBtn);
+    if (!readOnly) header.appendChild(debugBtn);
+    // Export a diagnostics bundle for this search to attach to a bug report
+    const exportDiagBtn = document.createElement('button');
+    exportDiagBtn.textContent = 'Export diagnostics';
+    exportDiagBtn.classList.add('search-btn');
+    exportDiagBtn.style.marginLeft = '6px';
+    exportDiagBtn.addEventListener('click', () => {
+      window.marketHelperAPI.exportDiagnostics(searchId);
+    });
+    if (!readOnly) header.appendChild(exportDiagBtn);
     // Create a wrapper for status indicator, status text, optional retry controls and stop button.
     // The wrapper uses flexbox to lay out its children horizontally. A relative
     // position allows us to position error messages absolutely above the
@@ -160,6 +299,7 @@ document.addEventListener('DOMContentLoaded', () => {
       // Hide message and button
       if (currentEntry.retryMsg) currentEntry.retryMsg.style.display = 'none';
       if (currentEntry.retryBtn) currentEntry.retryBtn.style.display = 'none';
+      if (currentEntry.snapshotBtn) currentEntry.snapshotBtn.style.display = 'none';
       // Reset status classes
       if (currentEntry.statusEl) {
         currentEntry.statusEl.classList.remove('status-error', 'status-finished', 'status-running', 'status-stopped');
@@ -173,10 +313,23 @@ document.addEventListener('DOMContentLoaded', () => {
       if (currentEntry.stopBtn) {
         currentEntry.stopBtn.disabled = false;
       }
+      if (currentEntry.repeatSelect) {
+        currentEntry.repeatSelect.disabled = false;
+      }
       // Trigger a retry via the preload API
       window.marketHelperAPI.retrySearch(searchId);
     });
     statusWrapper.appendChild(retryBtn);
+    // Opens the screenshot and page HTML saved when the search failed.
+    // Hidden unless the failure left a snapshot.
+    const snapshotBtn = document.createElement('button');
+    snapshotBtn.textContent = 'Snapshot';
+    snapshotBtn.classList.add('retry-btn', 'snapshot-btn');
+    snapshotBtn.style.display = 'none';
+    snapshotBtn.addEventListener('click', () => {
+      window.marketHelperAPI.openSearchSnapshot(searchId);
+    });
+    statusWrapper.appendChild(snapshotBtn);
     // Status indicator: shows coloured dot reflecting current state.
     const statusEl = document.createElement('span');
     statusEl.classList.add('status-indicator', 'status-sending');
@@ -186,6 +339,56 @@ document.addEventListener('DOMContentLoaded', () => {
     statusText.classList.add('status-text', 'status-sending-text');
     statusText.textContent = 'Sending request';
     statusWrapper.appendChild(statusText);
+    // Countdown to the next run of a scheduled search (hidden otherwise)
+    const countdownEl = document.createElement('span');
+    countdownEl.classList.add('schedule-countdown');
+    countdownEl.style.display = 'none';
+    statusWrapper.appendChild(countdownEl);
+    // Repeat interval selector for re-running the search automatically
+    const repeatSelect = document.createElement('select');
+    repeatSelect.classList.add('header-select');
+    repeatSelect.title = 'Repeat this search';
+    REPEAT_OPTIONS.forEach(({ minutes, label }) => {
+      const opt = document.createElement('option');
+      opt.value = String(minutes);
+      opt.textContent = label;
+      repeatSelect.appendChild(opt);
+    });
+    repeatSelect.addEventListener('change', () => {
+      window.marketHelperAPI.setSearchSchedule(searchId, Number(repeatSelect.value) * 60000);
+    });
+    if (!readOnly) statusWrapper.appendChild(repeatSelect);
+    // Watch rule selector: binds a saved filter profile to this search so
+    // new matching listings raise a notification
+    const watchSelect = document.createElement('select');
+    watchSelect.classList.add('header-select');
+    watchSelect.title = 'Notify when new listings match a saved filter profile';
+    const renderWatchOptions = () => {
+      const current = watchSelect.value;
+      watchSelect.innerHTML = '';
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'No watch';
+      watchSelect.appendChild(none);
+      Object.keys(loadFilterProfiles(moduleType)).sort().forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = `Watch: ${name}`;
+        watchSelect.appendChild(opt);
+      });
+      watchSelect.value = current;
+      if (watchSelect.value !== current) watchSelect.value = '';
+    };
+    renderWatchOptions();
+    // Profiles can be saved at any time in the helper, so refresh on open
+    watchSelect.addEventListener('mousedown', renderWatchOptions);
+    watchSelect.addEventListener('focus', renderWatchOptions);
+    watchSelect.addEventListener('change', () => {
+      const profileName = watchSelect.value;
+      const state = profileName ? loadFilterProfiles(moduleType)[profileName] : null;
+      window.marketHelperAPI.setWatchRule(searchId, state ? { profileName, state } : null);
+    });
+    if (!readOnly) statusWrapper.appendChild(watchSelect);
     // Stop button to abort the search.
     const stopBtn = document.createElement('button');
     stopBtn.textContent = 'Stop';
@@ -193,7 +396,7 @@ document.addEventListener('DOMContentLoaded', () => {
     stopBtn.addEventListener('click', () => {
       window.marketHelperAPI.stopSearch(searchId);
     });
-    statusWrapper.appendChild(stopBtn);
+    if (!readOnly) statusWrapper.appendChild(stopBtn);
     header.appendChild(statusWrapper);
     view.appendChild(header);
     // Create an iframe to host the market helper view. This iframe
@@ -215,7 +418,7 @@ document.addEventListener('DOMContentLoaded', () => {
     viewContainer.appendChild(view);
     // Store references for this tab, including the status element and text
     // Note: retryContainer is no longer used; retryMsg and retryBtn are handled directly.
-    tabs[idStr] = { tabEl, viewEl: view, iframe, statusEl, statusText, stopBtn, moduleType, retryMsg, retryBtn };
+    tabs[idStr] = { tabEl, viewEl: view, iframe, statusEl, statusText, stopBtn, moduleType, retryMsg, retryBtn, snapshotBtn, countdownEl, repeatSelect, watchSelect, badgeSpan, diffSummaryEl, schedule: null, title: labelSpan.textContent, filterState: options.filterState || null };
     // When the iframe loads, initialize an empty view so the
     // user sees the extension UI rather than a blank page. Send an
     // empty dataset to the iframe so the helper renders its template.
@@ -224,18 +427,167 @@ document.addEventListener('DOMContentLoaded', () => {
     // so the helper can immediately render the correct ancestor/trigger layout.
     iframe.addEventListener('load', () => {
       try {
-        iframe.contentWindow.postMessage({ type: 'marketData', data: [], moduleType }, '*');
+        iframe.contentWindow.postMessage({ type: 'marketData', data: options.data || [], moduleType }, '*');
+        if (options.filterState) {
+          iframe.contentWindow.postMessage({ type: 'applyFilterState', state: options.filterState }, '*');
+        }
       } catch (err) {
         console.error(err);
       }
     });
+    // Saved and restored searches are complete; show their final status
+    // right away
+    if (readOnly || options.restored) {
+      statusEl.classList.remove('status-sending');
+      statusEl.classList.add('status-finished');
+      statusText.classList.remove('status-sending-text');
+      statusText.classList.add('status-finished-text');
+      statusText.textContent = `${readOnly ? 'Saved' : 'Restored'} (${(options.data || []).length})`;
+    }
+    if (options.queuePosition > 0) {
+      showQueued(tabs[idStr], options.queuePosition);
+    }
     // Show the newly created tab
     showTab(idStr);
+    scheduleSessionSave();
+  }
+
+  /**
+   * Report the open search tabs in their order, with titles and helper
+   * filter state, so the main process can save them when the hub closes.
+   */
+  function sendSession() {
+    clearTimeout(sessionSaveTimer);
+    if (!sessionRestored) return;
+    const layout = { activeIndex: -1, tabs: [] };
+    Array.from(tabBar.children).forEach(tabEl => {
+      const id = tabEl.dataset.tab;
+      const entry = tabs[id];
+      if (!entry || !entry.iframe) return;
+      if (tabEl.classList.contains('active')) layout.activeIndex = layout.tabs.length;
+      const tab = id.startsWith('history-') ? { recordId: id.slice('history-'.length) } : { searchId: Number(id) };
+      layout.tabs.push({ ...tab, title: entry.title, filterState: entry.filterState });
+    });
+    window.marketHelperAPI.updateSession(layout);
+  }
+
+  /**
+   * Report the open tabs shortly, batching changes made in quick succession.
+   */
+  function scheduleSessionSave() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(sendSession, SESSION_SAVE_DELAY);
+  }
+
+  /**
+   * Reopen the tabs of the last session in their previous order. Searches
+   * come back with their last results and filters; stale ones are re-run
+   * (see the sessionRerunAfterMinutes setting).
+   */
+  function restoreSession() {
+    window.marketHelperAPI.restoreSession().then(({ activeIndex, tabs: saved }) => {
+      const ids = saved.map(tab => {
+        if (tab.recordId) {
+          const tabId = `history-${tab.recordId}`;
+          createSearchTab(tabId, tab.title, tab.moduleType, { readOnly: true, data: tab.listings, filterState: tab.filterState });
+          return tabId;
+        }
+        createSearchTab(tab.searchId, tab.title, tab.moduleType, { restored: true, data: tab.listings, filterState: tab.filterState });
+        if (tab.stale) tabs[String(tab.searchId)].retryBtn.click();
+        return String(tab.searchId);
+      });
+      showTab(activeIndex >= 0 ? ids[activeIndex] : 'dashboard');
+    }).catch((err) => {
+      console.error(err);
+    }).then(() => {
+      sessionRestored = true;
+      scheduleSessionSave();
+    });
+  }
+
+  /**
+   * Refresh the list of saved searches in the sidebar.
+   */
+  function renderHistory() {
+    if (!historyList) return;
+    window.marketHelperAPI.listPastSearches().then((records) => {
+      historyList.innerHTML = '';
+      records.slice(0, HISTORY_LIMIT).forEach(rec => {
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        name.classList.add('history-name');
+        name.textContent = `${searchTitle(rec.filters, 'All modules')} · ${rec.count}`;
+        const when = document.createElement('span');
+        when.classList.add('history-date');
+        when.textContent = `${new Date(rec.startedAt).toLocaleString()}${rec.status === 'cancelled' ? ' (stopped)' : ''}`;
+        li.appendChild(name);
+        li.appendChild(when);
+        li.addEventListener('click', () => openPastSearch(rec.recordId));
+        historyList.appendChild(li);
+      });
+    }).catch((err) => {
+      console.error(err);
+    });
+  }
+
+  /**
+   * Reopen a saved search as a read-only tab, or switch to it if it is
+   * already open.
+   * @param {string} recordId
+   */
+  function openPastSearch(recordId) {
+    const tabId = `history-${recordId}`;
+    if (tabs[tabId]) {
+      showTab(tabId);
+      return;
+    }
+    window.marketHelperAPI.openPastSearch(recordId).then((record) => {
+      if (!record) return;
+      const filters = record.filters || {};
+      const title = `${searchTitle(filters, 'Saved search')} – ${new Date(record.startedAt).toLocaleDateString()}`;
+      createSearchTab(tabId, title, filters.moduleType, { readOnly: true, data: record.listings || [] });
+    });
+  }
+
+  /**
+   * Show that a search is waiting for a free slot.
+   * @param {Object} entry Tab entry from `tabs`
+   * @param {number} position Position in the queue, 1 = next
+   */
+  function showQueued(entry, position) {
+    if (entry.statusEl) {
+      entry.statusEl.classList.remove('status-running', 'status-finished', 'status-stopped', 'status-error');
+      entry.statusEl.classList.add('status-sending');
+    }
+    if (entry.statusText) {
+      entry.statusText.classList.remove('status-running-text', 'status-finished-text', 'status-stopped-text', 'status-error-text');
+      entry.statusText.classList.add('status-sending-text');
+      entry.statusText.textContent = `Queued (position ${position})`;
+    }
   }
 
   /**
-   * Remove a search tab and its view. Used when a search is stopped.
-   * @param {number} searchId
+   * Show the time left until the next scheduled run of a tab's search.
+   * @param {Object} entry Tab entry from `tabs`
+   */
+  function renderCountdown(entry) {
+    if (!entry.countdownEl) return;
+    if (!entry.schedule) {
+      entry.countdownEl.style.display = 'none';
+      return;
+    }
+    const seconds = Math.max(0, Math.round((entry.schedule.nextRunAt - Date.now()) / 1000));
+    const mins = Math.floor(seconds / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    entry.countdownEl.textContent = `Next run in ${mins}:${secs}`;
+    entry.countdownEl.title = entry.schedule.lastRunAt ? `Last run ${new Date(entry.schedule.lastRunAt).toLocaleTimeString()}` : '';
+    entry.countdownEl.style.display = 'inline';
+  }
+
+  /**
+   * Remove a search tab and its view. Used when a search is stopped and
+   * when the Settings tab is closed.
+   * @param {number|string} searchId
    */
   function removeSearchTab(searchId) {
     const idStr = String(searchId);
@@ -246,6 +598,7 @@ document.addEventListener('DOMContentLoaded', () => {
     delete tabs[idStr];
     // Return to dashboard if no tabs remain
     showTab('dashboard');
+    scheduleSessionSave();
   }
 
   // The search form resides in the sidebar. Submitting it will create a new search tab. There is no separate dashboard navigation.
@@ -258,6 +611,252 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Fill the settings form from { values, definitions, overridden }. One
+   * fieldset per group; settings fixed on the command line are disabled.
+   * @param {HTMLFormElement} form
+   * @param {Object} settings
+   */
+  function renderSettingsForm(form, settings) {
+    form.innerHTML = '';
+    const fieldsets = {};
+    Object.entries(settings.definitions).forEach(([key, def]) => {
+      if (!fieldsets[def.group]) {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = def.group;
+        fieldset.appendChild(legend);
+        form.appendChild(fieldset);
+        fieldsets[def.group] = fieldset;
+      }
+      const group = document.createElement('div');
+      group.classList.add('form-group');
+      const label = document.createElement('label');
+      label.textContent = def.label;
+      label.htmlFor = `setting-${key}`;
+      let input;
+      if (def.type === 'enum') {
+        input = document.createElement('select');
+        def.options.forEach(option => {
+          const opt = document.createElement('option');
+          opt.value = option;
+          opt.textContent = option;
+          input.appendChild(opt);
+        });
+      } else {
+        input = document.createElement('input');
+        if (def.type === 'boolean') {
+          input.type = 'checkbox';
+        } else if (def.type === 'integer') {
+          input.type = 'number';
+          input.min = def.min;
+          input.max = def.max;
+          input.step = 1;
+        } else {
+          input.type = 'text';
+        }
+      }
+      input.id = `setting-${key}`;
+      input.name = key;
+      if (def.type === 'boolean') {
+        input.checked = settings.values[key];
+      } else {
+        input.value = settings.values[key];
+      }
+      group.appendChild(label);
+      group.appendChild(input);
+      const hints = [];
+      if (def.description) hints.push(def.description);
+      if (def.type === 'integer') hints.push(`${def.min}–${def.max}, default ${def.default}`);
+      if (settings.overridden.includes(key)) {
+        input.disabled = true;
+        hints.push('Set on the command line for this session');
+      }
+      if (hints.length > 0) {
+        const hint = document.createElement('span');
+        hint.classList.add('settings-hint');
+        hint.textContent = hints.join(' · ');
+        group.appendChild(hint);
+      }
+      const error = document.createElement('span');
+      error.classList.add('settings-error');
+      error.dataset.setting = key;
+      group.appendChild(error);
+      fieldsets[def.group].appendChild(group);
+    });
+  }
+
+  /**
+   * Open the Settings tab, or switch to it if it is already open.
+   */
+  function openSettingsTab() {
+    if (tabs.settings) {
+      showTab('settings');
+      return;
+    }
+    const tabEl = document.createElement('div');
+    tabEl.classList.add('tab');
+    tabEl.dataset.tab = 'settings';
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = 'Settings';
+    labelSpan.style.flex = '1';
+    tabEl.appendChild(labelSpan);
+    const closeSpan = document.createElement('span');
+    closeSpan.textContent = '✕';
+    closeSpan.classList.add('close');
+    tabEl.appendChild(closeSpan);
+    tabEl.addEventListener('click', (e) => {
+      if (e.target === closeSpan) return;
+      showTab('settings');
+    });
+    closeSpan.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeSearchTab('settings');
+    });
+    tabBar.appendChild(tabEl);
+
+    const view = document.createElement('div');
+    view.id = 'view-settings';
+    view.classList.add('view');
+    const h2 = document.createElement('h2');
+    h2.textContent = 'Settings';
+    view.appendChild(h2);
+    const form = document.createElement('form');
+    form.id = 'settings-form';
+    view.appendChild(form);
+    const actions = document.createElement('div');
+    actions.classList.add('settings-actions');
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.textContent = 'Save';
+    saveBtn.classList.add('search-btn');
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.textContent = 'Reset to defaults';
+    resetBtn.classList.add('retry-btn', 'snapshot-btn');
+    const statusEl = document.createElement('span');
+    statusEl.classList.add('settings-status');
+    actions.appendChild(saveBtn);
+    actions.appendChild(resetBtn);
+    actions.appendChild(statusEl);
+    view.appendChild(actions);
+    // Address and token of the local API while it is running
+    const apiStatusEl = document.createElement('div');
+    apiStatusEl.classList.add('settings-api-status');
+    view.appendChild(apiStatusEl);
+    viewContainer.appendChild(view);
+
+    const renderApiStatus = () => {
+      window.marketHelperAPI.getApiStatus().then(({ enabled, url, token, error }) => {
+        apiStatusEl.innerHTML = '';
+        if (!enabled) return;
+        const lines = error
+          ? [`Local API could not start: ${error}`]
+          : [`Local API: ${url}`, `Token: ${token}`];
+        lines.forEach(line => {
+          const div = document.createElement('div');
+          div.textContent = line;
+          apiStatusEl.appendChild(div);
+        });
+      });
+    };
+    let current = null;
+    const show = (settings) => {
+      current = settings;
+      renderSettingsForm(form, settings);
+      renderApiStatus();
+    };
+    saveBtn.addEventListener('click', () => {
+      // Only settings that are not fixed for the session are sent
+      const changes = {};
+      Object.keys(current.definitions).forEach(key => {
+        const input = form.elements[key];
+        if (input && !input.disabled) changes[key] = input.type === 'checkbox' ? input.checked : input.value;
+      });
+      window.marketHelperAPI.updateSettings(changes).then(({ settings, errors }) => {
+        form.querySelectorAll('.settings-error').forEach(el => {
+          el.textContent = errors[el.dataset.setting] || '';
+        });
+        if (Object.keys(errors).length > 0) {
+          statusEl.textContent = 'Not saved: fix the highlighted values';
+          return;
+        }
+        show(settings);
+        statusEl.textContent = 'Saved. New values apply to the next search.';
+      });
+    });
+    resetBtn.addEventListener('click', () => {
+      if (!window.confirm('Reset all settings to their defaults?')) return;
+      window.marketHelperAPI.resetSettings().then((settings) => {
+        show(settings);
+        statusEl.textContent = 'Defaults restored.';
+      });
+    });
+    window.marketHelperAPI.getSettings().then(show);
+
+    tabs.settings = { tabEl, viewEl: view };
+    showTab('settings');
+  }
+
+  const settingsBtn = document.getElementById('settings-btn');
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', openSettingsTab);
+  }
+
+  // Socket types only exist on ancestor modules
+  const moduleTypeSelect = document.getElementById('moduleType');
+  const socketTypeGroup = document.getElementById('socketTypeGroup');
+  if (moduleTypeSelect && socketTypeGroup) {
+    const syncSocketType = () => {
+      socketTypeGroup.style.display = moduleTypeSelect.value === 'trigger' ? 'none' : '';
+    };
+    moduleTypeSelect.addEventListener('change', syncSocketType);
+    syncSocketType();
+  }
+
+  // Module name catalog: names seen in saved searches of the selected
+  // module type. Picking one appends it to the name list.
+  const moduleNameInput = document.getElementById('moduleName');
+  const moduleCatalogInput = document.getElementById('moduleCatalog');
+  const moduleCatalogList = document.getElementById('moduleCatalogList');
+
+  /**
+   * Reload the catalog for the selected module type.
+   */
+  function renderModuleCatalog() {
+    if (!moduleCatalogList || !moduleTypeSelect) return;
+    window.marketHelperAPI.listModuleNames(moduleTypeSelect.value).then((names) => {
+      moduleCatalogList.innerHTML = '';
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        moduleCatalogList.appendChild(option);
+      });
+    });
+  }
+
+  if (moduleNameInput && moduleCatalogInput) {
+    moduleCatalogInput.addEventListener('change', () => {
+      const name = moduleCatalogInput.value.trim();
+      moduleCatalogInput.value = '';
+      if (!name) return;
+      const names = moduleNameList(moduleNameInput.value);
+      if (names.some(n => n.toLowerCase() === name.toLowerCase())) return;
+      names.push(name);
+      moduleNameInput.value = names.join('\n');
+    });
+    // Enter adds a line to the name list; Ctrl+Enter starts the search
+    moduleNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        searchForm.requestSubmit();
+      }
+    });
+  }
+  if (moduleTypeSelect) {
+    moduleTypeSelect.addEventListener('change', renderModuleCatalog);
+  }
+
   // Handle search form submission
   searchForm.addEventListener('submit', (e) => {
     e.preventDefault();
@@ -266,15 +865,21 @@ document.addEventListener('DOMContentLoaded', () => {
     formData.forEach((value, key) => {
       filters[key] = value;
     });
+    // The repeat interval is not a search filter; it schedules the tab
+    const repeatMinutes = Number(filters.repeatInterval) || 0;
+    delete filters.repeatInterval;
     // Start new search via preload API
-    window.marketHelperAPI.startSearch(filters).then(({ searchId }) => {
-      const title = filters.moduleName ? `${filters.moduleName} (${filters.moduleType})` : `Search ${searchId}`;
-      createSearchTab(searchId, title, filters.moduleType);
+    window.marketHelperAPI.startSearch(filters).then(({ searchId, queuePosition }) => {
+      const title = searchTitle(filters, `Search ${searchId}`);
+      createSearchTab(searchId, title, filters.moduleType, { queuePosition });
+      if (repeatMinutes > 0) {
+        window.marketHelperAPI.setSearchSchedule(searchId, repeatMinutes * 60000);
+      }
     });
   });
 
   // Receive updates from the main process and populate the tables.
-  window.marketHelperAPI.onSearchUpdated(({ searchId, data, finished, error }) => {
+  window.marketHelperAPI.onSearchUpdated(({ searchId, data, finished, error, diff }) => {
     const idStr = String(searchId);
     const entry = tabs[idStr];
     if (!entry) return;
@@ -283,10 +888,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // its structure; instead the status indicator will show an error.
     if (!error && entry.iframe && entry.iframe.contentWindow) {
       const mt = entry.moduleType;
-      entry.iframe.contentWindow.postMessage({ type: 'marketData', data, moduleType: mt }, '*');
+      // The helper rebuilds its view from the full dataset once finished,
+      // which also applies the change tags of a re-run
+      entry.iframe.contentWindow.postMessage({ type: 'marketData', data, moduleType: mt, finished: !!finished }, '*');
+    }
+    // Determine number of items returned for status display. Listings
+    // tagged 'gone' are only shown for comparison and are not counted.
+    const count = Array.isArray(data) ? data.filter(mod => mod.change !== 'gone').length : 0;
+    if (finished && diff && entry.diffSummaryEl) {
+      entry.diffSummaryEl.textContent = `Since last run: ${diff.new} new · ${diff.repriced} price changed · ${diff.gone} gone`;
+      entry.diffSummaryEl.style.display = 'block';
     }
-    // Determine number of items returned for status display
-    const count = Array.isArray(data) ? data.length : 0;
     // If an error occurred, show a failure status, disable the stop button
     // and reveal the retry UI with an appropriate message. We do not
     // update the iframe in this case since we cannot trust the data.
@@ -312,23 +924,23 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       // Show the retry button and message. Position message above the status bar.
       if (entry.retryMsg) {
-        // Determine message based on error type
-        if (error === 'timeout') {
-          entry.retryMsg.textContent = 'No items were found within 30 seconds.';
-        } else {
-          entry.retryMsg.textContent = 'An error occurred while fetching results.';
-        }
+        entry.retryMsg.textContent = describeFailure(error);
+        entry.retryMsg.title = error.message || '';
         entry.retryMsg.style.display = 'block';
       }
       if (entry.retryBtn) {
         entry.retryBtn.style.display = 'inline-block';
       }
+      if (entry.snapshotBtn && error.snapshot) {
+        entry.snapshotBtn.style.display = 'inline-block';
+      }
       return;
     }
     if (!finished) {
       // Hide retry message and button if currently visible
       if (entry.retryMsg) entry.retryMsg.style.display = 'none';
       if (entry.retryBtn) entry.retryBtn.style.display = 'none';
+      if (entry.snapshotBtn) entry.snapshotBtn.style.display = 'none';
       // Update status to running if it was previously sending or error
       if (entry.statusEl) {
         entry.statusEl.classList.remove('status-sending');
@@ -343,12 +955,15 @@ document.addEventListener('DOMContentLoaded', () => {
         entry.statusText.classList.remove('status-finished-text');
         entry.statusText.classList.remove('status-error-text');
         entry.statusText.classList.add('status-running-text');
-        entry.statusText.textContent = `In progress (${count})`;
+        entry.statusText.textContent = entry.batch
+          ? `In progress (${count}) · ${entry.batch.index}/${entry.batch.total} ${entry.batch.name}`
+          : `In progress (${count})`;
       }
     } else {
       // When the search has finished, update status indicator/text and disable the stop button
       if (entry.retryMsg) entry.retryMsg.style.display = 'none';
       if (entry.retryBtn) entry.retryBtn.style.display = 'none';
+      if (entry.snapshotBtn) entry.snapshotBtn.style.display = 'none';
       if (entry.stopBtn) entry.stopBtn.disabled = true;
       if (entry.statusEl) {
         entry.statusEl.classList.remove('status-running');
@@ -373,19 +988,33 @@ document.addEventListener('DOMContentLoaded', () => {
   // platform, waiting for results) so the status indicator can show
   // appropriate messages. Each progress event includes a stage
   // identifier. We map these stages to human‑friendly messages.
-  window.marketHelperAPI.onSearchProgress(({ searchId, stage }) => {
+  window.marketHelperAPI.onSearchProgress(({ searchId, stage, batch }) => {
     const idStr = String(searchId);
     const entry = tabs[idStr];
     if (!entry) return;
     // Hide any retry UI when progress updates arrive
     if (entry.retryMsg) entry.retryMsg.style.display = 'none';
     if (entry.retryBtn) entry.retryBtn.style.display = 'none';
+    if (entry.snapshotBtn) entry.snapshotBtn.style.display = 'none';
+    // A retry or scheduled run can be stopped and repeated again
+    if (entry.stopBtn) entry.stopBtn.disabled = false;
+    if (entry.repeatSelect) entry.repeatSelect.disabled = false;
     // Determine message based on stage
     let msg = '';
-    if (stage === 'enterName') msg = 'Entering module name';
+    if (stage === 'waitModuleType') msg = 'Applying module type';
+    else if (stage === 'enterName') msg = 'Entering module name';
+    else if (stage === 'waitResults') msg = 'Waiting for results';
     else if (stage === 'setPlatform') msg = 'Setting platform';
+    else if (stage === 'waitPlatform') msg = 'Applying platform';
+    else if (stage === 'setFilters') msg = 'Setting filters';
+    else if (stage === 'waitFilters') msg = 'Applying filters';
     else if (stage === 'waiting') msg = 'Waiting for website';
+    else if (stage === 'restarting') msg = 'Restarting search';
+    else if (stage === 'loading') msg = 'Loading market page';
     else msg = 'Working';
+    // Batch searches name the module being searched, e.g. "2/5 Enforce Rounds"
+    entry.batch = batch || null;
+    if (batch) msg = `${batch.index}/${batch.total} ${batch.name}: ${msg}`;
     // Update status indicator and text using sending (blue) styles
     if (entry.statusEl) {
       entry.statusEl.classList.remove('status-running');
@@ -411,6 +1040,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (entry) {
       // Update status indicator/text to stopped and disable stop button
       if (entry.stopBtn) entry.stopBtn.disabled = true;
+      if (entry.repeatSelect) entry.repeatSelect.disabled = true;
       if (entry.statusEl) {
         entry.statusEl.classList.remove('status-running', 'status-finished', 'status-sending', 'status-error');
         entry.statusEl.classList.add('status-stopped');
@@ -423,9 +1053,98 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // The helper iframes have no access to the preload API, so they ask the
+  // hub for price history via postMessage and get the answer back the
+  // same way.
+  window.addEventListener('message', (event) => {
+    const msg = event.data;
+    if (!msg || msg.type !== 'priceHistoryRequest' || !event.source) return;
+    const query = { name: msg.name, attributes: msg.attributes || [] };
+    window.marketHelperAPI.getPriceHistory(query).then((history) => {
+      event.source.postMessage({ type: 'priceHistory', query, history }, '*');
+    }).catch((err) => {
+      console.error(err);
+      event.source.postMessage({ type: 'priceHistory', query, history: [], error: err.message }, '*');
+    });
+  });
+
+  // Helper iframes report their filter and sort state as it changes; it
+  // is saved with the session
+  window.addEventListener('message', (event) => {
+    const msg = event.data;
+    if (!msg || msg.type !== 'filterState' || !event.source) return;
+    const entry = Object.values(tabs).find(tab => tab.iframe && tab.iframe.contentWindow === event.source);
+    if (!entry) return;
+    entry.filterState = msg.state;
+    scheduleSessionSave();
+  });
+  // Report the final layout while the window closes
+  window.addEventListener('beforeunload', sendSession);
+
+  // Searches started from the local API get a tab like those started here
+  window.marketHelperAPI.onSearchStarted(({ searchId, queuePosition, filters }) => {
+    if (tabs[String(searchId)]) return;
+    createSearchTab(searchId, searchTitle(filters, `Search ${searchId}`), filters.moduleType, { queuePosition });
+  });
+
+  // Searches waiting for a free slot show their place in the queue
+  window.marketHelperAPI.onSearchQueued(({ searchId, position }) => {
+    const entry = tabs[String(searchId)];
+    if (entry) showQueued(entry, position);
+  });
+
+  // Keep the repeat selector and countdown in sync with the scheduler
+  window.marketHelperAPI.onSearchSchedule(({ searchId, schedule }) => {
+    const entry = tabs[String(searchId)];
+    if (!entry) return;
+    entry.schedule = schedule;
+    if (entry.repeatSelect) {
+      entry.repeatSelect.value = String(schedule ? Math.round(schedule.intervalMs / 60000) : 0);
+    }
+    renderCountdown(entry);
+  });
+
+  // Tick the countdowns of scheduled searches once a second
+  setInterval(() => {
+    Object.values(tabs).forEach(entry => {
+      if (entry.schedule) renderCountdown(entry);
+    });
+  }, 1000);
+
+  // Badge a tab when new listings match its watch rule, unless the user
+  // is already looking at it
+  window.marketHelperAPI.onWatchMatch(({ searchId, count }) => {
+    const entry = tabs[String(searchId)];
+    if (!entry || !entry.badgeSpan || entry.tabEl.classList.contains('active')) return;
+    const total = (Number(entry.badgeSpan.textContent) || 0) + count;
+    entry.badgeSpan.textContent = String(total);
+    entry.badgeSpan.style.display = 'inline-block';
+  });
+
+  // A watch notification was clicked: show the tab and its matching card
+  window.marketHelperAPI.onFocusListing(({ searchId, listingKey }) => {
+    const idStr = String(searchId);
+    const entry = tabs[idStr];
+    if (!entry) return;
+    showTab(idStr);
+    if (entry.iframe && entry.iframe.contentWindow) {
+      entry.iframe.contentWindow.postMessage({ type: 'focusListing', listingKey }, '*');
+    }
+  });
+
+  // Refresh the saved search list and the name catalog whenever a search
+  // is persisted
+  window.marketHelperAPI.onSearchSaved(() => {
+    renderHistory();
+    renderModuleCatalog();
+  });
+
   // Initialize tabs object for dashboard
   tabs['dashboard'] = {
     tabEl: tabBar.querySelector('[data-tab="dashboard"]'),
     viewEl: document.getElementById('dashboard')
   };
+  renderHistory();
+  renderModuleCatalog();
+  restoreSession();
 });
\ No newline at end of file
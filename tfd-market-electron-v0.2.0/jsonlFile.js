@@ -0,0 +1,99 @@
+// jsonlFile.js
+// Cached access to a JSON Lines file, shared by the search store and the
+// price history. Parsed lines are kept in memory: a read only parses the
+// bytes appended since the previous one, and reads the file again in full
+// only when it was replaced or shrank. Reads, appends and prunes of one
+// file run one after another, so an append cannot land in a file that is
+// being replaced.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an accessor for the JSON Lines file at the given path.
+ * @param {string} filePath
+ * @returns {{read: function(): Promise<Array<Object>>,
+ *            append: function(Array<Object>): Promise<void>,
+ *            prune: function(function(Array<Object>): Array<Object>): Promise<number>}}
+ *   read resolves to the parsed lines in file order; callers must not
+ *   modify them. Lines that fail to parse (for example a partially written
+ *   last line) are skipped. prune passes the lines to a function that
+ *   returns those to keep, rewrites the file if it dropped any and
+ *   resolves to the number dropped.
+ */
+function createJsonlFile(filePath) {
+  // ino and byte offset of the first line not yet parsed
+  let cache = { ino: null, offset: 0, entries: [] };
+  let queue = Promise.resolve();
+
+  // Run the operations on this file in call order
+  const enqueue = (operation) => {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  async function load() {
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      cache = { ino: null, offset: 0, entries: [] };
+      return cache.entries;
+    }
+    try {
+      const stat = await handle.stat();
+      if (stat.ino !== cache.ino || stat.size < cache.offset) {
+        cache = { ino: stat.ino, offset: 0, entries: [] };
+      }
+      if (stat.size === cache.offset) return cache.entries;
+      const buffer = Buffer.alloc(stat.size - cache.offset);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, cache.offset);
+      // Leave an unfinished last line for the next read
+      const end = buffer.lastIndexOf(0x0a, bytesRead - 1) + 1;
+      for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          cache.entries.push(JSON.parse(line));
+        } catch (err) {
+          // ignore corrupt lines
+        }
+      }
+      cache.offset += end;
+      return cache.entries;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async function append(entries) {
+    if (entries.length === 0) return;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+  }
+
+  // Write the kept lines to a temporary file and move it over the old one,
+  // so a crash leaves either the old or the new content
+  async function prune(select) {
+    const entries = await load();
+    const kept = select(entries);
+    if (kept.length === entries.length) return 0;
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+    const stat = await fs.promises.stat(filePath);
+    cache = { ino: stat.ino, offset: stat.size, entries: kept.slice() };
+    return entries.length - kept.length;
+  }
+
+  return {
+    read: () => enqueue(load),
+    append: (entries) => enqueue(() => append(entries)),
+    prune: (select) => enqueue(() => prune(select))
+  };
+}
+
+module.exports = {
+  createJsonlFile
+};
@@ -0,0 +1,84 @@
+// listingDiff.js
+// Compares two runs of the same search. Each listing of the new run is
+// tagged 'new' or 'repriced'; listings that disappeared are returned
+// tagged 'gone' so the tab can still show them.
+//
+// Listings are matched by the site's listing ID when known, otherwise by
+// name, seller and stat lines, which stay the same when a seller only
+// changes the price. A seller may list several identical modules, so
+// listings sharing an identity are paired one to one, those with an
+// unchanged price first.
+
+const { parsePriceValue } = require('./parsers');
+
+/**
+ * Identity of a listing across runs: its listing ID, or name, seller and
+ * stats with their rolled values. Unlike listingIdentity.listingKey the
+ * price is left out so a repriced listing is still recognised.
+ * @param {Object} mod
+ * @returns {string}
+ */
+function diffIdentity(mod) {
+  if (mod.listingId) return `id:${mod.listingId}`;
+  // Sorted like listingKey, so the order the stats were read in does not matter
+  const stats = (mod.stats || []).map(stat => `${stat.raw || ''}=${stat.value || ''}`).sort().join('|');
+  return `${mod.name}|${mod.sellerName}|${stats}`;
+}
+
+/**
+ * Diff the listings of a run against the previous run.
+ *
+ * @param {Array<Object>} previous Listings of the previous finished run
+ * @param {Array<Object>} current Listings of the run that just finished
+ * @returns {{listings: Array<Object>, gone: Array<Object>, summary: {new: number, repriced: number, gone: number, unchanged: number}}}
+ *   `listings` are copies of `current` with a `change` field ('new',
+ *   'repriced' or null) and, when repriced, `previousPrice`. `gone` are
+ *   copies of previous listings missing from the current run.
+ */
+function diffListings(previous, current) {
+  // Unmatched previous listings per identity, in their original order
+  const before = new Map();
+  previous.forEach(mod => {
+    const id = diffIdentity(mod);
+    if (!before.has(id)) before.set(id, []);
+    before.get(id).push(mod);
+  });
+  const matches = current.map(mod => {
+    const candidates = before.get(diffIdentity(mod)) || [];
+    const index = candidates.findIndex(old => parsePriceValue(old.price) === parsePriceValue(mod.price));
+    return index === -1 ? null : candidates.splice(index, 1)[0];
+  });
+  // Listings whose price matched no candidate take the remaining ones
+  current.forEach((mod, i) => {
+    if (matches[i]) return;
+    const candidates = before.get(diffIdentity(mod)) || [];
+    if (candidates.length > 0) matches[i] = candidates.shift();
+  });
+  const summary = { new: 0, repriced: 0, gone: 0, unchanged: 0 };
+  const listings = current.map((mod, i) => {
+    const old = matches[i];
+    if (!old) {
+      summary.new++;
+      return { ...mod, change: 'new' };
+    }
+    if (parsePriceValue(old.price) !== parsePriceValue(mod.price)) {
+      summary.repriced++;
+      return { ...mod, change: 'repriced', previousPrice: old.price };
+    }
+    summary.unchanged++;
+    return { ...mod, change: null };
+  });
+  const gone = [];
+  before.forEach(candidates => {
+    candidates.forEach(mod => {
+      summary.gone++;
+      gone.push({ ...mod, change: 'gone' });
+    });
+  });
+  return { listings, gone, summary };
+}
+
+module.exports = {
+  diffIdentity,
+  diffListings
+};
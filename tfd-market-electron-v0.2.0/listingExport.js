@@ -0,0 +1,202 @@
+// listingExport.js
+// Turns listings into files for spreadsheets and scripts, and into a
+// table to paste into chat. CSV and the helper's JSON export use flat
+// records: one field per listing property with numbers parsed, then one
+// field per stat holding its numeric value. The headless search's JSON
+// keeps the listings as parsed (toJson), which scripts already read. The
+// text table is wrapped in a code block so Discord shows it with aligned
+// columns.
+//
+// Like parsers.js this file works both in the page (as
+// window.TFDListingExport, used by the helper's Export menu) and from
+// Node (the headless search mode in main.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TFDListingExport = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * First number in a text such as "1,725", "18.2%" or "-6.0"; null when
+   * there is none.
+   * @param {*} text
+   * @returns {number|null}
+   */
+  function parseNumber(text) {
+    const match = String(text === null || text === undefined ? '' : text).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  // Leading fields of every record: name and how to read it from a listing.
+  const CSV_COLUMNS = [
+    ['name', mod => mod.name || ''],
+    ['category', mod => mod.category || ''],
+    ['socketType', mod => mod.socketType || ''],
+    ['requiredRank', mod => parseNumber(mod.requiredRank)],
+    ['price', mod => parseNumber(mod.price)],
+    ['platform', mod => mod.platform || ''],
+    ['rerollCount', mod => parseNumber(mod.rerollCount)],
+    ['sellerName', mod => mod.sellerName || ''],
+    ['sellerStatus', mod => mod.sellerStatus || ''],
+    ['sellerRank', mod => parseNumber(mod.sellerRank)],
+    ['regDate', mod => mod.regDate || ''],
+    ['ageHours', mod => (typeof mod.ageHours === 'number' ? mod.ageHours : null)],
+    ['attributes', mod => (mod.attributes || []).join('; ')],
+    // Run-to-run change tag of a re-run ('new', 'repriced', 'gone')
+    ['change', mod => mod.change || ''],
+    ['listingId', mod => mod.listingId || ''],
+    ['listingKey', mod => mod.listingKey || '']
+  ];
+
+  /**
+   * Name of a stat without its sign marker, range and value, e.g.
+   * "(+) DEF [6.0~22.0]%" → "DEF" and "Skill Power (Modifier) 11.0%" →
+   * "Skill Power (Modifier)".
+   * @param {{raw: string, value: string}} stat
+   * @returns {string}
+   */
+  function statName(stat) {
+    let name = String(stat.raw || '').trim();
+    const value = String(stat.value || '').trim();
+    if (value && name.endsWith(value)) name = name.slice(0, -value.length).trim();
+    if (name.startsWith('(+)') || name.startsWith('(-)')) name = name.slice(3).trim();
+    return name.split('[')[0].trim();
+  }
+
+  /**
+   * Record field of a stat: its name, with the sign marker of ancestor
+   * stats kept so a positive and a negative stat of the same name get
+   * separate fields, e.g. "(+) DEF" and "(-) DEF".
+   * @param {{raw: string, value: string}} stat
+   * @returns {string}
+   */
+  function statColumn(stat) {
+    const name = statName(stat);
+    const raw = String(stat.raw || '').trim();
+    const sign = raw.startsWith('(+)') || raw.startsWith('(-)') ? raw.slice(0, 3) : '';
+    return name && sign ? `${sign} ${name}` : name;
+  }
+
+  /**
+   * Flat records for a set of listings. Stat fields follow the fixed
+   * fields in order of first appearance.
+   * @param {Array<Object>} modules
+   * @returns {{columns: Array<string>, records: Array<Object>}}
+   */
+  function flattenListings(modules) {
+    const statColumns = [];
+    const records = modules.map(mod => {
+      const record = {};
+      CSV_COLUMNS.forEach(([column, read]) => {
+        record[column] = read(mod);
+      });
+      (mod.stats || []).forEach(stat => {
+        const name = statColumn(stat);
+        if (!name) return;
+        if (!statColumns.includes(name)) statColumns.push(name);
+        record[name] = parseNumber(stat.value);
+      });
+      return record;
+    });
+    const columns = CSV_COLUMNS.map(([column]) => column).concat(statColumns);
+    // Every record has every field so JSON consumers see one shape
+    records.forEach(record => {
+      statColumns.forEach(name => {
+        if (!(name in record)) record[name] = null;
+      });
+    });
+    return { columns, records };
+  }
+
+  /**
+   * Quote a CSV cell when it contains a separator, quote or line break.
+   * Text that a spreadsheet would run as a formula (starting with =, +,
+   * -, @, tab or carriage return), e.g. a seller name, gets a leading
+   * apostrophe; parsed numbers are written as they are.
+   * @param {*} value
+   * @returns {string}
+   */
+  function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Listings as CSV with a header row. Lines end with CRLF, as
+   * spreadsheet programs expect.
+   * @param {Array<Object>} modules
+   * @returns {string}
+   */
+  function toCsv(modules) {
+    const { columns, records } = flattenListings(modules);
+    const lines = [columns.map(csvCell).join(',')];
+    records.forEach(record => {
+      lines.push(columns.map(column => csvCell(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Listings as pretty-printed JSON, as parsed.
+   * @param {Array<Object>} modules
+   * @returns {string}
+   */
+  function toJson(modules) {
+    return JSON.stringify(modules, null, 2) + '\n';
+  }
+
+  /**
+   * Listings as pretty-printed JSON records, the fields of the CSV.
+   * @param {Array<Object>} modules
+   * @returns {string}
+   */
+  function toRecordsJson(modules) {
+    return JSON.stringify(flattenListings(modules).records, null, 2) + '\n';
+  }
+
+  // Columns of the text table, kept short for chat. Columns that are empty
+  // for every listing (e.g. sockets of trigger modules) are left out.
+  const TABLE_COLUMNS = [
+    ['Name', mod => mod.name || ''],
+    ['Price', mod => mod.price || ''],
+    ['Socket', mod => mod.socketType || ''],
+    ['MR', mod => mod.requiredRank || ''],
+    ['Rerolls', mod => (parseNumber(mod.rerollCount) === null ? '' : mod.rerollCount)],
+    ['Seller', mod => mod.sellerName || ''],
+    ['Status', mod => mod.sellerStatus || ''],
+    ['Stats', mod => (mod.stats || []).map(stat => `${statName(stat)} ${stat.value || ''}`.trim()).join(', ')]
+  ];
+
+  /**
+   * Listings as a Markdown table with padded columns inside a code block,
+   * readable both rendered and as plain text.
+   * @param {Array<Object>} modules
+   * @returns {string}
+   */
+  function toMarkdown(modules) {
+    const cell = (value) => String(value).replace(/\|/g, '/').replace(/\s+/g, ' ').trim();
+    const columns = TABLE_COLUMNS.filter(([, read]) => modules.some(mod => cell(read(mod)) !== ''));
+    const rows = modules.map(mod => columns.map(([, read]) => cell(read(mod))));
+    const headers = columns.map(([header]) => header);
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    const line = (cells) => `| ${cells.map((text, i) => text.padEnd(widths[i])).join(' | ')} |`;
+    const lines = [line(headers), `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`];
+    rows.forEach(row => lines.push(line(row)));
+    return '```\n' + lines.join('\n') + '\n```\n';
+  }
+
+  return {
+    CSV_COLUMNS,
+    parseNumber,
+    statName,
+    statColumn,
+    flattenListings,
+    toCsv,
+    toJson,
+    toRecordsJson,
+    toMarkdown
+  };
+});
@@ -0,0 +1,56 @@
+// listingIdentity.js
+// Identifies a market listing across scroll iterations, re-runs and the
+// IPC boundary. The site's own listing ID is used when the page or the
+// network response provides one (`listingId`); otherwise the key is a
+// hash of everything that tells two listings apart: name, seller, price,
+// socket, rerolls and every stat line with its rolled value, in any
+// order. Two copies of a module that a seller lists at the same price with
+// different rolls therefore keep separate keys.
+//
+// Like parsers.js this file works both in the page (as
+// window.TFDListingIdentity, used by helper.js) and from Node (main.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TFDListingIdentity = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * 64-bit string hash (cyrb53 mixing), returned as 16 hex digits.
+   * @param {string} str
+   * @returns {string}
+   */
+  function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Stable key of a listing: "id:<site listing ID>" when known, otherwise
+   * "h:<hash of its contents>".
+   * @param {Object} mod Listing as produced by parsers.js or networkCapture.js
+   * @returns {string}
+   */
+  function listingKey(mod) {
+    if (mod.listingId) return `id:${mod.listingId}`;
+    // Sorted so the key does not depend on the order the stats were read in
+    const stats = (mod.stats || []).map(stat => `${stat.raw || ''}=${stat.value || ''}`).sort();
+    const parts = [mod.name, mod.sellerName, mod.price, mod.socketType, mod.rerollCount].map(value => String(value || ''));
+    return `h:${hashString(parts.concat(stats).join('\u0000'))}`;
+  }
+
+  return {
+    hashString,
+    listingKey
+  };
+});
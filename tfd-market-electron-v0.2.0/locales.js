@@ -0,0 +1,222 @@
+// locales.js
+// Language rules for the market sites the app can scrape. Each locale
+// names the language path of the market URL (https://tfd.nexon.com/<path>/market)
+// and the words the page uses for seller status, the currency label,
+// relative registration dates, the module categories and the platforms of
+// the "sold on" dropdown. The parsers use
+// them to normalise listings to the English values used everywhere else
+// in the app: "Online"/"Offline", "Ancestors"/"Trigger", numbers with
+// comma grouping and a decimal point, and registration ages in hours.
+//
+// Only the English words have been checked against the live site. The
+// Korean and German words and number formats were written without access
+// to those pages and are marked `unverified` until someone confirms them
+// there.
+//
+// Like parsers.js this file works both in the page (as window.TFDLocales,
+// injected into search windows and loaded by market_helper.html) and from
+// Node.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TFDLocales = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_LOCALE = 'en';
+
+  // Words are matched case-insensitively. Category words are matched as
+  // substrings of the listing's type label and the module type dropdown,
+  // platform words (keyed by the hub's platform values) as substrings of
+  // the platform dropdown's options.
+  const LOCALES = {
+    en: {
+      label: 'English',
+      marketPath: 'en',
+      status: { Online: ['online'], Offline: ['offline'] },
+      currency: ['Caliber'],
+      thousandsSeparator: ',',
+      decimalSeparator: '.',
+      age: { day: ['days', 'day'], hour: ['hours', 'hour'] },
+      categories: { Ancestors: ['ancestor'], Trigger: ['trigger'] },
+      platforms: { all: ['all'], pc: ['pc', 'steam'], ps: ['ps', 'playstation'], xbox: ['xbox'] }
+    },
+    ko: {
+      label: '한국어',
+      marketPath: 'ko',
+      unverified: true,
+      status: { Online: ['온라인'], Offline: ['오프라인'] },
+      currency: ['칼리버'],
+      thousandsSeparator: ',',
+      decimalSeparator: '.',
+      age: { day: ['일'], hour: ['시간'] },
+      categories: { Ancestors: ['선조'], Trigger: ['트리거'] },
+      platforms: { all: ['전체', 'all'], pc: ['pc', 'steam'], ps: ['ps', 'playstation'], xbox: ['xbox'] }
+    },
+    de: {
+      label: 'Deutsch',
+      marketPath: 'de',
+      unverified: true,
+      status: { Online: ['online'], Offline: ['offline'] },
+      currency: ['Kaliber'],
+      thousandsSeparator: '.',
+      decimalSeparator: ',',
+      age: { day: ['tagen', 'tage', 'tag'], hour: ['stunden', 'stunde'] },
+      categories: { Ancestors: ['ahnen', 'vorfahr'], Trigger: ['auslöser', 'trigger'] },
+      platforms: { all: ['alle', 'all'], pc: ['pc', 'steam'], ps: ['ps', 'playstation'], xbox: ['xbox'] }
+    }
+  };
+
+  // Letters and digits of any script; a word must not touch one of these
+  // to count as a whole word (\b only knows ASCII letters).
+  const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function wordPattern(words, flags) {
+    return new RegExp(`(?<!${WORD_CHAR})(?:${words.map(escapeRegExp).join('|')})(?!${WORD_CHAR})`, flags);
+  }
+
+  /**
+   * Rules of a locale, falling back to English for unknown codes.
+   * @param {string} [code] E.g. 'en', 'ko', 'de'
+   * @returns {Object}
+   */
+  function getLocale(code) {
+    return LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+  }
+
+  /**
+   * Whether a locale code is known.
+   * @param {string} code
+   */
+  function isLocale(code) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, code);
+  }
+
+  /**
+   * Market URL for a locale.
+   * @param {string} code
+   * @returns {string}
+   */
+  function marketUrlFor(code) {
+    return `https://tfd.nexon.com/${getLocale(code).marketPath}/market`;
+  }
+
+  /**
+   * Remove the locale's status words from a seller name.
+   * @param {string} text
+   * @param {Object} rules Result of getLocale
+   */
+  function stripStatusWords(text, rules) {
+    const words = [].concat(...Object.values(rules.status));
+    return text.replace(wordPattern(words, 'giu'), '').trim();
+  }
+
+  /**
+   * Canonical status ("Online" or "Offline") of a status label. Labels
+   * the locale does not know are returned unchanged.
+   * @param {string} text
+   * @param {Object} rules
+   * @returns {string}
+   */
+  function statusKey(text, rules) {
+    const lower = (text || '').trim().toLowerCase();
+    for (const [key, words] of Object.entries(rules.status)) {
+      if (words.some(word => word.toLowerCase() === lower)) return key;
+    }
+    return (text || '').trim();
+  }
+
+  /**
+   * Rewrite the numbers in a text from the locale's format to the English
+   * one, e.g. "1.500" -> "1,500" and "1,5%" -> "1.5%" for German.
+   * @param {string} text
+   * @param {Object} rules
+   * @returns {string}
+   */
+  function normalizeNumbers(text, rules) {
+    const thousands = rules.thousandsSeparator || ',';
+    const decimal = rules.decimalSeparator || '.';
+    if (thousands === ',' && decimal === '.') return text || '';
+    const pattern = new RegExp(`\\d+(?:${escapeRegExp(thousands)}\\d{3}(?!\\d))*(?:${escapeRegExp(decimal)}\\d+)?`, 'g');
+    return (text || '').replace(pattern, number => number
+      .split(thousands)
+      .map(part => part.split(decimal).join('.'))
+      .join(','));
+  }
+
+  /**
+   * Remove the currency label from a price and write it in the English
+   * format, e.g. "1.500 Kaliber" -> "1,500".
+   * @param {string} text
+   * @param {Object} rules
+   * @returns {string}
+   */
+  function normalizePrice(text, rules) {
+    return normalizeNumbers((text || '').replace(wordPattern(rules.currency, 'giu'), '').trim(), rules);
+  }
+
+  /**
+   * Canonical category ("Ancestors" or "Trigger") of a type label, or an
+   * empty string when the label matches neither.
+   * @param {string} text
+   * @param {Object} rules
+   * @returns {string}
+   */
+  function categoryKey(text, rules) {
+    const lower = (text || '').toLowerCase();
+    for (const [key, words] of Object.entries(rules.categories)) {
+      if (words.some(word => lower.includes(word.toLowerCase()))) return key;
+    }
+    return '';
+  }
+
+  /**
+   * Words of a platform ('all', 'pc', 'ps' or 'xbox') as the platform
+   * dropdown shows it. Unknown platforms are matched by their own name.
+   * @param {string} platform
+   * @param {Object} rules
+   * @returns {Array<string>}
+   */
+  function platformLabels(platform, rules) {
+    const key = String(platform || '').toLowerCase();
+    return (rules.platforms && rules.platforms[key]) || [key];
+  }
+
+  /**
+   * Age in hours of a relative registration date such as "4 hours ago",
+   * "vor 2 Tagen" or "3일 전", or null when it is not recognised.
+   * @param {string} text
+   * @param {Object} rules
+   * @returns {number|null}
+   */
+  function ageInHours(text, rules) {
+    if (!text || typeof text !== 'string') return null;
+    const units = Object.entries(rules.age);
+    const words = [].concat(...units.map(([, unitWords]) => unitWords));
+    const match = text.toLowerCase().match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${words.map(escapeRegExp).join('|')})`, 'u'));
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    const [unit] = units.find(([, unitWords]) => unitWords.includes(match[2]));
+    return unit === 'day' ? value * 24 : value;
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    LOCALES,
+    getLocale,
+    isLocale,
+    marketUrlFor,
+    stripStatusWords,
+    statusKey,
+    normalizeNumbers,
+    normalizePrice,
+    categoryKey,
+    platformLabels,
+    ageInHours
+  };
+});
@@ -0,0 +1,192 @@
+// logger.js
+// Structured debug log. Each entry carries a level, an optional search ID,
+// stage and data object besides the message. The most recent entries are
+// kept in memory in a ring buffer for the debug console; all entries are
+// appended to JSON Lines files in userData/logs, which rotate by size so
+// the folder stays bounded.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_DIR_NAME = 'logs';
+const LOG_FILE_BASE = 'debug';
+// Entries kept in memory.
+const RING_SIZE = 2000;
+// Size at which the current file is rotated, and rotated files kept.
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_FILES = 5;
+
+// Ring buffer of entries; `ringStart` is the index of the oldest one once
+// the buffer is full.
+const ring = [];
+let ringStart = 0;
+// Sequence number of the next entry; lets clients ask for what they missed.
+let nextSeq = 1;
+// Called with each new entry.
+const listeners = [];
+
+// Log folder, set by initLogger. Entries logged before it are only kept
+// in memory.
+let logDir = null;
+let currentSize = 0;
+// Lines waiting to be written, and whether a flush is scheduled.
+let pending = [];
+let flushScheduled = false;
+let writeChain = Promise.resolve();
+
+/**
+ * Path of the current log file (index 0) or a rotated one.
+ * @param {number} index
+ */
+function logFilePath(index) {
+  return path.join(logDir, index === 0 ? `${LOG_FILE_BASE}.jsonl` : `${LOG_FILE_BASE}.${index}.jsonl`);
+}
+
+/**
+ * Start writing log files to the given userData folder.
+ * @param {string} userDataDir
+ */
+function initLogger(userDataDir) {
+  logDir = path.join(userDataDir, LOG_DIR_NAME);
+  fs.mkdirSync(logDir, { recursive: true });
+  try {
+    currentSize = fs.statSync(logFilePath(0)).size;
+  } catch (err) {
+    currentSize = 0;
+  }
+  scheduleFlush();
+}
+
+/**
+ * Shift the log files by one: debug.jsonl becomes debug.1.jsonl and the
+ * oldest file is dropped.
+ */
+async function rotate() {
+  for (let i = MAX_FILES - 1; i >= 0; i--) {
+    try {
+      await fs.promises.rename(logFilePath(i), logFilePath(i + 1));
+    } catch (err) {
+      // file does not exist yet
+    }
+  }
+  await fs.promises.rm(logFilePath(MAX_FILES), { force: true });
+  currentSize = 0;
+}
+
+/** Write the pending lines to the current file, rotating when it is full. */
+async function flush() {
+  flushScheduled = false;
+  if (!logDir || pending.length === 0) return;
+  const lines = pending;
+  pending = [];
+  let chunk = '';
+  for (const line of lines) {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (currentSize > 0 && currentSize + bytes > MAX_FILE_BYTES) {
+      if (chunk) await fs.promises.appendFile(logFilePath(0), chunk, 'utf8');
+      chunk = '';
+      await rotate();
+    }
+    chunk += line + '\n';
+    currentSize += bytes;
+  }
+  if (chunk) await fs.promises.appendFile(logFilePath(0), chunk, 'utf8');
+}
+
+function scheduleFlush() {
+  if (flushScheduled || !logDir) return;
+  flushScheduled = true;
+  setImmediate(() => {
+    writeChain = writeChain.then(flush).catch(() => {
+      // Logging must never break the app; drop the lines
+    });
+  });
+}
+
+/**
+ * Write pending lines synchronously, e.g. when the app quits.
+ */
+function flushLogsSync() {
+  if (!logDir || pending.length === 0) return;
+  try {
+    fs.appendFileSync(logFilePath(0), pending.join('\n') + '\n', 'utf8');
+  } catch (err) {
+    // ignore
+  }
+  pending = [];
+}
+
+/**
+ * Record a log entry.
+ * @param {string} level One of LOG_LEVELS
+ * @param {string} message
+ * @param {Object} [fields]
+ * @param {number} [fields.searchId]
+ * @param {string} [fields.stage] Search stage, e.g. 'waitResults'
+ * @param {Object} [fields.data] Extra values
+ * @returns {Object} The entry
+ */
+function log(level, message, fields = {}) {
+  const entry = {
+    seq: nextSeq++,
+    timestamp: Date.now(),
+    level: LOG_LEVELS.includes(level) ? level : 'info',
+    message: String(message),
+    searchId: fields.searchId !== undefined ? fields.searchId : null,
+    stage: fields.stage || null,
+    data: fields.data !== undefined ? fields.data : null
+  };
+  if (ring.length < RING_SIZE) {
+    ring.push(entry);
+  } else {
+    ring[ringStart] = entry;
+    ringStart = (ringStart + 1) % RING_SIZE;
+  }
+  pending.push(JSON.stringify(entry));
+  scheduleFlush();
+  listeners.forEach(listener => listener(entry));
+  return entry;
+}
+
+/**
+ * Entries in the ring buffer, oldest first.
+ * @param {Object} [options]
+ * @param {number} [options.sinceSeq] Only entries after this sequence number
+ * @returns {Array<Object>}
+ */
+function getLogEntries(options = {}) {
+  const entries = ring.slice(ringStart).concat(ring.slice(0, ringStart));
+  return options.sinceSeq ? entries.filter(entry => entry.seq > options.sinceSeq) : entries;
+}
+
+/**
+ * Paths of the log files on disk, newest first.
+ * @returns {Array<string>}
+ */
+function getLogFilePaths() {
+  if (!logDir) return [];
+  const paths = [];
+  for (let i = 0; i <= MAX_FILES; i++) {
+    if (fs.existsSync(logFilePath(i))) paths.push(logFilePath(i));
+  }
+  return paths;
+}
+
+/**
+ * Register a listener called with every new entry.
+ * @param {function(Object)} listener
+ */
+function onLogEntry(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  initLogger,
+  log,
+  getLogEntries,
+  getLogFilePaths,
+  onLogEntry,
+  flushLogsSync
+};
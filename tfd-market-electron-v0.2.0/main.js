@@ -1,31 +1,230 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification, shell, dialog } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const {
+  waitForCondition,
+  sleep,
+  itemsSignatureScript,
+  loaderHiddenScript,
+  dropdownAppliedScript,
+  itemsChangedScript
+} = require('./wait');
+const {
+  loadSelectorProfile,
+  getSelectorProfile,
+  getSelectors,
+  watchSelectorProfile,
+  unwatchSelectorProfile
+} = require('./selectorProfile');
+const { initSearchStore, saveSearchRecord, listSearchRecords, getSearchRecord, listModuleNames } = require('./searchStore');
+const { initPriceHistory, recordPriceHistory, getPriceHistory } = require('./priceHistory');
+const { setSchedule, clearSchedule, getSchedule, clearAllSchedules } = require('./scheduler');
+const { matchesProfile } = require('./watchRules');
+const { listingKey } = require('./listingIdentity');
+const { diffListings } = require('./listingDiff');
+const { startNetworkCapture } = require('./networkCapture');
+const { SEARCH_ERROR_CODES, searchError, describeSearchError } = require('./searchErrors');
+const { initFailureSnapshots, saveFailureSnapshot, listFailureSnapshots } = require('./failureSnapshots');
+const { writeDiagnosticsBundle } = require('./diagnostics');
+const { createTimeline } = require('./searchTimeline');
+const { getLocale, marketUrlFor, platformLabels } = require('./locales');
+const { initSettings, getSetting, getSettings, updateSettings, resetSettings, onSettingsChange } = require('./settingsStore');
+const { EXIT_CODES, USAGE, parseSearchArgs, exitCodeForError } = require('./cliSearch');
+const { toCsv, toJson } = require('./listingExport');
+const { loadApiToken, startApiServer } = require('./apiServer');
+const { initSessionStore, loadSession, saveSessionSync } = require('./sessionStore');
+const { initLogger, log, getLogEntries, getLogFilePaths, onLogEntry, flushLogsSync } = require('./logger');
+const {
+  configureSearchPool,
+  setConcurrency,
+  getConcurrency,
+  requestSearchSlot,
+  releaseSearchSlot,
+  cancelQueuedSearch,
+  getQueuePosition,
+  closeIdleWindows
+} = require('./searchPool');
 
 // Keep track of the main hub window and all running searches.
 let mainWindow;
 let searchCounter = 1;
 const searches = {};
+// Options of a headless command-line search (see cliSearch.js); null
+// when the app runs with the hub.
+let headless = null;
+// Called with (channel, payload) for every search event sent to the hub.
+const searchEventListeners = [];
+
+/**
+ * Send a search event ('search-updated', 'search-progress', ...) to the
+ * hub window, if it is open, and to the listeners registered with
+ * onSearchEvent.
+ * @param {string} channel
+ * @param {Object} payload Carries the searchId
+ */
+function emitSearchEvent(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+  searchEventListeners.forEach(listener => listener(channel, payload));
+}
+
+/**
+ * Register a listener called with (channel, payload) for every search
+ * event. Used by the headless mode and the local API's event stream.
+ * @param {function(string, Object)} listener
+ * @returns {function()} Removes the listener again
+ */
+function onSearchEvent(listener) {
+  searchEventListeners.push(listener);
+  return () => {
+    const index = searchEventListeners.indexOf(listener);
+    if (index !== -1) searchEventListeners.splice(index, 1);
+  };
+}
+
+// Open tabs as last reported by the hub ('update-session'): their order,
+// titles and helper filter state. Saved with the searches' results when
+// the hub window closes.
+let sessionLayout = null;
+
+// The answer to 'restore-session' per hub page (webContents ID). A hub
+// that reloads and asks again gets the tabs it already restored instead of
+// a second set of search entries.
+const restoredSessions = new Map();
 
-// Array of debug log entries. Each entry contains a timestamp and message.
-const debugLogs = [];
 // Reference to the global debug window when debug mode is enabled.
 let globalDebugWindow = null;
 
+// Settings given on the command line or in the environment. They
+// override the stored settings (see settingsStore.js) for this session:
+//   --market-url=<url>               TFD_MARKET_URL
+//   --locale=<en|ko|de>              TFD_LOCALE
+//   --capture-mode=<dom|network>     TFD_CAPTURE_MODE (network: mock market only)
+//   --max-concurrent-searches=<n>    TFD_MAX_CONCURRENT_SEARCHES
+const SESSION_SETTINGS = {
+  marketUrl: app.commandLine.getSwitchValue('market-url') || process.env.TFD_MARKET_URL || undefined,
+  locale: app.commandLine.getSwitchValue('locale') || process.env.TFD_LOCALE || undefined,
+  captureMode: (app.commandLine.getSwitchValue('capture-mode') || process.env.TFD_CAPTURE_MODE || '').toLowerCase() || undefined,
+  maxConcurrentSearches: app.commandLine.getSwitchValue('max-concurrent-searches') || process.env.TFD_MAX_CONCURRENT_SEARCHES || undefined
+};
+
+// Handle of the mock market server when running offline (--mock-market).
+let mockMarket = null;
+
+// Handle of the local API server (see apiServer.js) while it is enabled,
+// its token and why it last failed to start, for the Settings view.
+let apiServer = null;
+let apiToken = null;
+let apiError = null;
+// Start and stop in order when settings are saved in quick succession.
+let apiServerUpdate = Promise.resolve();
+
+/**
+ * The search operations offered by the local API, the same ones the hub
+ * uses through the preload API. Searches started over the API also get a
+ * tab in the hub ('search-started').
+ */
+const API_OPERATIONS = {
+  listSearches: () => getMetrics(),
+  getSearch: (id) => {
+    const metrics = getMetrics().find(search => search.id === id);
+    if (!metrics) return null;
+    return { ...metrics, data: searches[id].data || [] };
+  },
+  startSearch: (filters) => {
+    const result = startSearch(filters);
+    logDebug(`Search ${result.searchId} started from the local API`, { searchId: result.searchId });
+    emitSearchEvent('search-started', { ...result, filters });
+    return result;
+  },
+  stopSearch: (id) => stopSearch(id),
+  retrySearch: (id) => restartSearch(id, 'retry'),
+  subscribe: (listener) => onSearchEvent(listener)
+};
+
+/**
+ * Start, stop or move the local API server to match the settings.
+ * @returns {Promise<void>}
+ */
+function applyApiSettings() {
+  apiServerUpdate = apiServerUpdate.then(async () => {
+    const enabled = getSetting('apiEnabled');
+    const port = getSetting('apiPort');
+    if (apiServer && (!enabled || apiServer.port !== port)) {
+      await apiServer.close();
+      apiServer = null;
+      logDebug('Local API stopped');
+    }
+    apiError = null;
+    if (!enabled || apiServer) return;
+    try {
+      apiToken = apiToken || loadApiToken(app.getPath('userData'));
+      apiServer = await startApiServer({ port, token: apiToken, operations: API_OPERATIONS, log: logDebug });
+      logDebug(`Local API listening on ${apiServer.url}`);
+    } catch (err) {
+      apiError = err.message;
+      logDebug(`Local API could not start on port ${port}: ${err.message}`, { level: 'error' });
+    }
+  });
+  return apiServerUpdate;
+}
+
+/**
+ * URL of the market page loaded into each search window: the mock market
+ * when running offline, else the configured URL, else the official site
+ * in the configured language.
+ * @returns {string}
+ */
+function currentMarketUrl() {
+  if (mockMarket) return mockMarket.url;
+  return getSetting('marketUrl') || marketUrlFor(getSetting('locale'));
+}
+
+// Whether searches run against the official market rather than the mock
+// market or another copy of the page
+function isOfficialMarket() {
+  return new URL(currentMarketUrl()).hostname === 'tfd.nexon.com';
+}
+
+// Source of locales.js and parsers.js, injected into each search window
+// to parse items. The locale rules must be defined before the parsers.
+const parserSource = [
+  fs.readFileSync(path.join(__dirname, 'locales.js'), 'utf8'),
+  fs.readFileSync(path.join(__dirname, 'parsers.js'), 'utf8')
+].join('\n');
+
+// Scraper timings (step timeouts, scroll delay and limits), the capture
+// mode and the concurrency limit are settings; see settingsStore.js.
+// In 'network' capture mode, the number of scroll iterations that may show
+// listings on the page while none have been captured from the network;
+// after that the search falls back to DOM parsing.
+const CAPTURE_MISS_LIMIT = 3;
+
+// Polling interval and settle time used by the wait engine (see wait.js).
+const WAIT_POLL_INTERVAL = 250;
+const WAIT_SETTLE = 500;
+
 /**
- * Append a message to the debug log. If the global debug window is
- * open, send the updated logs and metrics to it.
+ * Append a message to the debug log (see logger.js).
  * @param {string} message
+ * @param {Object} [fields]
+ * @param {string} [fields.level] 'debug', 'info' (default), 'warn' or 'error'
+ * @param {number} [fields.searchId] Search the message is about
+ * @param {string} [fields.stage] Search stage, e.g. 'waitResults'
+ * @param {Object} [fields.data] Extra values
  */
-function logDebug(message) {
-  debugLogs.push({ timestamp: Date.now(), message });
-  // If debug window is open, push update
+function logDebug(message, fields = {}) {
+  const { level = 'info', ...rest } = fields;
+  log(level, message, rest);
+}
+
+// Stream each new entry to the debug window while it is open.
+onLogEntry((entry) => {
   if (globalDebugWindow && !globalDebugWindow.isDestroyed()) {
-    globalDebugWindow.webContents.send('debug-log', {
-      logs: debugLogs,
-      metrics: getMetrics()
-    });
+    globalDebugWindow.webContents.send('debug-log', entry);
   }
-}
+});
 
 /**
  * Compute basic metrics for each active or completed search. Returns an array
@@ -34,13 +233,24 @@ function logDebug(message) {
 function getMetrics() {
   const metrics = [];
   for (const [id, search] of Object.entries(searches)) {
+    const schedule = getSchedule(Number(id));
     metrics.push({
       id: Number(id),
       running: search.running,
+      // Whether the last run was stopped before it finished
+      cancelled: !!search.cancelled,
+      // Position in the search queue, 0 once the search has a slot
+      queuePosition: getQueuePosition(Number(id)),
       items: search.data ? search.data.length : 0,
       startedAt: search.startedAt || null,
       finishedAt: search.finishedAt || null,
-      filters: search.filters || {}
+      filters: search.filters || {},
+      // Timed steps of the current or last run (see searchTimeline.js)
+      timeline: search.timeline ? { startedAt: search.timeline.startedAt, spans: search.timeline.spans } : null,
+      // Repeat interval and run times for scheduled searches
+      intervalMs: schedule ? schedule.intervalMs : null,
+      lastRunAt: schedule ? schedule.lastRunAt : null,
+      nextRunAt: schedule ? schedule.nextRunAt : null
     });
   }
   return metrics;
@@ -55,8 +265,8 @@ function createMainWindow() {
   // we specify a custom icon so the application shows our bespoke logo
   // in the window frame, taskbar and when packaged as an executable.
   mainWindow = new BrowserWindow({
-    width: 1280,
-    height: 900,
+    width: getSetting('mainWindowWidth'),
+    height: getSetting('mainWindowHeight'),
     // Use our generated icon.  Electron will pick the appropriate
     // resolution from the .ico on Windows, or fall back to the PNG
     // when running on Linux/macOS.  The file lives in the assets
@@ -88,6 +298,8 @@ function createMainWindow() {
   // application to exit. This guarantees that no workers or
   // renderer processes survive after the user closes the app.
   mainWindow.on('closed', () => {
+    // Remember the open tabs for the next start
+    saveSession();
     // Destroy all hidden search windows
     for (const entry of Object.values(searches)) {
       if (entry && entry.window && !entry.window.isDestroyed()) {
@@ -98,6 +310,7 @@ function createMainWindow() {
         }
       }
     }
+    closeIdleWindows();
     // Destroy the global debug window if it exists
     if (globalDebugWindow && !globalDebugWindow.isDestroyed()) {
       try {
@@ -111,7 +324,53 @@ function createMainWindow() {
   });
 }
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  try {
+    headless = parseSearchArgs(process.argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    app.exit(EXIT_CODES.USAGE);
+    return;
+  }
+  const userDataDir = app.getPath('userData');
+  initLogger(userDataDir);
+  initSettings(userDataDir, SESSION_SETTINGS, (message) => logDebug(message, { level: 'warn' }));
+  // Load the selector profile (bundled default, optionally overridden in
+  // userData) and reload it whenever the override file changes.
+  loadSelectorProfile(userDataDir, logDebug);
+  watchSelectorProfile(userDataDir, null, logDebug);
+  initSearchStore(userDataDir);
+  initPriceHistory(userDataDir);
+  initFailureSnapshots(userDataDir);
+  initSessionStore(userDataDir);
+  configureSearchPool({
+    concurrency: getSetting('maxConcurrentSearches'),
+    createWindow: createSearchWindow,
+    onQueueChange: (queued) => {
+      queued.forEach(({ id, position }) => {
+        emitSearchEvent('search-queued', { searchId: id, position });
+      });
+    }
+  });
+  if (app.commandLine.hasSwitch('mock-market')) {
+    try {
+      // mock-market/ is left out of packaged builds, so load it only when asked
+      const { startMockMarket } = require('./mock-market/server');
+      mockMarket = await startMockMarket();
+    } catch (err) {
+      logDebug(`Failed to start mock market: ${err.message}`, { level: 'error' });
+    }
+  }
+  logDebug(`Market URL: ${currentMarketUrl()} (locale ${getSetting('locale')})`);
+  if (getLocale(getSetting('locale')).unverified) {
+    logDebug(`The ${getLocale(getSetting('locale')).label} market words and number format have not been checked against the live site; report listings that are read wrongly`, { level: 'warn' });
+  }
+  logDebug(`Concurrent searches: ${getConcurrency()}`);
+  if (headless) {
+    runHeadlessSearch(headless);
+    return;
+  }
+  applyApiSettings();
   createMainWindow();
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -120,35 +379,125 @@ app.whenReady().then(() => {
   });
 });
 
-// Quit when all windows are closed (except on macOS).
+/**
+ * Stop background work and flush the debug log before the app exits.
+ */
+function shutdown() {
+  unwatchSelectorProfile();
+  clearAllSchedules();
+  closeIdleWindows();
+  if (mockMarket) {
+    mockMarket.close();
+    mockMarket = null;
+  }
+  if (apiServer) {
+    apiServer.close();
+    apiServer = null;
+  }
+  flushLogsSync();
+}
+
+app.on('will-quit', shutdown);
+
+// Quit when all windows are closed (except on macOS). A headless search
+// decides itself when to exit, e.g. after a failed run closed its window.
 app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
+  if (!headless && process.platform !== 'darwin') {
     app.quit();
   }
 });
 
 /**
- * IPC handler: start a new search. The renderer provides a set of
- * filters; we create a new hidden BrowserWindow for this search,
- * load a fresh copy of the market page and begin scraping. In this
- * stub implementation we simply return an empty dataset and mark
- * the search as finished immediately. Real scraping logic should
- * inject scripts into the hidden window to populate `data`.
+ * Start a new search with the given filters. The search is queued until
+ * a slot is free (see searchPool.js), then loads a fresh copy of the
+ * market page in a hidden window from the pool and begins scraping.
+ * @param {Object} filters Values of the search form
+ * @returns {{searchId: number, queuePosition: number}}
  */
-ipcMain.handle('start-search', async (event, filters) => {
+function startSearch(filters) {
   const id = searchCounter++;
-  const searchWindow = new BrowserWindow({
-    show: false,
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true
+  // Store search metadata immediately. The run starts asynchronously so
+  // that the renderer can create the tab without waiting for a slot or
+  // for the page to finish loading.
+  searches[id] = {
+    window: null,
+    filters,
+    running: true,
+    debug: false,
+    startedAt: Date.now(),
+    finishedAt: null,
+    data: []
+  };
+  launchSearch(id, 'search');
+  return { searchId: id, queuePosition: getQueuePosition(id) };
+}
+
+/**
+ * IPC handler: start a new search from the hub's search form.
+ */
+ipcMain.handle('start-search', async (event, filters) => startSearch(filters));
+
+/**
+ * Run one search without the hub window (see cliSearch.js). Progress is
+ * printed to stderr; the deduplicated listings are written as JSON or CSV
+ * to the --out file or stdout. The app then exits with a code from
+ * EXIT_CODES.
+ *
+ * @param {Object} options Parsed arguments from parseSearchArgs
+ */
+function runHeadlessSearch(options) {
+  const { filters, out, format, timeoutMs } = options;
+  const id = searchCounter++;
+  let exited = false;
+  let timer = null;
+  const exit = (code) => {
+    if (exited) return;
+    exited = true;
+    clearTimeout(timer);
+    logDebug(`Headless search ${id} exiting with code ${code}`, { searchId: id });
+    shutdown();
+    app.exit(code);
+  };
+  const progress = (message) => process.stderr.write(`[search] ${message}\n`);
+  let lastStatus = null;
+  let lastCount = -1;
+  onSearchEvent((channel, payload) => {
+    if (exited || payload.searchId !== id) return;
+    if (channel === 'search-queued') {
+      progress(`queued at position ${payload.position}`);
+    } else if (channel === 'search-progress') {
+      const status = payload.batch
+        ? `${payload.stage} (${payload.batch.index}/${payload.batch.total}: ${payload.batch.name})`
+        : payload.stage;
+      if (status !== lastStatus) progress(status);
+      lastStatus = status;
+    } else if (channel === 'search-updated' && payload.error) {
+      progress(`failed (${payload.error.code}): ${payload.error.message}`);
+      exit(exitCodeForError(payload.error));
+    } else if (channel === 'search-updated' && !payload.finished) {
+      if (payload.data.length !== lastCount) progress(`${payload.data.length} listings`);
+      lastCount = payload.data.length;
+    } else if (channel === 'search-updated') {
+      writeHeadlessResults(id, payload.data, out, format).then(() => {
+        progress(`${payload.data.length} listings written to ${out || 'stdout'}`);
+        // Filters that leave nothing count as no results, like a market
+        // that shows none
+        exit(payload.data.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NO_RESULTS);
+      }).catch((err) => {
+        progress(`could not write results: ${err.message}`);
+        exit(EXIT_CODES.ERROR);
+      });
     }
   });
-  // Store search metadata immediately. We will load the URL and start
-  // scraping asynchronously so that the renderer can create the tab
-  // without waiting for the page to finish loading.
+  if (timeoutMs) {
+    timer = setTimeout(() => {
+      progress(`timed out after ${timeoutMs / 1000} s`);
+      cancelRun(id, 'timeout');
+      exit(EXIT_CODES.TIMEOUT);
+    }, timeoutMs);
+  }
   searches[id] = {
-    window: searchWindow,
+    window: null,
     filters,
     running: true,
     debug: false,
@@ -156,89 +505,542 @@ ipcMain.handle('start-search', async (event, filters) => {
     finishedAt: null,
     data: []
   };
-  // Start loading the market page. Once loaded, kick off scraping.
-  searchWindow.loadURL('https://tfd.nexon.com/en/market').then(() => {
-    runSearch(id).catch((err) => {
-      logDebug(`Search ${id} encountered an error: ${err.message}`);
+  progress(`searching ${currentMarketUrl()} for ${JSON.stringify(filters)}`);
+  launchSearch(id, 'headless search');
+}
+
+/**
+ * Write the results of a headless search, then wait for the search to be
+ * saved to the history so it is not lost when the app exits.
+ * @param {number} id The search ID
+ * @param {Array<Object>} listings
+ * @param {string|null} out File path, or null for stdout
+ * @param {string} format 'json' or 'csv'
+ */
+async function writeHeadlessResults(id, listings, out, format) {
+  const text = format === 'csv' ? toCsv(listings) : toJson(listings);
+  if (out) {
+    await fs.promises.writeFile(path.resolve(out), text, 'utf8');
+  } else {
+    await new Promise((resolve, reject) => {
+      process.stdout.write(text, (err) => (err ? reject(err) : resolve()));
     });
-  }).catch((err) => {
-    logDebug(`Search ${id} failed to load the market page: ${err.message}`);
-    // If the page fails to load, mark the search as failed and inform the renderer
-    const entry = searches[id];
-    if (entry) {
-      entry.running = false;
-      entry.finishedAt = Date.now();
-    }
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('search-updated', { searchId: id, data: [], finished: true, error: 'failed to load', moduleType: filters.moduleType });
+  }
+  const entry = searches[id];
+  if (entry && entry.saving) await entry.saving;
+}
+
+/**
+ * Create the hidden browser window a search runs in. Used by the window
+ * pool when no idle window is available.
+ * @returns {BrowserWindow}
+ */
+function createSearchWindow() {
+  return new BrowserWindow({
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true
     }
   });
-  return { searchId: id };
-});
+}
 
 /**
- * IPC handler: stop an existing search. This closes the hidden
- * BrowserWindow and removes the entry from the search table. The
- * renderer will receive a search-stopped event to update its UI.
+ * Queue a run of a search. Once a slot is free the search gets a window
+ * from the pool, loads the market page and runs.
+ * @param {number} id The search ID
+ * @param {string} reason Logged with the run, e.g. 'retry'
  */
-ipcMain.handle('stop-search', async (event, searchId) => {
-  const entry = searches[searchId];
+function launchSearch(id, reason) {
+  const entry = searches[id];
   if (!entry) return;
-  // Mark the search as no longer running and set finish time
-  entry.running = false;
-  entry.finishedAt = Date.now();
-  // Close the hidden window if it exists. We intentionally do not
-  // delete the search entry so the results remain available in the tab.
+  entry.running = true;
+  entry.finishedAt = null;
+  entry.data = [];
+  entry.batch = null;
+  entry.cancelled = false;
+  entry.timeline = null;
+  // Aborted by cancelRun when the search is stopped or restarted; runSearch
+  // checks it between steps and scroll iterations
+  const controller = new AbortController();
+  entry.abortController = controller;
+  const { signal } = controller;
+  const position = requestSearchSlot(id, (win) => {
+    // The search may have been stopped while it waited
+    if (signal.aborted || !searches[id] || !searches[id].running) {
+      releaseSearchSlot(id, win);
+      return;
+    }
+    entry.window = win;
+    entry.startedAt = Date.now();
+    entry.timeline = createTimeline(entry.startedAt);
+    const endLoad = entry.timeline.begin('load');
+    logDebug(`Search ${id} ${reason} started`, { searchId: id });
+    sendProgress(id, 'loading');
+    win.loadURL(currentMarketUrl()).then(() => {
+      endLoad();
+      runSearch(id, signal).catch((err) => {
+        logDebug(`Search ${id} encountered an error on ${reason}: ${err.message}`, { level: 'error', searchId: id });
+      });
+    }).catch((err) => {
+      // Stopping a search closes its window, which fails the load
+      if (!signal.aborted) {
+        failSearch(id, win, searchError(SEARCH_ERROR_CODES.LOAD_FAILED, `Market page failed to load: ${err.message}`, { step: 'load' }));
+      }
+    });
+  });
+  if (position > 0) {
+    logDebug(`Search ${id} ${reason} queued at position ${position}`, { searchId: id });
+  }
+}
+
+/**
+ * Hand back the slot of a search whose run has ended. A healthy window
+ * returns to the pool for the next search; otherwise it is closed. While
+ * the tab's debug view is open the window stays with the search so it
+ * can still be inspected, and is closed by the next run or a stop.
+ *
+ * @param {number} id The search ID
+ * @param {boolean} reusable Whether the window can be reused
+ */
+function endRun(id, reusable) {
+  const entry = searches[id];
+  let pooled = null;
+  if (entry && entry.window && !entry.window.isDestroyed() && !entry.debug) {
+    if (reusable) {
+      pooled = entry.window;
+    } else {
+      entry.window.close();
+    }
+    entry.window = null;
+  }
+  releaseSearchSlot(id, pooled);
+}
+
+/**
+ * Mark a search as failed and inform the renderer. Before the window is
+ * released a snapshot of it (screenshot and results container HTML) is
+ * saved so the failure can be inspected from the tab.
+ *
+ * @param {number} id The search ID
+ * @param {BrowserWindow} win The search window of the failed run
+ * @param {Error} err Error, ideally with a code from searchErrors.js
+ * @param {Object} [options]
+ * @param {boolean} [options.reusable] Whether the window can go back to
+ *   the pool (the page worked but, e.g., had no results)
+ */
+async function failSearch(id, win, err, options = {}) {
+  const entry = searches[id];
+  const error = describeSearchError(err);
+  logDebug(`Search ${id} failed (${error.code}${error.step ? `, step ${error.step}` : ''}): ${error.message}`, { level: 'error', searchId: id });
+  if (entry) {
+    entry.running = false;
+    entry.finishedAt = Date.now();
+  }
+  const signal = entry && entry.abortController ? entry.abortController.signal : null;
+  let snapshotDir = null;
+  try {
+    snapshotDir = await captureFailureSnapshot(id, win, error);
+    logDebug(`Search ${id}: failure snapshot saved to ${snapshotDir}`, { searchId: id });
+  } catch (snapshotErr) {
+    logDebug(`Search ${id}: could not save failure snapshot: ${snapshotErr.message}`, { level: 'warn', searchId: id });
+  }
+  if (entry) entry.snapshotDir = snapshotDir;
+  // Stopped or restarted while the snapshot was taken
+  if (signal && signal.aborted) return;
+  endRun(id, !!options.reusable);
+  const moduleType = entry && entry.filters ? entry.filters.moduleType : undefined;
+  const snapshot = !!snapshotDir;
+  emitSearchEvent('search-updated', { searchId: id, data: [], finished: true, error: { ...error, snapshot }, moduleType });
+}
+
+/**
+ * Save a screenshot and the results container HTML of a search window.
+ * Parts that cannot be captured, e.g. from a crashed window, are left out.
+ * @param {number} id The search ID
+ * @param {BrowserWindow} win
+ * @param {Object} error Error description
+ * @returns {Promise<string>} Snapshot folder
+ */
+async function captureFailureSnapshot(id, win, error) {
+  let image = null;
+  let html = null;
+  if (win && !win.isDestroyed() && !win.webContents.isCrashed()) {
+    try {
+      image = (await win.webContents.capturePage()).toPNG();
+    } catch (err) {
+      logDebug(`Search ${id}: screenshot failed: ${err.message}`, { level: 'warn', searchId: id });
+    }
+    try {
+      const container = JSON.stringify(getSelectors().resultsContainer);
+      html = await win.webContents.executeJavaScript(`(() => {
+        const el = document.querySelector(${container});
+        return el ? el.outerHTML : null;
+      })()`, true);
+    } catch (err) {
+      logDebug(`Search ${id}: results HTML capture failed: ${err.message}`, { level: 'warn', searchId: id });
+    }
+  }
+  const entry = searches[id];
+  return saveFailureSnapshot({ searchId: id, error, filters: entry ? entry.filters : {}, image, html });
+}
+
+/**
+ * Throw a selector-not-found error when a page step reports a missing
+ * control. Step scripts return the selector key they could not find, or
+ * null.
+ * @param {string} step Step name, e.g. 'moduleType'
+ * @param {string|null} missing Selector key
+ */
+function checkStepControls(step, missing) {
+  if (!missing) return;
+  throw searchError(SEARCH_ERROR_CODES.SELECTOR_NOT_FOUND, `Step ${step}: nothing on the page matches selector "${missing}"`, { step, selector: missing });
+}
+
+/**
+ * Cancel the current run of a search: abort its runSearch, take it out of
+ * the queue, close its window and free its slot. The aborted run exits at
+ * its next check without sending further updates. Also closes a window
+ * kept for the debug view of a finished run.
+ *
+ * @param {number} id The search ID
+ * @param {string} reason Why the run is cancelled, e.g. 'stopped'
+ * @returns {boolean} Whether a run was queued or in progress
+ */
+function cancelRun(id, reason) {
+  const entry = searches[id];
+  if (!entry) return false;
+  const wasActive = entry.running;
+  if (entry.abortController && !entry.abortController.signal.aborted) {
+    entry.abortController.abort(new Error(`Search ${id} cancelled (${reason})`));
+  }
+  cancelQueuedSearch(id);
   if (entry.window && !entry.window.isDestroyed()) {
     entry.window.close();
   }
+  entry.window = null;
+  releaseSearchSlot(id, null);
+  entry.running = false;
+  if (wasActive) logDebug(`Search ${id} run cancelled (${reason})`, { searchId: id });
+  return wasActive;
+}
+
+/**
+ * Restart a search with its stored filters. A run still in progress is
+ * cancelled first and previous results are discarded. Used by the retry
+ * button and by scheduled re-runs.
+ *
+ * @param {number} id The search ID
+ * @param {string} reason Logged with the restart, e.g. 'retry'
+ * @returns {boolean} False for an unknown search
+ */
+function restartSearch(id, reason) {
+  const entry = searches[id];
+  if (!entry) return false;
+  cancelRun(id, reason);
+  logDebug(`Search ${id} ${reason} initiated`, { searchId: id });
+  sendProgress(id, 'restarting');
+  launchSearch(id, reason);
+  return true;
+}
+
+/**
+ * Stop an existing search. This closes the hidden BrowserWindow and
+ * removes the entry from the search table. The renderer will receive a
+ * search-stopped event to update its UI.
+ * @param {number} searchId
+ * @returns {boolean} False for an unknown search
+ */
+function stopSearch(searchId) {
+  const entry = searches[searchId];
+  if (!entry) return false;
+  // A search still waiting for a slot has nothing to save
+  const wasQueued = getQueuePosition(searchId) > 0;
+  // Stopping a search also ends its repeat schedule
+  clearSchedule(searchId);
+  // Abort the run, close the hidden window and free its slot. We
+  // intentionally do not delete the search entry so the results remain
+  // available in the tab.
+  const wasRunning = cancelRun(searchId, 'stopped') && !wasQueued;
+  if (wasRunning) entry.cancelled = true;
+  entry.finishedAt = Date.now();
   // Notify renderer that the search has been aborted. We send both a
   // search-updated and a search-stopped event so the UI can update
   // its status and preserve the last known data.
   // Clone data for safe transmission
   const safeData = entry.data ? JSON.parse(JSON.stringify(entry.data)) : [];
-  event.sender.send('search-updated', { searchId, data: safeData, finished: true });
-  event.sender.send('search-stopped', { searchId });
+  emitSearchEvent('search-updated', { searchId, data: safeData, finished: true });
+  emitSearchEvent('search-stopped', { searchId });
+  // Keep whatever was collected before the stop. Closing the tab of a
+  // search that already finished also ends up here; that run was saved
+  // when it finished.
+  if (wasRunning) {
+    persistSearch(searchId, 'cancelled', safeData);
+  }
+  return true;
+}
+
+/**
+ * IPC handler: stop a search from its tab, or when the tab is closed.
+ */
+ipcMain.handle('stop-search', async (event, searchId) => {
+  stopSearch(searchId);
+});
+
+/**
+ * IPC handler: open the folder of the failure snapshot saved for a
+ * search's last failed run.
+ * @returns {Promise<string>} Empty on success, otherwise an error message
+ */
+ipcMain.handle('open-search-snapshot', async (_event, searchId) => {
+  const entry = searches[searchId];
+  if (!entry || !entry.snapshotDir) return 'No snapshot for this search';
+  return shell.openPath(entry.snapshotDir);
 });
 
 /**
  * IPC handler: retry a search. This handler takes an existing searchId
  * and restarts the scraping process using the same filters. It
- * preserves the tab but discards any previous results. If the
- * hidden window is still open, it will be closed and replaced with
- * a new instance. This allows the user to reattempt a failed search
- * without re‑entering the parameters.
+ * preserves the tab but discards any previous results; a run still in
+ * progress is cancelled first. The new run
+ * queues for a slot and a pooled window like a new search. This allows
+ * the user to reattempt a failed search without re‑entering the
+ * parameters.
  */
 ipcMain.handle('retry-search', async (event, searchId) => {
+  restartSearch(searchId, 'retry');
+});
+
+/**
+ * IPC handler: bind a saved filter profile to a search as a watch rule.
+ * `rule` is { profileName, state } where state comes from the helper's
+ * profileManager; pass null to remove the rule. Listings already shown in
+ * the tab count as seen, so only later runs can trigger notifications.
+ */
+ipcMain.handle('set-watch-rule', async (_event, searchId, rule) => {
   const entry = searches[searchId];
-  if (!entry) return;
-  // Close existing hidden window if still present
-  if (entry.window && !entry.window.isDestroyed()) {
-    entry.window.close();
+  if (!entry) return false;
+  if (!rule || !rule.state) {
+    entry.watch = null;
+    logDebug(`Search ${searchId} watch rule removed`, { searchId });
+    return false;
   }
-  // Create a new hidden window
-  const newWin = new BrowserWindow({
-    show: false,
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true
+  entry.watch = {
+    profileName: rule.profileName || '',
+    state: rule.state,
+    seen: new Set((entry.data || []).map(listingKey))
+  };
+  logDebug(`Search ${searchId} watching with profile "${entry.watch.profileName}"`, { searchId });
+  return true;
+});
+
+/**
+ * IPC handler: give a search a repeat interval. The search is re-run with
+ * the same filters every `intervalMs`; a falsy or non-positive interval
+ * turns repetition off. Resolves to the new schedule
+ * ({ intervalMs, lastRunAt, nextRunAt }) or null.
+ */
+ipcMain.handle('set-search-schedule', async (_event, searchId, intervalMs) => {
+  const entry = searches[searchId];
+  if (!entry) return null;
+  if (!(intervalMs > 0)) {
+    clearSchedule(searchId);
+    logDebug(`Search ${searchId} no longer repeats`, { searchId });
+    return null;
+  }
+  logDebug(`Search ${searchId} repeats every ${Math.round(intervalMs / 1000)} s`, { searchId });
+  return setSchedule(searchId, intervalMs, {
+    lastRunAt: entry.startedAt,
+    run: (id) => {
+      const current = searches[id];
+      if (!current) return false;
+      if (current.running) {
+        logDebug(`Search ${id} still running, skipping scheduled run`, { level: 'warn', searchId: id });
+        return false;
+      }
+      restartSearch(id, 'scheduled run');
+      return true;
+    },
+    onChange: (id, schedule) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('search-schedule', { searchId: id, schedule });
+      }
     }
   });
-  await newWin.loadURL('https://tfd.nexon.com/en/market');
-  // Reset search metadata
-  entry.window = newWin;
-  entry.running = true;
-  entry.startedAt = Date.now();
-  entry.finishedAt = null;
-  entry.data = [];
-  // Kick off the scraping logic again
-  runSearch(searchId).catch((err) => {
-    logDebug(`Search ${searchId} encountered an error on retry: ${err.message}`);
-  });
-  // Also update the debug metrics and logs
-  logDebug(`Search ${searchId} retry initiated`);
 });
 
+/**
+ * Save a search run to the search store and notify the hub so its list of
+ * past searches can refresh. Each run, identified by its start time, is
+ * saved at most once.
+ *
+ * @param {number} id The search ID
+ * @param {string} status Terminal status: 'finished' or 'cancelled'
+ * @param {Array<Object>} listings The modules shown in the tab
+ */
+function persistSearch(id, status, listings) {
+  const entry = searches[id];
+  if (!entry || entry.persistedStartedAt === entry.startedAt) return;
+  entry.persistedStartedAt = entry.startedAt;
+  // Kept so the headless mode can wait for the save before exiting
+  entry.saving = saveSearchRecord({
+    searchId: id,
+    filters: entry.filters,
+    status,
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    listings
+  }).then((record) => {
+    logDebug(`Search ${id} saved as ${record.recordId} (${listings.length} items, ${status})`, { searchId: id });
+    emitSearchEvent('search-saved', { searchId: id, recordId: record.recordId });
+    return recordPriceHistory(record);
+  }).catch((err) => {
+    logDebug(`Search ${id} could not be saved: ${err.message}`, { level: 'warn', searchId: id });
+  });
+}
+
+/**
+ * Compare a finished run against the search's watch rule. Listings that
+ * pass the rule's profile and were not seen in an earlier run raise a
+ * desktop notification and a 'watch-match' event so the hub can badge the
+ * tab. Clicking the notification focuses the tab and scrolls to the card.
+ *
+ * @param {number} id The search ID
+ * @param {Array<Object>} listings The modules shown in the tab
+ */
+function checkWatchRule(id, listings) {
+  const entry = searches[id];
+  if (!entry || !entry.watch) return;
+  const { watch } = entry;
+  const triggerMode = (entry.filters || {}).moduleType === 'trigger';
+  const matches = listings.filter(mod => !watch.seen.has(listingKey(mod)) && matchesProfile(mod, watch.state, { triggerMode }));
+  listings.forEach(mod => watch.seen.add(listingKey(mod)));
+  if (matches.length === 0) return;
+  logDebug(`Search ${id}: ${matches.length} new listing(s) match watch rule "${watch.profileName}"`, { searchId: id });
+  const firstKey = listingKey(matches[0]);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('watch-match', { searchId: id, count: matches.length, listingKey: firstKey });
+  }
+  if (!Notification.isSupported()) return;
+  const first = matches[0];
+  const notification = new Notification({
+    title: matches.length === 1 ? `New match: ${first.name}` : `${matches.length} new matches for "${watch.profileName}"`,
+    body: `${first.name} · ${first.price} Caliber · ${first.sellerName}`
+  });
+  notification.on('click', () => {
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.send('focus-listing', { searchId: id, listingKey: firstKey });
+  });
+  notification.show();
+}
+
+/**
+ * Send a 'search-progress' event for a search (see emitSearchEvent).
+ * @param {number} id The search ID
+ * @param {string} stage Stage identifier shown in the tab status
+ */
+function sendProgress(id, stage) {
+  // Batch searches also report which of their names is being searched
+  const batch = searches[id] ? searches[id].batch || null : null;
+  emitSearchEvent('search-progress', { searchId: id, stage, batch });
+}
+
+/**
+ * Wait for a page condition during a search. Emits a 'search-progress'
+ * event for the stage, then polls the predicate script until it is met or
+ * the timeout expires. A timeout is logged but does not abort the search.
+ *
+ * @param {number} id The search ID
+ * @param {BrowserWindow} win The hidden search window
+ * @param {string} stage Stage identifier reported to the renderer
+ * @param {string} script Predicate script (see wait.js)
+ * @param {number} timeout Maximum wait in ms
+ * @param {AbortSignal} signal The run's cancellation signal
+ * @returns {Promise<boolean>} Whether the condition was met
+ */
+async function waitForStage(id, win, stage, script, timeout, signal) {
+  sendProgress(id, stage);
+  const { met, elapsed } = await waitForCondition(win.webContents, script, {
+    timeout,
+    interval: WAIT_POLL_INTERVAL,
+    settle: WAIT_SETTLE,
+    signal
+  });
+  if (met) {
+    logDebug(`Search ${id}: ${stage} condition met after ${elapsed} ms`, { level: 'debug', searchId: id, stage });
+  } else {
+    logDebug(`Search ${id}: ${stage} condition not met within ${timeout} ms, continuing`, { level: 'warn', searchId: id, stage });
+  }
+  return met;
+}
+
+// Selector profile keys of the page controls each site filter needs
+const SITE_FILTER_CONTROLS = {
+  socketType: ['socketTypeDropdown'],
+  priceMin: ['priceMinInput', 'filterApplyButton'],
+  priceMax: ['priceMaxInput', 'filterApplyButton'],
+  rankMin: ['rankMinInput', 'filterApplyButton'],
+  rankMax: ['rankMaxInput', 'filterApplyButton']
+};
+
+/**
+ * The search form values that runSearch applies on the market page after
+ * module type, name and platform. Empty fields are left out; ranges are
+ * numbers.
+ * @param {Object} filters Filters submitted from the hub form
+ * @returns {{socketType?: string, priceMin?: number, priceMax?: number, rankMin?: number, rankMax?: number}}
+ */
+function siteFilterValues(filters) {
+  const values = {};
+  if (filters.socketType && filters.moduleType !== 'trigger') values.socketType = filters.socketType;
+  ['priceMin', 'priceMax', 'rankMin', 'rankMax'].forEach(key => {
+    const num = parseFloat(filters[key]);
+    if (!isNaN(num)) values[key] = num;
+  });
+  return values;
+}
+
+/**
+ * Module names entered in the search form. The name field may list
+ * several modules separated by newlines or commas; duplicates are
+ * dropped.
+ * @param {Object} filters Filters submitted from the hub form
+ * @returns {Array<string>} Empty when no name was entered
+ */
+function searchNames(filters) {
+  const names = [];
+  String(filters.moduleName || '').split(/[\n,]/).forEach(part => {
+    const name = part.trim();
+    if (name && !names.some(n => n.toLowerCase() === name.toLowerCase())) names.push(name);
+  });
+  return names;
+}
+
+/**
+ * Whether a parsed listing satisfies the search form: one of the module
+ * names (case-insensitive substring) and the site filters from
+ * siteFilterValues. Applied to scraped results so they are correct even
+ * when the page lacks a control for a filter.
+ * @param {Object} mod
+ * @param {Object} filters Filters submitted from the hub form
+ */
+function matchesSearchForm(mod, filters) {
+  const names = searchNames(filters).map(name => name.toLowerCase());
+  if (names.length > 0 && !(mod.name && names.some(name => mod.name.toLowerCase().includes(name)))) return false;
+  const site = siteFilterValues(filters);
+  if (site.socketType && (mod.socketType || '').toLowerCase() !== site.socketType.toLowerCase()) return false;
+  const price = parseFloat((mod.price || '').replace(/[^0-9.]/g, ''));
+  if (site.priceMin !== undefined && !(price >= site.priceMin)) return false;
+  if (site.priceMax !== undefined && !(price <= site.priceMax)) return false;
+  const rank = parseInt(String(mod.requiredRank || '').replace(/[^0-9]/g, ''), 10);
+  if (site.rankMin !== undefined && !(rank >= site.rankMin)) return false;
+  if (site.rankMax !== undefined && !(rank <= site.rankMax)) return false;
+  return true;
+}
+
 /**
  * Execute a search within its hidden browser window. This function
  * constructs a script to run in the page context that performs the
@@ -246,361 +1048,449 @@ ipcMain.handle('retry-search', async (event, searchId) => {
  * results and extracts relevant information from each item.
  *
  * @param {number} id The search ID
+ * @param {AbortSignal} signal Aborted when the search is stopped or
+ *   restarted; the run then ends without sending further updates
  */
-async function runSearch(id) {
+async function runSearch(id, signal) {
   const entry = searches[id];
   if (!entry) return;
   const win = entry.window;
+  const timeline = entry.timeline || createTimeline();
+  // Set when the window's renderer goes away during the run
+  let crashReason = null;
+  const windowCrashed = () => searchError(SEARCH_ERROR_CODES.WINDOW_CRASHED, `Search window renderer gone (${crashReason})`);
+  const onRenderProcessGone = (_event, details) => {
+    crashReason = details.reason;
+    logDebug(`Search ${id}: search window renderer gone (${details.reason})`, { level: 'error', searchId: id });
+  };
+  win.webContents.on('render-process-gone', onRenderProcessGone);
+  // Run a script in the search window. Cancellation is checked before and
+  // after, so a stopped run never touches its closed window and ends at
+  // the next step.
+  const runInPage = async (script) => {
+    signal.throwIfAborted();
+    if (crashReason) throw windowCrashed();
+    let result;
+    try {
+      result = await win.webContents.executeJavaScript(script, true);
+    } catch (err) {
+      signal.throwIfAborted();
+      if (crashReason) throw windowCrashed();
+      throw err;
+    }
+    signal.throwIfAborted();
+    return result;
+  };
   const filters = entry.filters || {};
-  logDebug(`Search ${id} started: ${JSON.stringify(filters)}`);
+  // Selectors are read once per run so a hot-reloaded profile applies to
+  // the next search rather than changing underneath a running one.
+  const selectors = getSelectors();
+  // Settings are read once per run as well
+  const settings = getSettings().values;
+  const localeRules = getLocale(settings.locale);
+  logDebug(`Search ${id} started: ${JSON.stringify(filters)}`, { searchId: id });
+  // In network mode, listen before the first step so every query the
+  // page makes is seen
+  let capture = null;
+  if (settings.captureMode === 'network') {
+    const mapping = getSelectorProfile().network;
+    if (isOfficialMarket()) {
+      logDebug(`Search ${id}: network capture only works against the mock market, parsing the DOM of tfd.nexon.com instead`, { level: 'warn', searchId: id });
+    } else if (mapping && mapping.enabled === false) {
+      logDebug(`Search ${id}: network mapping of the selector profile is disabled, parsing the DOM instead`, { level: 'warn', searchId: id });
+    } else if (mapping && mapping.urlPattern) {
+      try {
+        capture = await startNetworkCapture(win.webContents, mapping, (message) => logDebug(message, { level: 'warn', searchId: id }), localeRules);
+        logDebug(`Search ${id}: capturing listings from network responses`, { searchId: id });
+      } catch (err) {
+        logDebug(`Search ${id}: network capture unavailable (${err.message}), parsing the DOM instead`, { level: 'warn', searchId: id });
+      }
+    } else {
+      logDebug(`Search ${id}: selector profile has no network mapping, parsing the DOM instead`, { searchId: id });
+    }
+  }
   try {
     // Set the search filters in the order required by the official site.
     // 1. Select module type (Ancestors or Trigger)
-    logDebug(`Search ${id}: selecting module type ${filters.moduleType}`);
+    logDebug(`Search ${id}: selecting module type ${filters.moduleType}`, { level: 'debug', searchId: id });
+    // The dropdown shows the category in the site's language
+    const moduleTypeLabel = localeRules.categories[filters.moduleType === 'trigger' ? 'Trigger' : 'Ancestors'][0];
+    const endModuleType = timeline.begin('moduleType');
     const stepSelectModuleType = `(async () => {
-      const filters = ${JSON.stringify(filters)};
+      const label = ${JSON.stringify(moduleTypeLabel)};
+      const selectors = ${JSON.stringify(selectors)};
       const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-      const btn = document.querySelector('div[data-name="moduletype"] .dropdown__button');
-      if (btn) {
-        btn.click();
-        await sleep(200);
-        const options = Array.from(document.querySelectorAll('div[data-name="moduletype"] li'));
-        const target = options.find(li => li.textContent && li.textContent.toLowerCase().includes(filters.moduleType.toLowerCase()));
-        if (target) target.click();
-      }
+      const btn = document.querySelector(selectors.moduleTypeDropdown + ' ' + selectors.dropdownButton);
+      if (!btn) return 'moduleTypeDropdown';
+      btn.click();
+      await sleep(200);
+      const options = Array.from(document.querySelectorAll(selectors.moduleTypeDropdown + ' ' + selectors.dropdownOption));
+      const target = options.find(li => li.textContent && li.textContent.toLowerCase().includes(label.toLowerCase()));
+      if (!target) return 'dropdownOption';
+      target.click();
+      return null;
     })();`;
-    await win.webContents.executeJavaScript(stepSelectModuleType, true);
-    // Wait 8 seconds for the lazy loader to process module type change
-    await new Promise(r => setTimeout(r, 8000));
-
-    // 2. Enter the search term into the market search box and press enter or click search button
-    logDebug(`Search ${id}: entering search term "${filters.moduleName}"`);
-    const stepEnterSearch = `(async () => {
-      const filters = ${JSON.stringify(filters)};
-      const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-      let input = null;
-      for (let i = 0; i < 50; i++) {
-        input = document.querySelector('#search__input');
-        if (input) break;
-        await sleep(200);
-      }
-      if (input) {
+    // The script returns the selector key of a missing control, if any
+    checkStepControls('moduleType', await runInPage(stepSelectModuleType));
+    // Wait until the dropdown shows the new module type and the lazy
+    // loader has finished reloading the list.
+    await waitForStage(id, win, 'waitModuleType', dropdownAppliedScript(selectors, selectors.moduleTypeDropdown, moduleTypeLabel), settings.moduleTypeTimeoutMs, signal);
+    endModuleType();
+
+    // JavaScript snippet to parse the currently loaded modules and check
+    // loader. The parsers live in parsers.js and are injected as source.
+    const parseScript = `(() => {
+      ${parserSource}
+      const result = TFDParsers.parseDocument(document, ${JSON.stringify(selectors)}, TFDLocales.getLocale(${JSON.stringify(settings.locale)}));
+      // Convert the result to a JSON string to avoid structured clone errors
+      return JSON.stringify(result);
+    })()`;
+    // Item count and loader state only, used while listings come from the
+    // network
+    const statusScript = `(() => {
+      ${parserSource}
+      return JSON.stringify(TFDParsers.documentStatus(document, ${JSON.stringify(selectors)}));
+    })()`;
+    let captureMisses = 0;
+
+    // The name field may list several modules. Each one is searched in
+    // turn in this window and its listings are merged into the same tab;
+    // the platform and site filters stay applied on the page in between.
+    // Without a name the market's unfiltered list is scraped once.
+    const names = searchNames(filters);
+    const terms = names.length > 0 ? names : [''];
+    // Dedupe across iterations and names
+    const seen = new Set();
+    let deduped = [];
+    let zeroTimeoutTriggered = false;
+    for (let n = 0; n < terms.length; n++) {
+      // A stop or restart between names ends the run here
+      signal.throwIfAborted();
+      const term = terms[n];
+      entry.batch = terms.length > 1 ? { index: n + 1, total: terms.length, name: term } : null;
+
+      // 2. Enter the search term into the market search box and press enter or click search button
+      logDebug(`Search ${id}: entering search term "${term}"${entry.batch ? ` (${n + 1}/${terms.length})` : ''}`, { level: 'debug', searchId: id });
+      // Notify the renderer that the module name is being entered. This allows
+      // the UI to update the status indicator to reflect that the search
+      // query is being processed. Use a dedicated 'search-progress' event.
+      sendProgress(id, 'enterName');
+      const endEnterName = timeline.begin('enterName', { name: term });
+      // Remember the current result list so we can tell when the search
+      // results have replaced it.
+      const signatureBeforeSearch = await runInPage(itemsSignatureScript(selectors));
+      const stepEnterSearch = `(async () => {
+        const term = ${JSON.stringify(term)};
+        const selectors = ${JSON.stringify(selectors)};
+        const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+        let input = null;
+        for (let i = 0; i < 50; i++) {
+          input = document.querySelector(selectors.searchInput);
+          if (input) break;
+          await sleep(200);
+        }
+        if (!input) return 'searchInput';
         input.focus();
         // Clear existing value
         input.value = '';
         input.dispatchEvent(new Event('input', { bubbles: true }));
-        input.value = filters.moduleName || '';
+        input.value = term;
         input.dispatchEvent(new Event('input', { bubbles: true }));
         // Press Enter to trigger search suggestions
         input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true }));
         input.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true }));
         // Click the search button as a fallback
-        const btn = document.querySelector('.search__btn');
+        const btn = document.querySelector(selectors.searchButton);
         if (btn) btn.click();
+        return null;
+      })();`;
+      checkStepControls('enterName', await runInPage(stepEnterSearch));
+      // Wait for the search results to replace the previous list. Without a
+      // search term the list does not change, so only wait for the loader.
+      if (term) {
+        await waitForStage(id, win, 'waitResults', itemsChangedScript(selectors, signatureBeforeSearch), settings.resultsTimeoutMs, signal);
+      } else {
+        await waitForStage(id, win, 'waitResults', loaderHiddenScript(selectors), settings.resultsTimeoutMs, signal);
       }
-    })();`;
-    await win.webContents.executeJavaScript(stepEnterSearch, true);
-    // Wait 8 seconds for the initial results to load
-    await new Promise(r => setTimeout(r, 8000));
-
-    // Notify the renderer that the module name has been entered. This allows
-    // the UI to update the status indicator to reflect that the search
-    // query is being processed. Use a dedicated 'search-progress' event.
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('search-progress', { searchId: id, stage: 'enterName' });
-    }
-
-    // 3. Select the platform filter (sold on) after results have appeared
-    logDebug(`Search ${id}: selecting platform ${filters.platform}`);
-    const stepSelectPlatform = `(async () => {
-      const filters = ${JSON.stringify(filters)};
-      const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-      const btn = document.querySelector('div[data-name="platform"] .dropdown__button');
-      if (btn) {
-        btn.click();
-        await sleep(200);
-        const options = Array.from(document.querySelectorAll('div[data-name="platform"] li'));
-        const target = options.find(li => li.textContent && li.textContent.toLowerCase().includes(filters.platform.toLowerCase()));
-        if (target) target.click();
-      }
-    })();`;
-    await win.webContents.executeJavaScript(stepSelectPlatform, true);
-    // Wait 8 seconds for the sold-on filter to apply
-    await new Promise(r => setTimeout(r, 8000));
-
-    // Notify the renderer that the platform has been selected. The UI
-    // can display a status indicating that the platform filter is being
-    // applied. We use 'search-progress' for these intermediate states.
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('search-progress', { searchId: id, stage: 'setPlatform' });
-    }
+      endEnterName();
 
-    // Inform the UI that we are now waiting for the website to
-    // fully process the filter selections before beginning the scroll.
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('search-progress', { searchId: id, stage: 'waiting' });
-    }
-
-    // Now iteratively scroll and parse modules to provide incremental updates.
-    logDebug(`Search ${id}: running iterative scroll and parse loop`);
+      // Platform and site filters are set once, after the first results
+      // have appeared
+      if (n === 0) {
+        // 3. Select the platform filter (sold on) after results have appeared
+        logDebug(`Search ${id}: selecting platform ${filters.platform}`, { level: 'debug', searchId: id });
+        // Notify the renderer that the platform is being selected. The UI
+        // can display a status indicating that the platform filter is being
+        // applied. We use 'search-progress' for these intermediate states.
+        sendProgress(id, 'setPlatform');
+        const endPlatform = timeline.begin('platform');
+        // The dropdown names the platforms in the site's language
+        const platformWords = platformLabels(filters.platform, localeRules);
+        const stepSelectPlatform = `(async () => {
+          const words = ${JSON.stringify(platformWords)};
+          const selectors = ${JSON.stringify(selectors)};
+          const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+          const btn = document.querySelector(selectors.platformDropdown + ' ' + selectors.dropdownButton);
+          if (!btn) return 'platformDropdown';
+          btn.click();
+          await sleep(200);
+          const options = Array.from(document.querySelectorAll(selectors.platformDropdown + ' ' + selectors.dropdownOption));
+          const target = options.find(li => li.textContent && words.some(word => li.textContent.toLowerCase().includes(word.toLowerCase())));
+          if (!target) return 'dropdownOption';
+          target.click();
+          return null;
+        })();`;
+        checkStepControls('platform', await runInPage(stepSelectPlatform));
+        // Wait until the sold-on dropdown reflects the platform and the list
+        // has reloaded.
+        await waitForStage(id, win, 'waitPlatform', dropdownAppliedScript(selectors, selectors.platformDropdown, platformWords), settings.platformTimeoutMs, signal);
+        endPlatform();
 
-    // Record the time at which the scrolling/parsing loop begins. We'll
-    // monitor how long the results array remains empty. If no items are
-    // discovered within a 30‑second window, we'll abort the search and
-    // report a timeout error back to the renderer. This helps catch
-    // cases where the site returns no results or the page structure has
-    // changed in a way that prevents our parser from finding items.
-    const zeroStart = Date.now();
-    let zeroTimeoutTriggered = false;
-
-    // JavaScript snippet to parse the currently loaded modules and check loader
-    const parseScript = `(() => {
-      function parseAncestor(item) {
-        const getText = (sel) => {
-          const el = item.querySelector(sel);
-          return el ? el.textContent.trim() : '';
-        };
-        const name = getText('.row-wrapper .name') || getText('.module-name');
-        const category = 'Ancestors';
-        // Socket type may be present on ancestor-info or general item info
-        let socketType = getText('.ancestor-info .socket-type') || getText('.item__info .socket-type');
-        const requiredRank = getText('.ancestor-info .required-rank span');
-        const platform = getText('.seller .platform');
-        const rerollCount = getText('.seller .reroll span');
-        // Extract seller name and status. The nickname element contains a text
-        // node followed by an <i> element for the status. Read only the
-        // first text node for the seller name and extract the status from
-        // the <i> element. This matches the Chrome extension logic and
-        // avoids including status words in the seller name.
-        let sellerName = '';
-        let sellerStatus = '';
-        const nickEl = item.querySelector('.seller .nickname');
-        if (nickEl) {
-          // Concatenate all text nodes and remove any embedded status words
-          let nameText = '';
-          nickEl.childNodes.forEach(node => {
-            if (node.nodeType === Node.TEXT_NODE) {
-              nameText += node.textContent;
+        // 4. Apply the other filters the mock market supports natively
+        // (socket type, price and required MR ranges) so fewer listings
+        // need scrolling. Their selectors are listed as unverified in the
+        // bundled profile: they follow the mock market, so on tfd.nexon.com
+        // the filters needing them are not tried at all. Controls that are
+        // missing, or selectors the page rejects, are skipped too; the same
+        // filters are applied to the parsed results as well, so the outcome
+        // is correct either way.
+        const siteFilters = siteFilterValues(filters);
+        if (isOfficialMarket()) {
+          const unverified = getSelectorProfile().unverified || [];
+          const unsupported = Object.keys(siteFilters).filter(key => SITE_FILTER_CONTROLS[key].some(control => unverified.includes(control)));
+          if (unsupported.length > 0) {
+            logDebug(`Search ${id}: native site filtering of ${unsupported.join(', ')} is not supported on tfd.nexon.com, filtering after scraping`, { searchId: id });
+            unsupported.forEach(key => delete siteFilters[key]);
+          }
+        }
+        if (Object.keys(siteFilters).length > 0) {
+          sendProgress(id, 'setFilters');
+          const endFilters = timeline.begin('filters');
+          logDebug(`Search ${id}: applying site filters ${JSON.stringify(siteFilters)}`, { level: 'debug', searchId: id });
+          const stepApplyFilters = `(async () => {
+            const filters = ${JSON.stringify(siteFilters)};
+            const selectors = ${JSON.stringify(selectors)};
+            const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+            const queryAll = (selector) => {
+              if (!selector) return [];
+              try {
+                return Array.from(document.querySelectorAll(selector));
+              } catch (e) {
+                return [];
+              }
+            };
+            const applied = [];
+            if (filters.socketType && selectors.socketTypeDropdown) {
+              const btn = queryAll(selectors.socketTypeDropdown + ' ' + selectors.dropdownButton)[0];
+              if (btn) {
+                btn.click();
+                await sleep(200);
+                const options = queryAll(selectors.socketTypeDropdown + ' ' + selectors.dropdownOption);
+                const target = options.find(li => li.textContent && li.textContent.trim().toLowerCase() === filters.socketType.toLowerCase());
+                if (target) {
+                  target.click();
+                  applied.push('socketType');
+                } else {
+                  // Close the dropdown again rather than leave it over the list
+                  btn.click();
+                }
+              }
+            }
+            // Use the native value setter so frameworks that track input
+            // values see the change, then fire the events they listen for
+            const setValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+            const inputs = { priceMin: selectors.priceMinInput, priceMax: selectors.priceMaxInput, rankMin: selectors.rankMinInput, rankMax: selectors.rankMaxInput };
+            let rangeSet = false;
+            for (const [key, selector] of Object.entries(inputs)) {
+              if (filters[key] === undefined) continue;
+              const input = queryAll(selector)[0];
+              if (!input) continue;
+              setValue.call(input, String(filters[key]));
+              input.dispatchEvent(new Event('input', { bubbles: true }));
+              input.dispatchEvent(new Event('change', { bubbles: true }));
+              applied.push(key);
+              rangeSet = true;
+            }
+            if (rangeSet) {
+              const applyBtn = queryAll(selectors.filterApplyButton)[0];
+              if (applyBtn) applyBtn.click();
             }
-          });
-          sellerName = nameText.replace(/\b(online|offline)\b/gi, '').trim();
-          // Fallback to trimming the entire text content if necessary
-          if (!sellerName) {
-            sellerName = nickEl.textContent.replace(/\b(online|offline)\b/gi, '').trim();
+            return applied;
+          })();`;
+          let applied = [];
+          try {
+            applied = await runInPage(stepApplyFilters);
+          } catch (err) {
+            if (signal.aborted || crashReason) throw err;
+            logDebug(`Search ${id}: applying site filters failed (${err.message}), filtering after scraping`, { level: 'warn', searchId: id });
           }
-          const stateEl = nickEl.querySelector('i');
-          if (stateEl) {
-            sellerStatus = stateEl.textContent.trim();
+          const skipped = Object.keys(siteFilters).filter(key => !applied.includes(key));
+          if (skipped.length > 0) {
+            logDebug(`Search ${id}: site has no control for ${skipped.join(', ')}, filtering after scraping`, { level: 'warn', searchId: id });
           }
-        }
-        const sellerRank = getText('.seller .rank span');
-        let price = '';
-        const priceEl = item.querySelector('.price');
-        if (priceEl) {
-          // Some price labels include the word "Caliber" already. Remove it
-          // here so the UI can append a single "Caliber" suffix later.
-          const rawPrice = priceEl.textContent.trim();
-          price = rawPrice.replace(/\bCaliber\b/gi, '').trim();
-        }
-        const attributes = [];
-        const stats = [];
-        const optionEls = item.querySelectorAll('.item__details .option');
-        optionEls.forEach(opt => {
-          const nameEl = opt.querySelector('.option-name');
-          const valueEl = opt.querySelector('.option-value');
-          if (!nameEl) return;
-          const raw = nameEl.textContent.trim();
-          const positive = raw.startsWith('(+)');
-          const negative = raw.startsWith('(-)');
-          let attr = raw;
-          if (positive || negative) {
-            attr = attr.substring(3).trim();
+          if (applied.length > 0) {
+            await waitForStage(id, win, 'waitFilters', loaderHiddenScript(selectors), settings.filtersTimeoutMs, signal);
           }
-          attr = attr.split('[')[0].trim();
-          if (attr && !attributes.includes(attr)) attributes.push(attr);
-          const value = valueEl ? valueEl.textContent.trim() : '';
-          stats.push({ raw, positive, negative, value });
-        });
-        const regDate = getText('.information .date span');
-        return { name, category, socketType, requiredRank, price, platform, rerollCount, sellerName, sellerStatus, sellerRank, regDate, attributes, stats };
+          endFilters({ applied });
+        }
       }
-      function parseTrigger(item) {
-        const getText = (sel) => {
-          const el = item.querySelector(sel);
-          return el ? el.textContent.trim() : '';
-        };
-        const name = getText('.row-wrapper .name') || getText('.module-name');
-        const category = 'Trigger';
-        const socketType = '';
-        let requiredRank = '';
-        const reqSpan = item.querySelector('.item__info .required-mastery-rank span, .item__info .required-rank span');
-        if (reqSpan && reqSpan.textContent) requiredRank = reqSpan.textContent.trim();
-        const platform = getText('.seller .platform');
-        const rerollCount = getText('.seller .reroll span');
-        // Extract seller name and status using the same logic as in the
-        // ancestor parser: only the first text node contains the name,
-        // while an <i> element holds the status. This prevents status
-        // strings from appearing in the seller name.
-        let sellerName = '';
-        let sellerStatus = '';
-        const nickEl2 = item.querySelector('.seller .nickname');
-        if (nickEl2) {
-          let nameText = '';
-          nickEl2.childNodes.forEach(node => {
-            if (node.nodeType === Node.TEXT_NODE) {
-              nameText += node.textContent;
+
+      // Wait for the website to fully process the filter selections before
+      // beginning the scroll.
+      const endSettle = timeline.begin('settle', { name: term });
+      await waitForStage(id, win, 'waiting', loaderHiddenScript(selectors), settings.loaderTimeoutMs, signal);
+      endSettle();
+
+      // Now iteratively scroll and parse modules to provide incremental updates.
+      logDebug(`Search ${id}: running iterative scroll and parse loop`, { level: 'debug', searchId: id });
+
+      // Record the time at which the scrolling/parsing loop begins. We'll
+      // monitor how long this name adds no listings. If nothing is
+      // discovered within the no-results timeout, we move on to the next name;
+      // when no name found anything the search reports a timeout error
+      // back to the renderer. This helps catch cases where the site
+      // returns no results or the page structure has changed in a way
+      // that prevents our parser from finding items.
+      const zeroStart = Date.now();
+      const countBefore = deduped.length;
+      let lastCount = 0;
+      let stable = 0;
+      for (let i = 0; i < settings.maxScrollIterations; i++) {
+        // Each iteration is a span recording how many listings it added
+        const countAtStart = deduped.length;
+        const endIteration = timeline.begin('scroll', { name: term, iteration: i + 1 });
+        const endScroll = () => endIteration({ gained: deduped.length - countAtStart });
+        let parsedResult;
+        try {
+          if (capture) {
+            const status = JSON.parse(await runInPage(statusScript));
+            const captured = capture.getModules();
+            parsedResult = { ...status, modules: captured };
+            // Listings on the page but none captured: the response may still
+            // be in flight, or the mapping no longer matches the site
+            if (captured.length === 0 && status.itemCount > 0 && ++captureMisses >= CAPTURE_MISS_LIMIT) {
+              logDebug(`Search ${id}: no listings captured from ${capture.getResponseCount()} response(s), falling back to DOM parsing`, { level: 'warn', searchId: id });
+              capture.stop();
+              capture = null;
             }
-          });
-          sellerName = nameText.replace(/\b(online|offline)\b/gi, '').trim();
-          if (!sellerName) {
-            sellerName = nickEl2.textContent.replace(/\b(online|offline)\b/gi, '').trim();
           }
-          const stateEl2 = nickEl2.querySelector('i');
-          if (stateEl2) {
-            sellerStatus = stateEl2.textContent.trim();
+          if (!capture) {
+            const resultStr = await runInPage(parseScript);
+            parsedResult = JSON.parse(resultStr);
           }
+        } catch (err) {
+          if (signal.aborted || crashReason) throw err;
+          // Without any listings there is nothing to show; otherwise keep
+          // what was collected, log the error and break the loop
+          if (deduped.length === 0) {
+            throw searchError(SEARCH_ERROR_CODES.PARSE_ERROR, `Parsing the listings failed: ${err.message}`, { step: 'parse' });
+          }
+          logDebug(`Search ${id} parse error: ${err.message}`, { level: 'warn', searchId: id });
+          endScroll();
+          break;
         }
-        const sellerRank = getText('.seller .rank span');
-        let price = '';
-        const priceEl = item.querySelector('.price');
-        if (priceEl) {
-          const rawPrice = priceEl.textContent.trim();
-          price = rawPrice.replace(/\bCaliber\b/gi, '').trim();
-        }
-        const attributes = [];
-        const stats = [];
-        const optionEls = item.querySelectorAll('.item__details .option');
-        optionEls.forEach(opt => {
-          const nameEl = opt.querySelector('.option-name');
-          const valueEl = opt.querySelector('.option-value');
-          const label = nameEl ? nameEl.textContent.trim() : '';
-          const value = valueEl ? valueEl.textContent.trim() : '';
-          let attr = label.split('(')[0].trim();
-          if (attr && !attributes.includes(attr)) attributes.push(attr);
-          stats.push({ raw: label + ' ' + value, positive: false, negative: false, value });
-        });
-        const regDate = getText('.information .date span');
-        return { name, category, socketType, requiredRank, price, platform, rerollCount, sellerName, sellerStatus, sellerRank, regDate, attributes, stats };
-      }
-      // parse modules and detect loader visibility
-      const items = document.querySelectorAll('.items .item');
-      const loaderSelector = '[class*="loader"], [class*="loading"], [class*="spinner"]';
-      const loaderEl = document.querySelector(loaderSelector);
-      const loaderVisible = loaderEl && loaderEl.offsetParent !== null;
-      const modules = [];
-      items.forEach(item => {
-        const typeEl = item.querySelector('.row-wrapper .type');
-        const categoryText = typeEl ? typeEl.textContent.trim().toLowerCase() : '';
-        const isTrigger = categoryText.includes('trigger');
-        const mod = isTrigger ? parseTrigger(item) : parseAncestor(item);
-        modules.push(mod);
-      });
-      // Convert the result to a JSON string to avoid structured clone errors
-      return JSON.stringify({ modules, itemCount: items.length, loaderVisible });
-    })()`;
-
-    // Dedupe across iterations
-    const seen = new Set();
-    let deduped = [];
-    let lastCount = 0;
-    let stable = 0;
-    const maxIterations = 60;
-    for (let i = 0; i < maxIterations; i++) {
-      let parsedResult;
-      try {
-        const resultStr = await win.webContents.executeJavaScript(parseScript, true);
-        parsedResult = JSON.parse(resultStr);
-      } catch (err) {
-        // If parsing fails, log the error and break the loop
-        logDebug(`Search ${id} parse error: ${err.message}`);
-        break;
-      }
-      // If result contains modules, deduplicate and update
-      if (parsedResult && parsedResult.modules) {
-        for (const mod of parsedResult.modules) {
-          const key = `${mod.name}|${mod.price}|${mod.sellerName}`;
-          if (!seen.has(key)) {
-            seen.add(key);
-            deduped.push(mod);
+        // If result contains modules, deduplicate and update
+        if (parsedResult && parsedResult.modules) {
+          for (const mod of parsedResult.modules) {
+            // The key travels with the listing so the hub, the helper and
+            // saved searches identify it the same way
+            const key = listingKey(mod);
+            if (!seen.has(key)) {
+              seen.add(key);
+              deduped.push({ ...mod, listingKey: key });
+            }
           }
+          // Keep only listings matching the search form (module names and
+          // any site filters the page could not apply)
+          const filtered = deduped.filter(m => matchesSearchForm(m, filters));
+          entry.data = filtered;
+          // Clone data to avoid structured clone errors
+          const safeDataInc = JSON.parse(JSON.stringify(filtered));
+          emitSearchEvent('search-updated', { searchId: id, data: safeDataInc, finished: false, moduleType: filters.moduleType });
         }
-        // Filter by module name if provided (case-insensitive)
-        let filtered = deduped;
-        const mName = (filters.moduleName || '').trim().toLowerCase();
-        if (mName) {
-          filtered = deduped.filter(m => m.name && m.name.toLowerCase().includes(mName));
+        // Check for stability: if the number of items hasn't changed
+        const count = parsedResult && parsedResult.itemCount ? parsedResult.itemCount : 0;
+        if (count === lastCount) {
+          stable++;
+        } else {
+          stable = 0;
+          lastCount = count;
         }
-        entry.data = filtered;
-        // Clone data to avoid structured clone errors
-        const safeDataInc = JSON.parse(JSON.stringify(filtered));
-        mainWindow.webContents.send('search-updated', { searchId: id, data: safeDataInc, finished: false, moduleType: filters.moduleType });
-      }
-      // Check for stability: if the number of items hasn't changed
-      const count = parsedResult && parsedResult.itemCount ? parsedResult.itemCount : 0;
-      if (count === lastCount) {
-        stable++;
-      } else {
-        stable = 0;
-        lastCount = count;
-      }
-      // If we've seen no new items for several iterations AND the loader is no
-      // longer visible, assume we've reached the end and break.
-      if (stable >= 3 && !(parsedResult && parsedResult.loaderVisible)) {
-        break;
-      }
-      // If no results have been collected and the zero‑item timeout has
-      // expired, abort the search. This prevents endless scrolling
-      // when the market returns no matches. We perform this check after
-      // processing each batch of modules.
-      if (!zeroTimeoutTriggered && deduped.length === 0 && (Date.now() - zeroStart) > 30000) {
-        zeroTimeoutTriggered = true;
-        // Close the hidden window and mark the search as finished
-        entry.running = false;
-        entry.finishedAt = Date.now();
-        if (entry.window && !entry.window.isDestroyed()) {
-          entry.window.close();
+        // If we've seen no new items for several iterations AND the loader is no
+        // longer visible, assume we've reached the end and break.
+        if (stable >= settings.stableIterations && !(parsedResult && parsedResult.loaderVisible)) {
+          endScroll();
+          break;
         }
-        // Send an error update to the renderer indicating a timeout
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('search-updated', { searchId: id, data: [], finished: true, error: 'timeout', moduleType: filters.moduleType });
+        // If this name has added no results and the zero‑item timeout has
+        // expired, stop scrolling for it. This prevents endless scrolling
+        // when the market returns no matches. We perform this check after
+        // processing each batch of modules.
+        if (deduped.length === countBefore && (Date.now() - zeroStart) > settings.zeroResultTimeoutMs) {
+          zeroTimeoutTriggered = true;
+          logDebug(`Search ${id}: no items found for "${term}" within ${settings.zeroResultTimeoutMs / 1000} seconds`, { level: 'warn', searchId: id });
+          endScroll();
+          break;
         }
-        logDebug(`Search ${id} timed out with zero results`);
-        return;
+        // Scroll down to load more items
+        await runInPage(`(() => {
+          window.scrollTo(0, document.body.scrollHeight);
+          const c = document.querySelector(${JSON.stringify(selectors.resultsContainer)});
+          if (c) c.scrollTo(0, c.scrollHeight);
+        })()`);
+        // Wait a bit for new items to load
+        await sleep(settings.scrollDelayMs, signal);
+        endScroll();
       }
-      // Scroll down to load more items
-      await win.webContents.executeJavaScript(`(() => {
-        window.scrollTo(0, document.body.scrollHeight);
-        const c = document.querySelector('div.items');
-        if (c) c.scrollTo(0, c.scrollHeight);
-      })()`, true);
-      // Wait a bit for new items to load
-      await new Promise(r => setTimeout(r, 700));
+    }
+    // A stop or restart while scrolling ends the run here
+    signal.throwIfAborted();
+    entry.batch = null;
+    if (zeroTimeoutTriggered && deduped.length === 0) {
+      throw searchError(SEARCH_ERROR_CODES.ZERO_RESULTS, `No items were found within ${settings.zeroResultTimeoutMs / 1000} seconds`, { step: 'scroll' });
     }
     // Finalize results
-    entry.data = deduped;
+    const endFinalize = timeline.begin('finalize');
+    // Filter final deduped list by the search form again to ensure correctness
+    const finalResults = deduped.filter(m => matchesSearchForm(m, filters));
+    // Keep the filtered listings, as the incremental updates do; the API,
+    // a stop and the saved session all read them from the entry
+    entry.data = finalResults;
     entry.running = false;
     entry.finishedAt = Date.now();
-    logDebug(`Search ${id} finished with ${entry.data.length} items`);
-    // Send final update with finished true
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      // Filter final deduped list by module name again to ensure correctness
-      let finalResults = deduped;
-      const mName = (filters.moduleName || '').trim().toLowerCase();
-      if (mName) {
-        finalResults = deduped.filter(m => m.name && m.name.toLowerCase().includes(mName));
-      }
-      // Clone data to avoid structured clone errors
-      const safeDataFin = JSON.parse(JSON.stringify(finalResults));
-      mainWindow.webContents.send('search-updated', { searchId: id, data: safeDataFin, finished: true, moduleType: filters.moduleType });
+    endRun(id, true);
+    logDebug(`Search ${id} finished with ${finalResults.length} of ${deduped.length} items matching the filters`, { searchId: id });
+    // Clone data to avoid structured clone errors
+    const safeDataFin = JSON.parse(JSON.stringify(finalResults));
+    // Compare with the previous finished run of this search, if any. The
+    // tab shows the tagged listings plus the ones that are gone; only the
+    // current listings are saved.
+    let shown = safeDataFin;
+    let diff = null;
+    if (entry.previousResults) {
+      const { listings, gone, summary } = diffListings(entry.previousResults, safeDataFin);
+      shown = listings.concat(gone);
+      diff = summary;
+      logDebug(`Search ${id} changes since last run: ${summary.new} new, ${summary.repriced} repriced, ${summary.gone} gone`, { searchId: id });
     }
+    entry.previousResults = safeDataFin;
+    // Send final update with finished true
+    emitSearchEvent('search-updated', { searchId: id, data: shown, finished: true, moduleType: filters.moduleType, diff });
+    checkWatchRule(id, safeDataFin);
+    persistSearch(id, 'finished', safeDataFin);
+    endFinalize();
   } catch (err) {
-    entry.running = false;
-    entry.finishedAt = Date.now();
-    logDebug(`Search ${id} error: ${err.message}`);
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      // Include an error flag so the renderer can display a failure status
-      mainWindow.webContents.send('search-updated', { searchId: id, data: [], finished: true, error: err.message });
-    }
+    // A cancelled run was already cleaned up by cancelRun; its tab shows
+    // the stop, so nothing more is sent
+    if (signal.aborted) return;
+    // Report the failure with its code; a page without results can still
+    // be reused by the next search
+    await failSearch(id, win, crashReason ? windowCrashed() : err, {
+      reusable: err.code === SEARCH_ERROR_CODES.ZERO_RESULTS
+    });
+  } finally {
+    if (capture) capture.stop();
+    if (!win.isDestroyed()) win.webContents.removeListener('render-process-gone', onRenderProcessGone);
   }
 }
 
@@ -612,16 +1502,18 @@ async function runSearch(id) {
  */
 ipcMain.handle('toggle-tab-debug', async (_event, searchId) => {
   const entry = searches[searchId];
-  if (!entry) return;
+  // Queued searches and finished runs whose window went back to the pool
+  // have nothing to show
+  if (!entry || !entry.window || entry.window.isDestroyed()) return;
   entry.debug = !entry.debug;
   if (entry.debug) {
     entry.window.show();
     entry.window.webContents.openDevTools({ mode: 'detach' });
-    logDebug(`Debug enabled for search ${searchId}`);
+    logDebug(`Debug enabled for search ${searchId}`, { searchId });
   } else {
     entry.window.hide();
     entry.window.webContents.closeDevTools();
-    logDebug(`Debug disabled for search ${searchId}`);
+    logDebug(`Debug disabled for search ${searchId}`, { searchId });
   }
 });
 
@@ -640,8 +1532,8 @@ ipcMain.handle('toggle-global-debug', async () => {
   }
   // Create debug window
   globalDebugWindow = new BrowserWindow({
-    width: 600,
-    height: 700,
+    width: getSetting('debugWindowWidth'),
+    height: getSetting('debugWindowHeight'),
     webPreferences: {
       preload: path.join(__dirname, 'debug-preload.js'),
       nodeIntegration: false,
@@ -654,23 +1546,284 @@ ipcMain.handle('toggle-global-debug', async () => {
     globalDebugWindow = null;
     logDebug('Global debug window closed');
   });
-  // Send initial data when ready
-  globalDebugWindow.webContents.on('did-finish-load', () => {
-    globalDebugWindow.webContents.send('debug-log', {
-      logs: debugLogs,
-      metrics: getMetrics()
-    });
-  });
   logDebug('Global debug window opened');
 });
 
 /**
- * Return the full debug log and current metrics. This handler is used
- * by the debug window to poll for the latest information.
+ * Return the buffered debug log and current metrics. The debug window
+ * calls this once when it loads; after that new entries arrive as
+ * 'debug-log' events.
+ * @param {number} [sinceSeq] Only entries after this sequence number
  */
-ipcMain.handle('get-debug-info', async () => {
+ipcMain.handle('get-debug-info', async (event, sinceSeq) => {
   return {
-    logs: debugLogs,
+    logs: getLogEntries({ sinceSeq }),
     metrics: getMetrics()
   };
+});
+
+/**
+ * Return the current metrics. Polled by the debug window.
+ */
+ipcMain.handle('get-debug-metrics', async () => getMetrics());
+
+/**
+ * IPC handler: export a diagnostics bundle for one search, or for the
+ * whole app when no search ID is given (debug console). Asks whether to
+ * redact seller names and where to write the bundle, then reveals it.
+ * @returns {Promise<string|null>} Bundle folder, or null when cancelled
+ */
+ipcMain.handle('export-diagnostics', async (event, searchId) => {
+  const parent = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+  const entry = searchId !== undefined && searchId !== null ? searches[searchId] : null;
+  const { response, checkboxChecked } = await dialog.showMessageBox(parent, {
+    type: 'question',
+    message: entry ? `Export diagnostics for search ${searchId}?` : 'Export diagnostics for all searches?',
+    detail: 'The bundle contains the debug log, search metrics and filters, the selector profile and failure snapshots.',
+    buttons: ['Export', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    checkboxLabel: 'Redact seller names (screenshots are left out)',
+    checkboxChecked: true
+  });
+  if (response !== 0) return null;
+  const { canceled, filePaths } = await dialog.showOpenDialog(parent, {
+    title: 'Choose a folder for the diagnostics bundle',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const included = entry ? { [searchId]: entry } : searches;
+  const sellerNames = new Set();
+  for (const search of Object.values(searches)) {
+    [search.data, search.previousResults].forEach(list => (list || []).forEach(mod => sellerNames.add(mod.sellerName)));
+  }
+  const snapshotDirs = entry ? (entry.snapshotDir ? [entry.snapshotDir] : []) : await listFailureSnapshots();
+  const ids = Object.keys(included).map(Number);
+  const dir = await writeDiagnosticsBundle(filePaths[0], {
+    info: {
+      createdAt: Date.now(),
+      appVersion: app.getVersion(),
+      electron: process.versions.electron,
+      chrome: process.versions.chrome,
+      node: process.versions.node,
+      platform: `${process.platform} ${process.arch}`,
+      marketUrl: currentMarketUrl(),
+      locale: getSetting('locale'),
+      captureMode: getSetting('captureMode'),
+      maxConcurrentSearches: getConcurrency(),
+      searchId: entry ? searchId : null
+    },
+    // A single search's bundle keeps its own entries and app-wide ones
+    logs: getLogEntries().filter(e => !entry || e.searchId === null || e.searchId === searchId),
+    logFiles: entry ? [] : getLogFilePaths(),
+    metrics: getMetrics().filter(m => ids.includes(m.id)),
+    searches: ids.map(id => ({
+      id,
+      filters: included[id].filters || {},
+      running: included[id].running,
+      cancelled: !!included[id].cancelled,
+      startedAt: included[id].startedAt || null,
+      finishedAt: included[id].finishedAt || null,
+      items: included[id].data ? included[id].data.length : 0,
+      snapshotDir: included[id].snapshotDir || null
+    })),
+    selectorProfile: getSelectorProfile(),
+    snapshotDirs
+  }, {
+    redactSellers: checkboxChecked ? Array.from(sellerNames) : null,
+    // Last class of the nickname selector, e.g. ".seller .nickname"
+    nicknameClass: (String(getSelectors().sellerNickname || '').match(/\.([\w-]+)\s*$/) || [])[1]
+  });
+  logDebug(`Diagnostics exported to ${dir}${checkboxChecked ? ' (seller names redacted)' : ''}`);
+  shell.showItemInFolder(dir);
+  return dir;
+});
+
+// Apply saved settings that affect the running app; the others are read
+// by the next search or window.
+onSettingsChange(({ values }) => {
+  setConcurrency(values.maxConcurrentSearches);
+  applyApiSettings();
+  logDebug(`Settings saved (concurrent searches: ${getConcurrency()}, locale ${values.locale})`);
+});
+
+/**
+ * IPC handler: return the settings for the Settings view
+ * ({ values, definitions, overridden }, see settingsStore.getSettings).
+ */
+ipcMain.handle('get-settings', async () => getSettings());
+
+/**
+ * IPC handler: validate and save changed settings. Resolves to
+ * { settings, errors }; nothing is saved when `errors` is not empty.
+ */
+ipcMain.handle('update-settings', async (_event, changes) => updateSettings(changes));
+
+/**
+ * IPC handler: reset all settings to their defaults and return them.
+ */
+ipcMain.handle('reset-settings', async () => resetSettings());
+
+/**
+ * IPC handler: state of the local API for the Settings view. The URL and
+ * token are only returned while the server is running.
+ * @returns {Promise<{enabled: boolean, url: string|null, token: string|null, error: string|null}>}
+ */
+ipcMain.handle('get-api-status', async () => {
+  await apiServerUpdate;
+  return {
+    enabled: getSetting('apiEnabled'),
+    url: apiServer ? apiServer.url : null,
+    token: apiServer ? apiToken : null,
+    error: apiError
+  };
+});
+
+/**
+ * Return the active selector profile (version, source and selectors) so
+ * the debug console can show which profile is in use.
+ */
+ipcMain.handle('get-selector-profile', async () => {
+  return getSelectorProfile();
+});
+
+/**
+ * Reload the selector profile from disk on demand. The profile is also
+ * reloaded automatically when the userData override changes.
+ */
+ipcMain.handle('reload-selectors', async () => {
+  return loadSelectorProfile(app.getPath('userData'), logDebug);
+});
+
+/**
+ * IPC handler: list saved searches, newest first. Listings are omitted;
+ * each summary carries its filters, timestamps, status and item count.
+ */
+ipcMain.handle('list-past-searches', async () => {
+  return listSearchRecords();
+});
+
+/**
+ * IPC handler: module names seen in saved searches of a module type, for
+ * the hub's module name catalog.
+ */
+ipcMain.handle('list-module-names', async (_event, moduleType) => {
+  return listModuleNames(moduleType);
+});
+
+/**
+ * IPC handler: load a saved search including its listings so the hub can
+ * reopen it as a read-only tab.
+ */
+ipcMain.handle('open-past-search', async (_event, recordId) => {
+  return getSearchRecord(recordId);
+});
+
+/**
+ * Write the hub's open tabs to session.json: the layout it last reported
+ * plus each search's filters and current results.
+ */
+function saveSession() {
+  if (!sessionLayout) return;
+  const tabs = [];
+  let activeIndex = -1;
+  sessionLayout.tabs.forEach((tab, index) => {
+    if (index === sessionLayout.activeIndex) activeIndex = tabs.length;
+    if (tab.recordId) {
+      tabs.push({ kind: 'history', title: tab.title, recordId: tab.recordId, filterState: tab.filterState || null });
+      return;
+    }
+    const entry = searches[tab.searchId];
+    if (!entry) return;
+    tabs.push({
+      kind: 'search',
+      title: tab.title,
+      filters: entry.filters,
+      // Only the listings that match the search form, as the tab shows them
+      listings: (entry.data || []).filter(mod => matchesSearchForm(mod, entry.filters || {})),
+      filterState: tab.filterState || null,
+      startedAt: entry.startedAt,
+      // Null for a run that was still going; it counts as stale on restore
+      finishedAt: entry.running ? null : entry.finishedAt
+    });
+  });
+  try {
+    saveSessionSync({ activeIndex: activeIndex < tabs.length ? activeIndex : -1, tabs });
+    logDebug(`Session saved (${tabs.length} tabs)`);
+  } catch (err) {
+    logDebug(`Session could not be saved: ${err.message}`, { level: 'warn' });
+  }
+}
+
+/**
+ * IPC handler: the hub reports its open tabs whenever they change.
+ * `layout` is { activeIndex, tabs: [{ searchId | recordId, title, filterState }] }.
+ */
+ipcMain.handle('update-session', async (_event, layout) => {
+  if (layout && Array.isArray(layout.tabs)) sessionLayout = layout;
+});
+
+/**
+ * Reopen the tabs of the last session. Every search tab gets a new search
+ * entry holding its saved results; it is not run again here. Tabs whose
+ * results are older than the sessionRerunAfterMinutes setting are marked
+ * `stale` so the hub re-runs them. A re-run compares against the
+ * restored results.
+ * @returns {Promise<{activeIndex: number, tabs: Array<Object>}>}
+ */
+async function restoreSession() {
+  const session = await loadSession();
+  const rerunAfterMs = getSetting('sessionRerunAfterMinutes') * 60000;
+  const now = Date.now();
+  const tabs = [];
+  let activeIndex = -1;
+  for (const [index, tab] of session.tabs.entries()) {
+    if (index === session.activeIndex) activeIndex = tabs.length;
+    if (tab.kind === 'history') {
+      const record = await getSearchRecord(tab.recordId).catch(() => null);
+      if (!record) continue;
+      const filters = record.filters || {};
+      tabs.push({ ...tab, moduleType: filters.moduleType, listings: record.listings || [] });
+      continue;
+    }
+    const filters = tab.filters || {};
+    const listings = Array.isArray(tab.listings) ? tab.listings : [];
+    const id = searchCounter++;
+    searches[id] = {
+      window: null,
+      filters,
+      running: false,
+      debug: false,
+      startedAt: tab.startedAt || null,
+      finishedAt: tab.finishedAt || null,
+      data: listings,
+      previousResults: tab.finishedAt ? listings : null,
+      // Already saved to the history by the session that ran it
+      persistedStartedAt: tab.startedAt || null
+    };
+    const stale = rerunAfterMs > 0 && (!tab.finishedAt || now - tab.finishedAt > rerunAfterMs);
+    tabs.push({ ...tab, searchId: id, moduleType: filters.moduleType, stale });
+  }
+  if (tabs.length > 0) logDebug(`Session restored (${tabs.length} tabs)`);
+  return { activeIndex: activeIndex < tabs.length ? activeIndex : -1, tabs };
+}
+
+/**
+ * IPC handler: the hub asks for the last session once it has loaded. The
+ * session is restored once per hub page; later calls get the same tabs.
+ */
+ipcMain.handle('restore-session', (event) => {
+  const key = event.sender.id;
+  if (!restoredSessions.has(key)) restoredSessions.set(key, restoreSession());
+  return restoredSessions.get(key);
+});
+
+/**
+ * IPC handler: price history for a module. The query is
+ * { name, attributes?, days? }; resolves to daily buckets with
+ * min/median/max prices (see priceHistory.js).
+ */
+ipcMain.handle('get-price-history', async (_event, query) => {
+  return getPriceHistory(query || {});
 });
\ No newline at end of file
@@ -0,0 +1,174 @@
+// market.js
+// Client script for the mock market page. Implements the interactions
+// runSearch performs on the live site: choosing a module type, entering
+// a search term, choosing a platform and scrolling to lazy-load more
+// listings. Listings come from the mock server's /api/listings endpoint.
+
+(function() {
+  const PAGE_SIZE = 20;
+  const itemsEl = document.querySelector('.items');
+  const loaderEl = document.querySelector('.loader');
+  const searchInput = document.getElementById('search__input');
+  const searchBtn = document.querySelector('.search__btn');
+
+  // Current query and paging state
+  const query = { moduleType: '', q: '', platform: 'all', socketType: '', priceMin: '', priceMax: '', rankMin: '', rankMax: '' };
+  let offset = 0;
+  let total = 0;
+  let loading = false;
+  // Incremented for every new query so responses for stale queries are dropped
+  let generation = 0;
+
+  /**
+   * Create an element with an optional class name and text.
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Render one recorded listing using the live site's markup.
+   * @param {Object} listing
+   */
+  function renderListing(listing) {
+    const item = el('div', 'item');
+    item.dataset.listingId = listing.id;
+    const row = el('div', 'row-wrapper');
+    row.appendChild(el('span', 'type', listing.type));
+    row.appendChild(el('span', 'name', listing.name));
+    item.appendChild(row);
+    const isTrigger = listing.type.toLowerCase().includes('trigger');
+    const info = el('div', isTrigger ? 'item__info' : 'ancestor-info');
+    if (listing.socketType) info.appendChild(el('span', 'socket-type', listing.socketType));
+    const rank = el('span', isTrigger ? 'required-mastery-rank' : 'required-rank', 'Required MR ');
+    rank.appendChild(el('span', '', listing.requiredRank));
+    info.appendChild(rank);
+    item.appendChild(info);
+    const details = el('div', 'item__details');
+    listing.options.forEach(opt => {
+      const option = el('div', 'option');
+      option.appendChild(el('span', 'option-name', opt.name));
+      option.appendChild(el('span', 'option-value', opt.value));
+      details.appendChild(option);
+    });
+    item.appendChild(details);
+    const seller = el('div', 'seller');
+    seller.appendChild(el('span', 'platform', listing.platform));
+    const reroll = el('span', 'reroll', 'Rerolls ');
+    reroll.appendChild(el('span', '', listing.rerolls));
+    seller.appendChild(reroll);
+    const nickname = el('span', 'nickname', listing.seller + ' ');
+    nickname.appendChild(el('i', '', listing.status));
+    seller.appendChild(nickname);
+    const sellerRank = el('span', 'rank', 'MR ');
+    sellerRank.appendChild(el('span', '', listing.sellerRank));
+    seller.appendChild(sellerRank);
+    item.appendChild(seller);
+    item.appendChild(el('div', 'price', listing.price + ' Caliber'));
+    const information = el('div', 'information');
+    const date = el('span', 'date', 'Registered ');
+    date.appendChild(el('span', '', listing.date));
+    information.appendChild(date);
+    item.appendChild(information);
+    return item;
+  }
+
+  /**
+   * Fetch the next page for the current query and append it.
+   * @param {boolean} reset Clear the list and start from the first page
+   */
+  async function load(reset) {
+    if (reset) {
+      generation++;
+      offset = 0;
+      total = 0;
+    } else if (loading || offset >= total) {
+      return;
+    }
+    const current = generation;
+    loading = true;
+    loaderEl.style.display = 'block';
+    const params = new URLSearchParams({ ...query, offset: String(offset), limit: String(PAGE_SIZE) });
+    try {
+      const res = await fetch('/api/listings?' + params.toString());
+      const body = await res.json();
+      if (current !== generation) return;
+      if (reset) itemsEl.innerHTML = '';
+      body.listings.forEach(listing => itemsEl.appendChild(renderListing(listing)));
+      total = body.total;
+      offset += body.listings.length;
+    } finally {
+      if (current === generation) {
+        loading = false;
+        loaderEl.style.display = 'none';
+      }
+    }
+  }
+
+  /**
+   * Wire up a dropdown. Clicking the button opens the list; choosing an
+   * option updates the button label and runs `onSelect`.
+   */
+  function setupDropdown(name, onSelect) {
+    const root = document.querySelector(`div[data-name="${name}"]`);
+    const button = root.querySelector('.dropdown__button');
+    button.addEventListener('click', () => root.classList.toggle('open'));
+    root.querySelectorAll('li').forEach(li => {
+      li.addEventListener('click', () => {
+        root.querySelectorAll('li').forEach(other => other.classList.remove('active'));
+        li.classList.add('active');
+        button.textContent = li.textContent;
+        root.classList.remove('open');
+        onSelect(li.textContent.trim());
+      });
+    });
+  }
+
+  setupDropdown('moduletype', (label) => {
+    query.moduleType = label.toLowerCase().startsWith('ancestor') ? 'ancestor' : 'trigger';
+    load(true);
+  });
+  setupDropdown('platform', (label) => {
+    const lower = label.toLowerCase();
+    if (lower.startsWith('all')) query.platform = 'all';
+    else if (lower.startsWith('pc')) query.platform = 'pc';
+    else query.platform = lower;
+    load(true);
+  });
+
+  setupDropdown('sockettype', (label) => {
+    query.socketType = label.toLowerCase().startsWith('all') ? '' : label;
+    load(true);
+  });
+
+  // Price and required MR ranges take effect when Apply is clicked
+  const applyBtn = document.querySelector('.filters__apply');
+  applyBtn.addEventListener('click', () => {
+    ['priceMin', 'priceMax', 'rankMin', 'rankMax'].forEach(name => {
+      query[name] = document.querySelector(`.ranges input[name="${name}"]`).value.trim();
+    });
+    load(true);
+  });
+
+  function submitSearch() {
+    query.q = searchInput.value.trim();
+    load(true);
+  }
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') submitSearch();
+  });
+  searchBtn.addEventListener('click', submitSearch);
+
+  // Lazy-load the next page when scrolled near the bottom
+  function onScroll() {
+    const nearBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 200;
+    if (nearBottom) load(false);
+  }
+  window.addEventListener('scroll', onScroll);
+  itemsEl.addEventListener('scroll', onScroll);
+
+  load(true);
+})();
@@ -0,0 +1,137 @@
+// mock-market/server.js
+// A small local stand-in for the official market used for offline
+// development and demos. It serves a page with the same markup and
+// interactions runSearch relies on (module type and platform dropdowns,
+// the search box and lazy-loaded scrolling) backed by recorded listings
+// from recordings/listings.json.
+//
+// Start it together with the app via `npm run start:offline`, or on its
+// own with `npm run mock-market` to open it in a regular browser.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const RECORDINGS_PATH = path.join(__dirname, 'recordings', 'listings.json');
+const DEFAULT_PORT = 4780;
+// Simulated network latency for listing requests, in ms.
+const RESPONSE_DELAY = 600;
+
+const STATIC_FILES = {
+  '/market.js': { file: 'market.js', type: 'application/javascript; charset=utf-8' },
+  '/market.css': { file: 'market.css', type: 'text/css; charset=utf-8' }
+};
+
+/**
+ * Read a numeric query parameter; empty or invalid values give null.
+ * @param {URLSearchParams} params
+ * @param {string} name
+ */
+function numberParam(params, name) {
+  const value = parseFloat(params.get(name));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Filter the recorded listings the same way the live market does for the
+ * module type, search term, platform and socket type dropdowns and the
+ * price and required MR ranges.
+ * @param {Array<Object>} listings
+ * @param {URLSearchParams} params
+ */
+function queryListings(listings, params) {
+  const moduleType = (params.get('moduleType') || '').toLowerCase();
+  const q = (params.get('q') || '').trim().toLowerCase();
+  const platform = (params.get('platform') || '').toLowerCase();
+  const socketType = (params.get('socketType') || '').toLowerCase();
+  const priceMin = numberParam(params, 'priceMin');
+  const priceMax = numberParam(params, 'priceMax');
+  const rankMin = numberParam(params, 'rankMin');
+  const rankMax = numberParam(params, 'rankMax');
+  return listings.filter(l => {
+    if (moduleType && !l.type.toLowerCase().includes(moduleType)) return false;
+    if (q && !l.name.toLowerCase().includes(q)) return false;
+    if (platform && platform !== 'all' && !l.platform.toLowerCase().includes(platform)) return false;
+    if (socketType && l.socketType.toLowerCase() !== socketType) return false;
+    const price = parseFloat(String(l.price).replace(/[^0-9.]/g, ''));
+    if (priceMin !== null && price < priceMin) return false;
+    if (priceMax !== null && price > priceMax) return false;
+    const rank = parseInt(l.requiredRank, 10);
+    if (rankMin !== null && rank < rankMin) return false;
+    if (rankMax !== null && rank > rankMax) return false;
+    return true;
+  });
+}
+
+/**
+ * Start the mock market server.
+ * @param {Object} [options]
+ * @param {number} [options.port=0] Port to listen on; 0 picks a free port
+ * @param {string} [options.recordingsPath] Recorded listings to serve
+ * @returns {Promise<{url: string, port: number, close: function(): Promise<void>}>}
+ */
+function startMockMarket(options = {}) {
+  const recordingsPath = options.recordingsPath || RECORDINGS_PATH;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    // The market page lives under a locale prefix, e.g. /en/market
+    if (/^\/[a-z-]+\/market\/?$/i.test(url.pathname)) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      fs.createReadStream(path.join(__dirname, 'market.html')).pipe(res);
+      return;
+    }
+    if (STATIC_FILES[url.pathname]) {
+      const { file, type } = STATIC_FILES[url.pathname];
+      res.writeHead(200, { 'Content-Type': type });
+      fs.createReadStream(path.join(__dirname, file)).pipe(res);
+      return;
+    }
+    if (url.pathname === '/api/listings') {
+      // Re-read the recordings on every request so they can be edited
+      // while the server is running.
+      let recording;
+      try {
+        recording = JSON.parse(fs.readFileSync(recordingsPath, 'utf8'));
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+        return;
+      }
+      const matches = queryListings(recording.listings || [], url.searchParams);
+      const offset = parseInt(url.searchParams.get('offset'), 10) || 0;
+      const limit = parseInt(url.searchParams.get('limit'), 10) || 20;
+      const body = JSON.stringify({
+        total: matches.length,
+        offset,
+        listings: matches.slice(offset, offset + limit)
+      });
+      setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(body);
+      }, RESPONSE_DELAY);
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/en/market`,
+        port,
+        close: () => new Promise(r => server.close(() => r()))
+      });
+    });
+  });
+}
+
+module.exports = { startMockMarket, queryListings };
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  startMockMarket({ port }).then(({ url }) => {
+    console.log(`Mock market listening on ${url}`);
+  });
+}
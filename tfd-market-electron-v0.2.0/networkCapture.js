@@ -0,0 +1,185 @@
+// networkCapture.js
+// Alternative to DOM parsing: listens to the market page's own XHR/fetch
+// JSON responses through the Chrome DevTools protocol
+// (webContents.debugger) and maps the listings they contain into the
+// module shape produced by parsers.js. Values come straight from the
+// site's data, so they are exact and carry the site's listing IDs, and
+// cosmetic markup changes do not affect them.
+//
+// Only the mock market's responses are mapped so far; searches against
+// tfd.nexon.com always parse the DOM.
+//
+// Which responses to read and how their fields map onto a module is
+// described by the "network" section of the selector profile:
+//
+//   {
+//     "enabled": true,                          false skips network capture
+//     "urlPattern": "/api/listings",            regular expression for the request URL
+//     "listPath": "listings",                   dotted path to the listing array
+//     "resetOn": { "param": "offset", "value": "0" },  a request for the first page starts a new result set
+//     "fields": { "name": "name", ..., "options": "options",
+//                 "optionName": "name", "optionValue": "value" }
+//   }
+
+const { moduleFromFields } = require('./parsers');
+const { getLocale } = require('./locales');
+
+/**
+ * Read a dotted path such as "data.items" from an object.
+ * @param {Object} obj
+ * @param {string} dottedPath Empty for the object itself
+ */
+function getPath(obj, dottedPath) {
+  if (!dottedPath) return obj;
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Convert a field value to the text the market page would show. Numbers
+ * are formatted with thousands separators, like the rendered prices.
+ * @param {*} value
+ * @returns {string}
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toLocaleString('en-US');
+  return String(value).trim();
+}
+
+/**
+ * Map one listing from a response into a module object. The module also
+ * carries the site's `listingId` and the numeric `priceValue`.
+ * @param {Object} listing Listing object from the response
+ * @param {Object} fields Field mapping from the profile
+ * @param {Object} [rules] Locale rules of the market site (see locales.js)
+ * @returns {Object}
+ */
+function mapListing(listing, fields, rules = getLocale()) {
+  const field = (key) => getPath(listing, fields[key]);
+  const options = (field('options') || []).map(opt => ({
+    name: toText(getPath(opt, fields.optionName)),
+    value: toText(getPath(opt, fields.optionValue))
+  }));
+  const rawPrice = field('price');
+  const mod = moduleFromFields({
+    type: toText(field('type')),
+    name: toText(field('name')),
+    socketType: toText(field('socketType')),
+    requiredRank: toText(field('requiredRank')),
+    platform: toText(field('platform')),
+    rerollCount: toText(field('rerollCount')),
+    sellerName: toText(field('sellerName')),
+    sellerStatus: toText(field('sellerStatus')),
+    sellerRank: toText(field('sellerRank')),
+    price: toText(rawPrice),
+    regDate: toText(field('regDate')),
+    options
+  }, rules);
+  // The module's price is normalised to comma grouping, whatever the locale
+  const priceValue = typeof rawPrice === 'number' ? rawPrice : parseFloat(mod.price.replace(/[^0-9.]/g, ''));
+  mod.listingId = fields.id ? toText(field('id')) : '';
+  mod.priceValue = isNaN(priceValue) ? null : priceValue;
+  return mod;
+}
+
+/**
+ * Whether a request starts a new result set (e.g. the first page of a
+ * new query), according to the profile's `resetOn` rule.
+ * @param {string} url
+ * @param {Object} [resetOn] { param, value }
+ */
+function isFirstPage(url, resetOn) {
+  if (!resetOn || !resetOn.param) return false;
+  try {
+    const value = new URL(url).searchParams.get(resetOn.param);
+    return value === null || value === String(resetOn.value);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Start capturing listings from a search window's network responses.
+ *
+ * @param {Electron.WebContents} webContents The hidden search window's contents
+ * @param {Object} mapping The profile's "network" section
+ * @param {function(string)} [log]
+ * @param {Object} [rules] Locale rules of the market site (see locales.js)
+ * @returns {Promise<{getModules: function(): Array<Object>, getResponseCount: function(): number, stop: function()}>}
+ *   Rejects when the debugger cannot be attached, e.g. because another
+ *   client is already attached.
+ */
+async function startNetworkCapture(webContents, mapping, log = () => {}, rules = getLocale()) {
+  const dbg = webContents.debugger;
+  const urlPattern = new RegExp(mapping.urlPattern);
+  // Request IDs of matching responses whose bodies are still loading
+  const pending = new Map();
+  // Listings of the current result set, in arrival order
+  let modules = [];
+  let responseCount = 0;
+
+  async function readBody(requestId, url) {
+    try {
+      const { body, base64Encoded } = await dbg.sendCommand('Network.getResponseBody', { requestId });
+      const text = base64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+      const listings = getPath(JSON.parse(text), mapping.listPath);
+      if (!Array.isArray(listings)) {
+        log(`Network capture: no listing array at "${mapping.listPath}" in ${url}`);
+        return;
+      }
+      if (isFirstPage(url, mapping.resetOn)) modules = [];
+      responseCount++;
+      listings.forEach(listing => modules.push(mapListing(listing, mapping.fields || {}, rules)));
+    } catch (err) {
+      log(`Network capture: could not read ${url}: ${err.message}`);
+    }
+  }
+
+  function onMessage(_event, method, params) {
+    if (method === 'Network.responseReceived') {
+      const { type, response } = params;
+      if ((type === 'XHR' || type === 'Fetch') && urlPattern.test(response.url)) {
+        pending.set(params.requestId, response.url);
+      }
+    } else if (method === 'Network.loadingFinished' && pending.has(params.requestId)) {
+      const url = pending.get(params.requestId);
+      pending.delete(params.requestId);
+      readBody(params.requestId, url);
+    } else if (method === 'Network.loadingFailed') {
+      pending.delete(params.requestId);
+    }
+  }
+
+  dbg.attach('1.3');
+  dbg.on('message', onMessage);
+  try {
+    await dbg.sendCommand('Network.enable');
+  } catch (err) {
+    dbg.removeListener('message', onMessage);
+    dbg.detach();
+    throw err;
+  }
+
+  return {
+    /** Listings captured for the current result set. */
+    getModules: () => modules.slice(),
+    /** Number of matching responses read so far. */
+    getResponseCount: () => responseCount,
+    /** Stop listening and detach the debugger so the window can be reused. */
+    stop: () => {
+      dbg.removeListener('message', onMessage);
+      if (!webContents.isDestroyed() && dbg.isAttached()) {
+        try {
+          dbg.detach();
+        } catch (err) {
+          // already detached
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  mapListing,
+  startNetworkCapture
+};
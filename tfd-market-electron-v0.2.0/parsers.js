@@ -0,0 +1,304 @@
+// parsers.js
+// Parsers that turn the official market's `.items .item` nodes into the
+// module objects used throughout the app. This file is injected verbatim
+// into the hidden search window by runSearch, and can also be required
+// from Node so the parsers can be tested against saved HTML fixtures.
+//
+// Every function takes the selector map from the active selector profile
+// (see selectorProfile.js) so that markup changes only need a profile
+// update, not a code change, and optionally the language rules of the
+// market site (see locales.js; English by default). Localised status
+// words, prices and categories are normalised to their English values.
+// In the page, locales.js must be injected before this file.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./locales'));
+  } else {
+    root.TFDParsers = factory(root.TFDLocales);
+  }
+})(typeof self !== 'undefined' ? self : this, function (locales) {
+  // Node.TEXT_NODE; the constant is not a global outside the browser.
+  const TEXT_NODE = 3;
+  const ENGLISH = locales.getLocale(locales.DEFAULT_LOCALE);
+
+  /**
+   * Return the trimmed text of the first element matching `selector`
+   * inside `item`, or an empty string.
+   * @param {Element} item
+   * @param {string} selector
+   */
+  function getText(item, selector) {
+    if (!selector) return '';
+    const el = item.querySelector(selector);
+    return el ? el.textContent.trim() : '';
+  }
+
+  /**
+   * Extract the seller name and online status. The nickname element
+   * contains text nodes with the name followed by an element holding the
+   * status, so only the text nodes are used for the name. Any status word
+   * that still ends up in the name is removed.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {Object} [rules] Locale rules
+   * @returns {{sellerName: string, sellerStatus: string}}
+   */
+  function parseSeller(item, selectors, rules = ENGLISH) {
+    let sellerName = '';
+    let sellerStatus = '';
+    const nickEl = item.querySelector(selectors.sellerNickname);
+    if (nickEl) {
+      let nameText = '';
+      nickEl.childNodes.forEach(node => {
+        if (node.nodeType === TEXT_NODE) {
+          nameText += node.textContent;
+        }
+      });
+      sellerName = locales.stripStatusWords(nameText, rules);
+      // Fall back to the entire text content if the name is not a text node
+      if (!sellerName) {
+        sellerName = locales.stripStatusWords(nickEl.textContent, rules);
+      }
+      const stateEl = nickEl.querySelector(selectors.sellerStatus);
+      if (stateEl) {
+        sellerStatus = locales.statusKey(stateEl.textContent, rules);
+      }
+    }
+    return { sellerName, sellerStatus };
+  }
+
+  /**
+   * Extract the price. Some price labels include the word "Caliber"
+   * already; it is removed here so the UI can append a single suffix.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {Object} [rules] Locale rules
+   * @returns {string}
+   */
+  function parsePrice(item, selectors, rules = ENGLISH) {
+    const priceEl = item.querySelector(selectors.price);
+    if (!priceEl) return '';
+    return locales.normalizePrice(priceEl.textContent, rules);
+  }
+
+  /**
+   * Number of a price label such as "1,500", or null when it has none.
+   * Parsed listings carry English prices; pass the locale rules to read
+   * a price as the site shows it, e.g. "1.500 Kaliber".
+   * @param {string} price
+   * @param {Object} [rules] Locale rules of the price's format
+   * @returns {number|null}
+   */
+  function parsePriceValue(price, rules = ENGLISH) {
+    const num = parseFloat(locales.normalizeNumbers(String(price || ''), rules).replace(/[^0-9.]/g, ''));
+    return isNaN(num) ? null : num;
+  }
+
+  /**
+   * Fields shared by ancestor and trigger listings.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {Object} rules
+   */
+  function parseCommon(item, selectors, rules) {
+    const { sellerName, sellerStatus } = parseSeller(item, selectors, rules);
+    return {
+      name: getText(item, selectors.itemName) || getText(item, selectors.itemNameFallback),
+      platform: getText(item, selectors.sellerPlatform),
+      rerollCount: getText(item, selectors.sellerRerolls),
+      sellerName,
+      sellerStatus,
+      sellerRank: getText(item, selectors.sellerRank),
+      // As the site shows it; moduleFromFields normalises it once
+      price: getText(item, selectors.price),
+      regDate: getText(item, selectors.regDate)
+    };
+  }
+
+  /**
+   * Turn ancestor option lines into attribute names and stats. Each
+   * option's name is the raw label, e.g. "(+) Skill Cooldown [2.0~8.0]%".
+   * Numbers in labels and values are written in the English format.
+   * @param {Array<{name: string, value: string}>} options
+   * @param {Object} rules Locale rules
+   * @returns {{attributes: Array<string>, stats: Array<Object>}}
+   */
+  function ancestorStats(options, rules) {
+    const attributes = [];
+    const stats = [];
+    options.forEach(({ name, value }) => {
+      const raw = locales.normalizeNumbers((name || '').trim(), rules);
+      if (!raw) return;
+      const positive = raw.startsWith('(+)');
+      const negative = raw.startsWith('(-)');
+      let attr = raw;
+      if (positive || negative) {
+        attr = attr.substring(3).trim();
+      }
+      attr = attr.split('[')[0].trim();
+      if (attr && !attributes.includes(attr)) attributes.push(attr);
+      stats.push({ raw, positive, negative, value: locales.normalizeNumbers((value || '').trim(), rules) });
+    });
+    return { attributes, stats };
+  }
+
+  /**
+   * Turn trigger option lines into attribute names and stats.
+   * @param {Array<{name: string, value: string}>} options
+   * @param {Object} rules Locale rules
+   * @returns {{attributes: Array<string>, stats: Array<Object>}}
+   */
+  function triggerStats(options, rules) {
+    const attributes = [];
+    const stats = [];
+    options.forEach(({ name, value }) => {
+      const label = locales.normalizeNumbers((name || '').trim(), rules);
+      const val = locales.normalizeNumbers((value || '').trim(), rules);
+      const attr = label.split('(')[0].trim();
+      if (attr && !attributes.includes(attr)) attributes.push(attr);
+      stats.push({ raw: label + ' ' + val, positive: false, negative: false, value: val });
+    });
+    return { attributes, stats };
+  }
+
+  /**
+   * Build a module object from plain listing fields. Used by the DOM
+   * parsers below and by network capture (networkCapture.js), so both
+   * produce the same shape. `ageHours` is the registration age read from
+   * the relative date, or null.
+   * @param {Object} fields
+   * @param {string} fields.type Listing type label, e.g. "Ancestors" or "Trigger"
+   * @param {Array<{name: string, value: string}>} fields.options
+   * @param {Object} [rules] Locale rules
+   * @returns {Object}
+   */
+  function moduleFromFields(fields, rules = ENGLISH) {
+    // The DOM parsers pass the English label, network capture the site's
+    const category = locales.categoryKey(fields.type, rules) || locales.categoryKey(fields.type, ENGLISH);
+    const isTrigger = category === 'Trigger';
+    const { attributes, stats } = isTrigger ? triggerStats(fields.options || [], rules) : ancestorStats(fields.options || [], rules);
+    return {
+      name: fields.name || '',
+      category: isTrigger ? 'Trigger' : 'Ancestors',
+      socketType: isTrigger ? '' : (fields.socketType || ''),
+      requiredRank: fields.requiredRank || '',
+      price: locales.normalizePrice(fields.price, rules),
+      platform: fields.platform || '',
+      rerollCount: fields.rerollCount || '',
+      sellerName: fields.sellerName || '',
+      sellerStatus: locales.statusKey(fields.sellerStatus, rules),
+      sellerRank: fields.sellerRank || '',
+      regDate: fields.regDate || '',
+      ageHours: locales.ageInHours(fields.regDate, rules),
+      attributes,
+      stats
+    };
+  }
+
+  /**
+   * Read the name and value of each option row of a listing. Rows without
+   * a name element are skipped for ancestors, as on the live site they
+   * are decoration rather than stats.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {boolean} requireName
+   */
+  function readOptions(item, selectors, requireName) {
+    const options = [];
+    item.querySelectorAll(selectors.option).forEach(opt => {
+      if (requireName && !opt.querySelector(selectors.optionName)) return;
+      options.push({ name: getText(opt, selectors.optionName), value: getText(opt, selectors.optionValue) });
+    });
+    return options;
+  }
+
+  /**
+   * Parse an ancestor module listing.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {Object} [rules] Locale rules
+   */
+  function parseAncestor(item, selectors, rules = ENGLISH) {
+    return moduleFromFields({
+      ...parseCommon(item, selectors, rules),
+      type: 'Ancestors',
+      // Socket type may be present on ancestor-info or general item info
+      socketType: getText(item, selectors.socketType) || getText(item, selectors.socketTypeFallback),
+      requiredRank: getText(item, selectors.ancestorRequiredRank),
+      options: readOptions(item, selectors, true)
+    }, rules);
+  }
+
+  /**
+   * Parse a trigger module listing.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {Object} [rules] Locale rules
+   */
+  function parseTrigger(item, selectors, rules = ENGLISH) {
+    return moduleFromFields({
+      ...parseCommon(item, selectors, rules),
+      type: 'Trigger',
+      requiredRank: getText(item, selectors.triggerRequiredRank),
+      options: readOptions(item, selectors, false)
+    }, rules);
+  }
+
+  /**
+   * Parse a single listing, choosing the parser from its category label.
+   * @param {Element} item
+   * @param {Object} selectors
+   * @param {Object} [rules] Locale rules
+   */
+  function parseItem(item, selectors, rules = ENGLISH) {
+    const category = locales.categoryKey(getText(item, selectors.itemType), rules);
+    const mod = category === 'Trigger' ? parseTrigger(item, selectors, rules) : parseAncestor(item, selectors, rules);
+    // The site's listing ID, when the item element carries one
+    mod.listingId = selectors.itemIdAttribute ? (item.getAttribute(selectors.itemIdAttribute) || '').trim() : '';
+    return mod;
+  }
+
+  /**
+   * Count the rendered listings and report whether the lazy loader is
+   * visible, without parsing the listings.
+   * @param {Document} doc
+   * @param {Object} selectors
+   * @returns {{itemCount: number, loaderVisible: boolean}}
+   */
+  function documentStatus(doc, selectors) {
+    const loaderEl = doc.querySelector(selectors.loader);
+    return {
+      itemCount: doc.querySelectorAll(selectors.item).length,
+      loaderVisible: !!(loaderEl && loaderEl.offsetParent !== null)
+    };
+  }
+
+  /**
+   * Parse every listing currently rendered in the document and report
+   * whether the lazy loader is visible.
+   * @param {Document} doc
+   * @param {Object} selectors
+   * @param {Object} [rules] Locale rules
+   * @returns {{modules: Array<Object>, itemCount: number, loaderVisible: boolean}}
+   */
+  function parseDocument(doc, selectors, rules = ENGLISH) {
+    const modules = [];
+    doc.querySelectorAll(selectors.item).forEach(item => {
+      modules.push(parseItem(item, selectors, rules));
+    });
+    return { modules, ...documentStatus(doc, selectors) };
+  }
+
+  return {
+    parseSeller,
+    parsePrice,
+    parsePriceValue,
+    parseAncestor,
+    parseTrigger,
+    parseItem,
+    moduleFromFields,
+    documentStatus,
+    parseDocument
+  };
+});
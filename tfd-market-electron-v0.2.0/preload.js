@@ -8,7 +8,8 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('marketHelperAPI', {
   /**
    * Start a new search with the given filter values. Returns a
-   * promise resolving to an object containing the searchId.
+   * promise resolving to an object containing the searchId and its
+   * queuePosition (0 if it started right away).
    * @param {Object} filters
    */
   startSearch: (filters) => ipcRenderer.invoke('start-search', filters),
@@ -19,7 +20,13 @@ contextBridge.exposeInMainWorld('marketHelperAPI', {
   stopSearch: (searchId) => ipcRenderer.invoke('stop-search', searchId),
   /**
    * Register a callback for search update events. The callback
-   * receives an object: { searchId, data, finished }.
+   * receives an object: { searchId, data, finished }. When a re-run
+   * finishes, `diff` summarises the changes since the previous run
+   * ({ new, repriced, gone, unchanged }) and each listing carries a
+   * `change` tag ('new', 'repriced', 'gone' or null). A failed run
+   * carries `error` ({ code, message, step, selector, snapshot }); codes
+   * are listed in searchErrors.js and `snapshot` tells whether a failure
+   * snapshot can be opened with openSearchSnapshot.
    * @param {function} callback
    */
   onSearchUpdated: (callback) => {
@@ -51,17 +58,155 @@ contextBridge.exposeInMainWorld('marketHelperAPI', {
    * a promise.
    * @param {number} searchId
    */
-  retrySearch: (searchId) => ipcRenderer.invoke('retry-search', searchId)
+  retrySearch: (searchId) => ipcRenderer.invoke('retry-search', searchId),
+  /**
+   * Open the folder holding the screenshot and page HTML saved when the
+   * search last failed. Resolves to an empty string on success.
+   * @param {number} searchId
+   */
+  openSearchSnapshot: (searchId) => ipcRenderer.invoke('open-search-snapshot', searchId),
+  /**
+   * Export a diagnostics bundle (logs, metrics, filters, selector profile
+   * and failure snapshots) for a search. Resolves to the bundle folder,
+   * or null when the user cancelled.
+   * @param {number} searchId
+   */
+  exportDiagnostics: (searchId) => ipcRenderer.invoke('export-diagnostics', searchId)
 
   ,
   /**
    * Register a callback for search progress events. The callback
    * receives an object containing the searchId and stage string,
-   * indicating the current step (e.g. 'enterName', 'setPlatform',
-   * 'waiting').
+   * indicating the current step (e.g. 'enterName', 'setPlatform') or
+   * the page condition being waited on ('waitModuleType', 'waitResults',
+   * 'waitPlatform', 'waitFilters', 'waiting'). 'setFilters' is sent when
+   * socket type, price or MR filters are applied on the site. 'restarting' is sent when a retry or
+   * scheduled run is requested and 'loading' once a queued run gets its
+   * window and loads the market page. Searches for several module names
+   * also carry `batch` ({ index, total, name }) naming the module being
+   * searched; it is null otherwise.
    * @param {function} callback
    */
   onSearchProgress: (callback) => {
     ipcRenderer.on('search-progress', (_event, payload) => callback(payload));
-  }
+  },
+  /**
+   * List saved searches, newest first. Resolves to an array of summaries
+   * ({ recordId, filters, status, startedAt, finishedAt, count }).
+   */
+  listPastSearches: () => ipcRenderer.invoke('list-past-searches'),
+  /**
+   * Load a saved search including its listings.
+   * @param {string} recordId
+   */
+  openPastSearch: (recordId) => ipcRenderer.invoke('open-past-search', recordId),
+  /**
+   * Module names seen in saved searches, sorted. Used as the catalog for
+   * batch searches.
+   * @param {string} moduleType 'ancestor' or 'trigger'
+   */
+  listModuleNames: (moduleType) => ipcRenderer.invoke('list-module-names', moduleType),
+  /**
+   * Fetch the price history of a module across saved searches.
+   * @param {Object} query { name, attributes?, days? }
+   */
+  getPriceHistory: (query) => ipcRenderer.invoke('get-price-history', query),
+  /**
+   * Register a callback for search saved events. The callback receives
+   * an object: { searchId, recordId }.
+   * @param {function} callback
+   */
+  onSearchSaved: (callback) => {
+    ipcRenderer.on('search-saved', (_event, payload) => callback(payload));
+  },
+  /**
+   * Re-run a search every `intervalMs`. Pass 0 to stop repeating.
+   * Resolves to the schedule ({ intervalMs, lastRunAt, nextRunAt }) or null.
+   * @param {number} searchId
+   * @param {number} intervalMs
+   */
+  setSearchSchedule: (searchId, intervalMs) => ipcRenderer.invoke('set-search-schedule', searchId, intervalMs),
+  /**
+   * Register a callback for schedule changes. The callback receives an
+   * object: { searchId, schedule } where schedule is null once the
+   * search no longer repeats.
+   * @param {function} callback
+   */
+  onSearchSchedule: (callback) => {
+    ipcRenderer.on('search-schedule', (_event, payload) => callback(payload));
+  },
+  /**
+   * Bind a saved filter profile to a search as a watch rule, or remove it
+   * by passing null.
+   * @param {number} searchId
+   * @param {Object|null} rule { profileName, state }
+   */
+  setWatchRule: (searchId, rule) => ipcRenderer.invoke('set-watch-rule', searchId, rule),
+  /**
+   * Register a callback for new listings matching a watch rule. The
+   * callback receives an object: { searchId, count, listingKey }.
+   * @param {function} callback
+   */
+  onWatchMatch: (callback) => {
+    ipcRenderer.on('watch-match', (_event, payload) => callback(payload));
+  },
+  /**
+   * Register a callback for requests to reveal a listing, sent when a
+   * watch notification is clicked. Receives { searchId, listingKey }.
+   * @param {function} callback
+   */
+  onFocusListing: (callback) => {
+    ipcRenderer.on('focus-listing', (_event, payload) => callback(payload));
+  },
+  /**
+   * Register a callback for queue position changes of searches waiting
+   * for a free slot. The callback receives { searchId, position }.
+   * @param {function} callback
+   */
+  onSearchQueued: (callback) => {
+    ipcRenderer.on('search-queued', (_event, payload) => callback(payload));
+  },
+  /**
+   * Fetch the application settings: { values, definitions, overridden }.
+   * `definitions` describes each setting (label, type, bounds, default);
+   * `overridden` lists settings fixed by a command-line switch or
+   * environment variable for this session.
+   */
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  /**
+   * Validate and save changed settings. Resolves to { settings, errors }
+   * where errors maps each invalid setting to a message; nothing is saved
+   * unless errors is empty.
+   * @param {Object} changes Setting values keyed by setting
+   */
+  updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
+  /** Reset all settings to their defaults. Resolves to the settings. */
+  resetSettings: () => ipcRenderer.invoke('reset-settings'),
+  /**
+   * Fetch the state of the local API: { enabled, url, token, error }.
+   * `url` and `token` are null unless the server is running.
+   */
+  getApiStatus: () => ipcRenderer.invoke('get-api-status'),
+  /**
+   * Register a callback for searches started from the local API. The
+   * callback receives { searchId, queuePosition, filters } and opens a
+   * tab for the search.
+   * @param {function} callback
+   */
+  onSearchStarted: (callback) => {
+    ipcRenderer.on('search-started', (_event, payload) => callback(payload));
+  },
+  /**
+   * Report the open tabs so they can be restored on the next start:
+   * { activeIndex, tabs: [{ searchId | recordId, title, filterState }] }.
+   * @param {Object} layout
+   */
+  updateSession: (layout) => ipcRenderer.invoke('update-session', layout),
+  /**
+   * Reopen the tabs of the last session. Resolves to { activeIndex, tabs }
+   * where each tab has its searchId (or recordId for a saved search),
+   * title, moduleType, listings, filterState and whether it is stale and
+   * should be re-run.
+   */
+  restoreSession: () => ipcRenderer.invoke('restore-session')
 });
\ No newline at end of file
@@ -0,0 +1,158 @@
+// priceHistory.js
+// Records the price of every saved listing over time and answers
+// "how has this module's price moved" questions. Observations are kept in
+// an append-only JSON Lines file next to the search store; one line per
+// listing per saved search. Observations are kept in memory after the
+// first read (see jsonlFile.js). They are kept for RETENTION_DAYS: once
+// the oldest is PRUNE_SLACK_DAYS past that, the file is rewritten without
+// the expired ones.
+
+const path = require('path');
+const { parsePriceValue } = require('./parsers');
+const { listingKey } = require('./listingIdentity');
+const { createJsonlFile } = require('./jsonlFile');
+
+const HISTORY_FILE_NAME = 'price-history.jsonl';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = 365;
+const PRUNE_SLACK_DAYS = 30;
+
+// History file accessor, set by initPriceHistory.
+let historyFile = null;
+
+/**
+ * Point the price history at the given userData folder.
+ * @param {string} userDataDir
+ */
+function initPriceHistory(userDataDir) {
+  historyFile = createJsonlFile(path.join(userDataDir, HISTORY_FILE_NAME));
+}
+
+/**
+ * Append one observation per listing of a saved search record.
+ * @param {Object} record A record returned by searchStore.saveSearchRecord
+ * @returns {Promise<number>} Number of observations written
+ */
+async function recordPriceHistory(record) {
+  if (!historyFile) throw new Error('Price history has not been initialised');
+  const capturedAt = record.finishedAt || record.savedAt || Date.now();
+  const observations = [];
+  for (const mod of record.listings || []) {
+    const price = parsePriceValue(mod.price);
+    if (!mod.name || price === null) continue;
+    observations.push({
+      capturedAt,
+      recordId: record.recordId,
+      listingKey: mod.listingKey || listingKey(mod),
+      name: mod.name,
+      category: mod.category || '',
+      price,
+      platform: mod.platform || '',
+      sellerName: mod.sellerName || '',
+      attributes: mod.attributes || [],
+      stats: (mod.stats || []).map(stat => stat.raw)
+    });
+  }
+  if (observations.length === 0) return 0;
+  await historyFile.append(observations);
+  const pruneBefore = Date.now() - (RETENTION_DAYS + PRUNE_SLACK_DAYS) * DAY_MS;
+  const keepSince = Date.now() - RETENTION_DAYS * DAY_MS;
+  await historyFile.prune(all => (all.some(obs => obs.capturedAt < pruneBefore) ? all.filter(obs => obs.capturedAt >= keepSince) : all));
+  return observations.length;
+}
+
+/**
+ * Read every observation. Unparseable lines are skipped. The observations
+ * are shared with later calls and must not be modified.
+ * @returns {Promise<Array<Object>>}
+ */
+async function readObservations() {
+  if (!historyFile) throw new Error('Price history has not been initialised');
+  return historyFile.read();
+}
+
+/**
+ * Median of a sorted array of numbers.
+ * @param {Array<number>} sorted
+ */
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Key of the listing an observation was taken from. Observations recorded
+ * before keys were stored get one from the fields they kept.
+ * @param {Object} obs
+ * @returns {string}
+ */
+function observationKey(obs) {
+  if (obs.listingKey) return obs.listingKey;
+  return listingKey({
+    name: obs.name,
+    sellerName: obs.sellerName,
+    price: obs.price,
+    stats: (obs.stats || []).map(raw => ({ raw }))
+  });
+}
+
+/**
+ * Group observations of one module into daily buckets and compute the
+ * min, median and max price for each day. The same listing seen by
+ * several searches on one day is counted once.
+ *
+ * @param {Array<Object>} observations
+ * @param {Object} query
+ * @param {string} query.name Module name (case-insensitive)
+ * @param {Array<string>} [query.attributes] Only listings with all of these
+ * @returns {Array<{day: number, min: number, median: number, max: number, count: number}>}
+ */
+function summarizePriceHistory(observations, query) {
+  const name = String(query.name || '').toLowerCase();
+  const attributes = query.attributes || [];
+  const buckets = new Map();
+  for (const obs of observations) {
+    if (String(obs.name).toLowerCase() !== name) continue;
+    if (attributes.some(attr => !(obs.attributes || []).includes(attr))) continue;
+    // Start of the day in local time, so buckets match the user's calendar
+    const date = new Date(obs.capturedAt);
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    if (!buckets.has(day)) buckets.set(day, new Map());
+    buckets.get(day).set(observationKey(obs), obs.price);
+  }
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([day, listings]) => {
+      const prices = Array.from(listings.values()).sort((a, b) => a - b);
+      return {
+        day,
+        min: prices[0],
+        median: median(prices),
+        max: prices[prices.length - 1],
+        count: prices.length
+      };
+    });
+}
+
+/**
+ * Price history for a module name, optionally narrowed to listings that
+ * share the given attributes.
+ * @param {Object} query See summarizePriceHistory
+ * @param {number} [query.days] Only include the most recent N days
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPriceHistory(query) {
+  let observations = await readObservations();
+  if (query.days) {
+    const since = Date.now() - query.days * DAY_MS;
+    observations = observations.filter(obs => obs.capturedAt >= since);
+  }
+  return summarizePriceHistory(observations, query);
+}
+
+module.exports = {
+  initPriceHistory,
+  recordPriceHistory,
+  summarizePriceHistory,
+  getPriceHistory
+};
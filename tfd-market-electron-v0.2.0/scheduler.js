@@ -0,0 +1,111 @@
+// scheduler.js
+// Re-runs searches on a repeat interval. Each scheduled search keeps a
+// single timer; when it fires the search is restarted through the `run`
+// callback supplied by main.js and the next run is planned one interval
+// later. A run that is still in progress when the timer fires is left
+// alone and the tick is skipped.
+
+// Active schedules keyed by search ID:
+// { intervalMs, lastRunAt, nextRunAt, timer, run, onChange }
+const schedules = new Map();
+
+/**
+ * Public view of a schedule, safe to send over IPC.
+ * @param {Object} schedule
+ * @returns {{intervalMs: number, lastRunAt: number|null, nextRunAt: number}}
+ */
+function describe(schedule) {
+  return {
+    intervalMs: schedule.intervalMs,
+    lastRunAt: schedule.lastRunAt,
+    nextRunAt: schedule.nextRunAt
+  };
+}
+
+/**
+ * Arm the timer for the next run of a schedule.
+ * @param {number} id
+ * @param {Object} schedule
+ */
+function arm(id, schedule) {
+  clearTimeout(schedule.timer);
+  schedule.nextRunAt = Date.now() + schedule.intervalMs;
+  schedule.timer = setTimeout(() => {
+    // The schedule may have been replaced or cleared while waiting
+    if (schedules.get(id) !== schedule) return;
+    if (schedule.run(id)) {
+      schedule.lastRunAt = Date.now();
+    }
+    arm(id, schedule);
+    schedule.onChange(id, describe(schedule));
+  }, schedule.intervalMs);
+}
+
+/**
+ * Give a search a repeat interval, replacing any existing schedule. The
+ * first repeat happens one interval from now.
+ *
+ * @param {number} id Search ID
+ * @param {number} intervalMs Repeat interval in ms
+ * @param {Object} options
+ * @param {function(number): boolean} options.run Restart the search;
+ *   returns false if it could not be started (e.g. still running)
+ * @param {function(number, Object|null)} [options.onChange] Called with
+ *   the new schedule after every change, or null when it is cleared
+ * @param {number} [options.lastRunAt] Start time of the most recent run
+ * @returns {Object} The schedule (see describe)
+ */
+function setSchedule(id, intervalMs, options) {
+  clearSchedule(id, { silent: true });
+  const schedule = {
+    intervalMs,
+    lastRunAt: options.lastRunAt || null,
+    nextRunAt: null,
+    timer: null,
+    run: options.run,
+    onChange: options.onChange || (() => {})
+  };
+  schedules.set(id, schedule);
+  arm(id, schedule);
+  schedule.onChange(id, describe(schedule));
+  return describe(schedule);
+}
+
+/**
+ * Stop repeating a search.
+ * @param {number} id Search ID
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] Do not call the onChange callback
+ */
+function clearSchedule(id, options = {}) {
+  const schedule = schedules.get(id);
+  if (!schedule) return;
+  clearTimeout(schedule.timer);
+  schedules.delete(id);
+  if (!options.silent) schedule.onChange(id, null);
+}
+
+/**
+ * Current schedule of a search, or null if it does not repeat.
+ * @param {number} id Search ID
+ */
+function getSchedule(id) {
+  const schedule = schedules.get(id);
+  return schedule ? describe(schedule) : null;
+}
+
+/**
+ * Stop every schedule, e.g. when the app quits.
+ */
+function clearAllSchedules() {
+  for (const id of Array.from(schedules.keys())) {
+    clearSchedule(id, { silent: true });
+  }
+}
+
+module.exports = {
+  setSchedule,
+  clearSchedule,
+  getSchedule,
+  clearAllSchedules
+};
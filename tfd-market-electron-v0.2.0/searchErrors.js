@@ -0,0 +1,60 @@
+// searchErrors.js
+// Error codes reported when a search fails, so the hub can tell the user
+// what went wrong instead of a generic message. Errors are plain Error
+// objects carrying a `code` (like Node's system errors) and, where it
+// helps, the search `step` and the `selector` key that was missing.
+
+const SEARCH_ERROR_CODES = {
+  // The market page did not load
+  LOAD_FAILED: 'load-failed',
+  // A control needed for a step is not on the page
+  SELECTOR_NOT_FOUND: 'selector-not-found',
+  // The search produced no listings within the zero-result timeout
+  ZERO_RESULTS: 'zero-results',
+  // Parsing the listings threw before anything was collected
+  PARSE_ERROR: 'parse-error',
+  // The hidden window's renderer crashed or was killed
+  WINDOW_CRASHED: 'window-crashed',
+  // Anything else
+  UNKNOWN: 'unknown'
+};
+
+const KNOWN_CODES = new Set(Object.values(SEARCH_ERROR_CODES));
+
+/**
+ * Create an error with a search error code.
+ * @param {string} code One of SEARCH_ERROR_CODES
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {string} [details.step] Search step, e.g. 'moduleType'
+ * @param {string} [details.selector] Selector key from the profile
+ * @returns {Error}
+ */
+function searchError(code, message, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  if (details.step) err.step = details.step;
+  if (details.selector) err.selector = details.selector;
+  return err;
+}
+
+/**
+ * Describe any error as a plain object for the 'search-updated' payload.
+ * Errors without a search error code are reported as 'unknown'.
+ * @param {Error} err
+ * @returns {{code: string, message: string, step: string|null, selector: string|null}}
+ */
+function describeSearchError(err) {
+  return {
+    code: err && KNOWN_CODES.has(err.code) ? err.code : SEARCH_ERROR_CODES.UNKNOWN,
+    message: err && err.message ? err.message : String(err),
+    step: (err && err.step) || null,
+    selector: (err && err.selector) || null
+  };
+}
+
+module.exports = {
+  SEARCH_ERROR_CODES,
+  searchError,
+  describeSearchError
+};
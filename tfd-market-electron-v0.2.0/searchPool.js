@@ -0,0 +1,162 @@
+// searchPool.js
+// Limits how many searches scrape the market at the same time. Each run
+// asks for a slot; when all slots are taken it waits in a FIFO queue.
+// Hidden search windows are kept in a pool when a run ends and handed to
+// the next run, so a queued search reuses an idle window instead of
+// creating a new renderer.
+
+const DEFAULT_CONCURRENCY = 2;
+
+// Maximum number of searches running at once.
+let concurrency = DEFAULT_CONCURRENCY;
+// Factory for new hidden windows, set by configureSearchPool.
+let createWindow = null;
+// Called with [{ id, position }] whenever the queue changes.
+let onQueueChange = () => {};
+
+// Search IDs currently holding a slot.
+const active = new Set();
+// Waiting runs in arrival order: { id, start }.
+const queue = [];
+// Idle windows ready to be reused.
+const idleWindows = [];
+
+/**
+ * Configure the pool. Must be called before the first search.
+ * @param {Object} options
+ * @param {function(): BrowserWindow} options.createWindow Create a hidden search window
+ * @param {number} [options.concurrency] Maximum concurrent searches
+ * @param {function(Array<{id: number, position: number}>)} [options.onQueueChange]
+ */
+function configureSearchPool(options) {
+  createWindow = options.createWindow;
+  if (options.onQueueChange) onQueueChange = options.onQueueChange;
+  setConcurrency(options.concurrency);
+}
+
+/**
+ * Change the concurrency limit. Raising it starts queued searches.
+ * @param {number} limit Values below 1 fall back to the default
+ */
+function setConcurrency(limit) {
+  concurrency = limit >= 1 ? Math.floor(limit) : DEFAULT_CONCURRENCY;
+  drain();
+}
+
+/** Current concurrency limit. */
+function getConcurrency() {
+  return concurrency;
+}
+
+/**
+ * Take an idle window from the pool, or create a new one.
+ * @returns {BrowserWindow}
+ */
+function takeWindow() {
+  while (idleWindows.length > 0) {
+    const win = idleWindows.shift();
+    if (!win.isDestroyed()) return win;
+  }
+  return createWindow();
+}
+
+/** Report the queue positions of all waiting searches. */
+function notifyQueue() {
+  onQueueChange(queue.map((item, index) => ({ id: item.id, position: index + 1 })));
+}
+
+/** Start queued runs while slots are free. */
+function drain() {
+  let started = false;
+  while (queue.length > 0 && active.size < concurrency) {
+    const { id, start } = queue.shift();
+    active.add(id);
+    started = true;
+    start(takeWindow());
+  }
+  if (started) notifyQueue();
+}
+
+/**
+ * Ask for a slot for a search run. `start` is called with a window as soon
+ * as a slot is free, possibly right away.
+ * @param {number} id Search ID
+ * @param {function(BrowserWindow)} start
+ * @returns {number} 0 if the run started, otherwise its queue position
+ */
+function requestSearchSlot(id, start) {
+  if (active.has(id) || queue.some(item => item.id === id)) {
+    throw new Error(`Search ${id} already holds or awaits a slot`);
+  }
+  if (active.size < concurrency) {
+    active.add(id);
+    start(takeWindow());
+    return 0;
+  }
+  queue.push({ id, start });
+  notifyQueue();
+  return queue.length;
+}
+
+/**
+ * Give up the slot of a finished run and start the next queued search.
+ * Does nothing if the search holds no slot.
+ * @param {number} id Search ID
+ * @param {BrowserWindow|null} [win] Window to keep for reuse; pass null
+ *   when the window was closed or is still needed by the caller
+ */
+function releaseSearchSlot(id, win) {
+  if (!active.delete(id)) return;
+  if (win && !win.isDestroyed()) {
+    win.webContents.stop();
+    // Keep at most one idle window per slot
+    if (idleWindows.length < concurrency) {
+      idleWindows.push(win);
+    } else {
+      win.close();
+    }
+  }
+  drain();
+}
+
+/**
+ * Remove a search from the queue before it started.
+ * @param {number} id Search ID
+ * @returns {boolean} Whether the search was queued
+ */
+function cancelQueuedSearch(id) {
+  const index = queue.findIndex(item => item.id === id);
+  if (index === -1) return false;
+  queue.splice(index, 1);
+  notifyQueue();
+  return true;
+}
+
+/**
+ * Queue position of a search (1 = next), or 0 if it is not queued.
+ * @param {number} id Search ID
+ */
+function getQueuePosition(id) {
+  return queue.findIndex(item => item.id === id) + 1;
+}
+
+/**
+ * Close all idle windows, e.g. when the app quits.
+ */
+function closeIdleWindows() {
+  while (idleWindows.length > 0) {
+    const win = idleWindows.shift();
+    if (!win.isDestroyed()) win.destroy();
+  }
+}
+
+module.exports = {
+  configureSearchPool,
+  setConcurrency,
+  getConcurrency,
+  requestSearchSlot,
+  releaseSearchSlot,
+  cancelQueuedSearch,
+  getQueuePosition,
+  closeIdleWindows
+};
@@ -0,0 +1,107 @@
+// searchStore.js
+// Persists completed searches to an append-only JSON Lines file in the
+// userData folder. Each line is one search run: its filters, timestamps,
+// terminal status and the listings it collected. Records are kept in
+// memory after the first read (see jsonlFile.js). Only the newest
+// MAX_RECORDS searches are kept: once PRUNE_SLACK more have been saved,
+// the file is rewritten without the oldest ones.
+
+const path = require('path');
+const { createJsonlFile } = require('./jsonlFile');
+
+const STORE_FILE_NAME = 'search-history.jsonl';
+const MAX_RECORDS = 500;
+const PRUNE_SLACK = 50;
+
+// Store file accessor, set by initSearchStore.
+let storeFile = null;
+
+/**
+ * Point the store at the given userData folder.
+ * @param {string} userDataDir
+ */
+function initSearchStore(userDataDir) {
+  storeFile = createJsonlFile(path.join(userDataDir, STORE_FILE_NAME));
+}
+
+/**
+ * Read every record in the store, oldest first. Lines that fail to parse
+ * (for example a partially written last line) are skipped. The records are
+ * shared with later calls and must not be modified.
+ * @returns {Promise<Array<Object>>}
+ */
+async function readRecords() {
+  if (!storeFile) throw new Error('Search store has not been initialised');
+  return storeFile.read();
+}
+
+/**
+ * Append a search record.
+ * @param {Object} record
+ * @param {number} record.searchId Search ID within the session that ran it
+ * @param {Object} record.filters Filters submitted from the hub form
+ * @param {string} record.status 'finished' or 'cancelled'
+ * @param {number} record.startedAt
+ * @param {number} record.finishedAt
+ * @param {Array<Object>} record.listings Parsed modules
+ * @returns {Promise<Object>} The stored record including its recordId
+ */
+async function saveSearchRecord(record) {
+  if (!storeFile) throw new Error('Search store has not been initialised');
+  const stored = {
+    recordId: `${record.startedAt}-${record.searchId}`,
+    savedAt: Date.now(),
+    ...record
+  };
+  await storeFile.append([stored]);
+  await storeFile.prune(records => (records.length > MAX_RECORDS + PRUNE_SLACK ? records.slice(-MAX_RECORDS) : records));
+  return stored;
+}
+
+/**
+ * List stored searches, newest first, without their listings.
+ * @returns {Promise<Array<Object>>} Summaries with a `count` field
+ */
+async function listSearchRecords() {
+  const records = await readRecords();
+  return records
+    .map(({ listings, ...summary }) => ({ ...summary, count: Array.isArray(listings) ? listings.length : 0 }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Fetch a stored search including its listings.
+ * @param {string} recordId
+ * @returns {Promise<Object|null>}
+ */
+async function getSearchRecord(recordId) {
+  const records = await readRecords();
+  return records.find(r => r.recordId === recordId) || null;
+}
+
+/**
+ * Catalog of module names seen in stored searches of a module type, used
+ * to pick names for a batch search.
+ * @param {string} [moduleType] 'ancestor' or 'trigger'; all types if omitted
+ * @returns {Promise<Array<string>>} Sorted case-insensitively
+ */
+async function listModuleNames(moduleType) {
+  const records = await readRecords();
+  const names = new Set();
+  for (const record of records) {
+    if (moduleType && (!record.filters || record.filters.moduleType !== moduleType)) continue;
+    for (const mod of record.listings || []) {
+      if (mod.name) names.add(mod.name);
+    }
+  }
+  return Array.from(names).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+}
+
+module.exports = {
+  initSearchStore,
+  readRecords,
+  saveSearchRecord,
+  listSearchRecords,
+  getSearchRecord,
+  listModuleNames
+};
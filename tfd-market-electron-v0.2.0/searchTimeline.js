@@ -0,0 +1,46 @@
+// searchTimeline.js
+// Records how long each step of a search run takes. A run's timeline is a
+// list of spans, one per step: page load, module type selection, search
+// entry, platform and site filter selection, waiting for the list to
+// settle, every scroll iteration and finalisation. The debug console draws
+// them as a Gantt chart and averages them across searches.
+
+/**
+ * Stages a span can have, in the order they occur in a run.
+ */
+const TIMELINE_STAGES = ['load', 'moduleType', 'enterName', 'platform', 'filters', 'settle', 'scroll', 'finalize'];
+
+/**
+ * Create the timeline of one run.
+ * @param {number} [startedAt] Start of the run; defaults to now
+ * @returns {{startedAt: number, spans: Array<Object>, begin: function(string, Object=): function(Object=)}}
+ */
+function createTimeline(startedAt = Date.now()) {
+  const spans = [];
+  return {
+    startedAt,
+    spans,
+    /**
+     * Start a span. Returns a function that ends it and merges any extra
+     * data into it. A span that is never ended (the run failed or was
+     * stopped during the step) keeps `end: null`.
+     * @param {string} stage One of TIMELINE_STAGES
+     * @param {Object} [data] E.g. { name } or { iteration }
+     * @returns {function(Object=)}
+     */
+    begin(stage, data = {}) {
+      const span = { stage, start: Date.now(), end: null, data: { ...data } };
+      spans.push(span);
+      return (extra) => {
+        if (span.end !== null) return;
+        span.end = Date.now();
+        if (extra) Object.assign(span.data, extra);
+      };
+    }
+  };
+}
+
+module.exports = {
+  TIMELINE_STAGES,
+  createTimeline
+};
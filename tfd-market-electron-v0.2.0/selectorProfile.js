@@ -0,0 +1,135 @@
+// selectorProfile.js
+// Loads the CSS selectors used to drive and scrape the official market
+// page. A default profile ships with the app (selectors.default.json);
+// a team member can drop a newer selectors.json into the userData folder
+// to fix a broken selector without a new build. The override is watched
+// and reloaded while the app is running.
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_PROFILE_PATH = path.join(__dirname, 'selectors.default.json');
+const PROFILE_FILE_NAME = 'selectors.json';
+
+// The active profile: { version, site, updated, selectors, source }
+let currentProfile = null;
+// Path of the override file currently being watched, if any.
+let watchedPath = null;
+
+/**
+ * Read and validate a selector profile from disk. Returns null when the
+ * file does not exist; throws when it exists but is not a valid profile.
+ * @param {string} file
+ * @returns {Object|null}
+ */
+function readProfile(file) {
+  if (!fs.existsSync(file)) return null;
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!profile || typeof profile.selectors !== 'object' || typeof profile.version !== 'number') {
+    throw new Error(`${file} is not a selector profile (expected "version" and "selectors")`);
+  }
+  return profile;
+}
+
+/**
+ * Path of the user override profile inside the given userData folder.
+ * @param {string} userDataDir
+ */
+function getProfilePath(userDataDir) {
+  return path.join(userDataDir, PROFILE_FILE_NAME);
+}
+
+/**
+ * Load the selector profile. The bundled default is always the base. An
+ * override in userData replaces individual selectors, but only when its
+ * version is at least the bundled one: an older override would otherwise
+ * shadow fixes shipped in a newer build.
+ *
+ * @param {string} userDataDir
+ * @param {function(string)} [log] Receives human-readable status messages
+ * @returns {Object} The active profile
+ */
+function loadSelectorProfile(userDataDir, log = () => {}) {
+  const bundled = readProfile(BUNDLED_PROFILE_PATH);
+  let profile = { ...bundled, selectors: { ...bundled.selectors }, source: 'bundled' };
+  const overridePath = getProfilePath(userDataDir);
+  try {
+    const override = readProfile(overridePath);
+    if (override) {
+      if (override.version >= bundled.version) {
+        profile = {
+          ...bundled,
+          ...override,
+          selectors: { ...bundled.selectors, ...override.selectors },
+          source: overridePath
+        };
+      } else {
+        log(`Ignoring ${overridePath}: version ${override.version} is older than bundled version ${bundled.version}`);
+      }
+    }
+  } catch (err) {
+    log(`Failed to read selector profile ${overridePath}: ${err.message}`);
+  }
+  currentProfile = profile;
+  log(`Selector profile v${profile.version} loaded from ${profile.source}`);
+  return profile;
+}
+
+/**
+ * Return the active profile, loading the bundled default if nothing has
+ * been loaded yet.
+ * @returns {Object}
+ */
+function getSelectorProfile() {
+  if (!currentProfile) {
+    const bundled = readProfile(BUNDLED_PROFILE_PATH);
+    currentProfile = { ...bundled, selectors: { ...bundled.selectors }, source: 'bundled' };
+  }
+  return currentProfile;
+}
+
+/**
+ * Shortcut for the selectors map of the active profile.
+ * @returns {Object<string, string>}
+ */
+function getSelectors() {
+  return getSelectorProfile().selectors;
+}
+
+/**
+ * Watch the override file and reload the profile whenever it is created,
+ * changed or removed. fs.watchFile is used because it also works for a
+ * file that does not exist yet.
+ *
+ * @param {string} userDataDir
+ * @param {function(Object)} onReload Called with the reloaded profile
+ * @param {function(string)} [log]
+ */
+function watchSelectorProfile(userDataDir, onReload, log = () => {}) {
+  const overridePath = getProfilePath(userDataDir);
+  if (watchedPath) fs.unwatchFile(watchedPath);
+  watchedPath = overridePath;
+  fs.watchFile(overridePath, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const profile = loadSelectorProfile(userDataDir, log);
+    if (onReload) onReload(profile);
+  });
+}
+
+/** Stop watching the override file. */
+function unwatchSelectorProfile() {
+  if (watchedPath) {
+    fs.unwatchFile(watchedPath);
+    watchedPath = null;
+  }
+}
+
+module.exports = {
+  BUNDLED_PROFILE_PATH,
+  getProfilePath,
+  loadSelectorProfile,
+  getSelectorProfile,
+  getSelectors,
+  watchSelectorProfile,
+  unwatchSelectorProfile
+};
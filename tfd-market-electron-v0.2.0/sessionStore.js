@@ -0,0 +1,74 @@
+// sessionStore.js
+// Remembers the hub's open tabs between runs of the app in session.json
+// in the userData folder. The file is rewritten when the hub window
+// closes and read once when it opens again. Each tab records:
+//
+//   { kind: 'search', title, filters, listings, filterState, startedAt, finishedAt }
+//   { kind: 'history', title, recordId, filterState }
+//
+// `filterState` is the helper's filter and sort state (profileManager's
+// getState in helper.js); `listings` is the last result set of the search.
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_FILE_NAME = 'session.json';
+const SESSION_VERSION = 1;
+
+// Absolute path of the session file, set by initSessionStore.
+let sessionPath = null;
+
+/**
+ * Point the store at the given userData folder.
+ * @param {string} userDataDir
+ */
+function initSessionStore(userDataDir) {
+  sessionPath = path.join(userDataDir, SESSION_FILE_NAME);
+}
+
+/**
+ * Read the saved session. A missing, unreadable or outdated file gives
+ * an empty session.
+ * @returns {Promise<{savedAt: number|null, activeIndex: number, tabs: Array<Object>}>}
+ */
+async function loadSession() {
+  if (!sessionPath) throw new Error('Session store has not been initialised');
+  const empty = { savedAt: null, activeIndex: -1, tabs: [] };
+  let session;
+  try {
+    session = JSON.parse(await fs.promises.readFile(sessionPath, 'utf8'));
+  } catch (err) {
+    return empty;
+  }
+  if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.tabs)) return empty;
+  return {
+    savedAt: session.savedAt || null,
+    activeIndex: Number.isInteger(session.activeIndex) ? session.activeIndex : -1,
+    tabs: session.tabs.filter(tab => tab && (tab.kind === 'search' || tab.kind === 'history'))
+  };
+}
+
+/**
+ * Write the session. Synchronous because it runs while the app quits.
+ * The file is replaced in one step so a crash cannot leave half of it.
+ * @param {{activeIndex: number, tabs: Array<Object>}} session
+ */
+function saveSessionSync(session) {
+  if (!sessionPath) throw new Error('Session store has not been initialised');
+  const text = JSON.stringify({
+    version: SESSION_VERSION,
+    savedAt: Date.now(),
+    activeIndex: session.activeIndex,
+    tabs: session.tabs
+  });
+  const tmpPath = `${sessionPath}.tmp`;
+  fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+  fs.writeFileSync(tmpPath, text, 'utf8');
+  fs.renameSync(tmpPath, sessionPath);
+}
+
+module.exports = {
+  initSessionStore,
+  loadSession,
+  saveSessionSync
+};
@@ -0,0 +1,357 @@
+// settingsStore.js
+// Application settings, persisted as settings.json in the userData
+// folder: scraper timings, the market URL and language, capture mode,
+// search concurrency, window sizes, session restore and the local API.
+// Only values that differ from the defaults need to be in the file; a
+// missing or invalid value falls back to its default.
+//
+// A value given on the command line or in the environment (e.g.
+// --market-url) overrides the stored one for the session without
+// changing the file. The Settings view shows such values as locked.
+
+const fs = require('fs');
+const path = require('path');
+const { LOCALES, DEFAULT_LOCALE } = require('./locales');
+
+const SETTINGS_FILE_NAME = 'settings.json';
+
+// Every setting with its type, default and bounds. `group` and `label`
+// are used by the Settings view in hub.html to lay out the form.
+const SETTING_DEFINITIONS = {
+  marketUrl: {
+    group: 'Market',
+    label: 'Market URL',
+    description: 'Leave empty for the official market in the chosen language',
+    type: 'url',
+    default: ''
+  },
+  locale: {
+    group: 'Market',
+    label: 'Market language',
+    description: 'Korean (ko) and German (de) are unverified: their words and number formats have not been checked against the live site',
+    type: 'enum',
+    options: Object.keys(LOCALES),
+    default: DEFAULT_LOCALE
+  },
+  captureMode: {
+    group: 'Market',
+    label: 'Capture mode',
+    description: 'Read listings from the page (dom) or from its network responses (network). Network capture only works against the mock market; tfd.nexon.com is always read from the page',
+    type: 'enum',
+    options: ['dom', 'network'],
+    default: 'dom'
+  },
+  maxConcurrentSearches: {
+    group: 'Searches',
+    label: 'Concurrent searches',
+    type: 'integer',
+    min: 1,
+    max: 8,
+    default: 2
+  },
+  moduleTypeTimeoutMs: {
+    group: 'Step timeouts (ms)',
+    label: 'Module type',
+    type: 'integer',
+    min: 1000,
+    max: 120000,
+    default: 20000
+  },
+  resultsTimeoutMs: {
+    group: 'Step timeouts (ms)',
+    label: 'Search results',
+    type: 'integer',
+    min: 1000,
+    max: 120000,
+    default: 30000
+  },
+  platformTimeoutMs: {
+    group: 'Step timeouts (ms)',
+    label: 'Platform',
+    type: 'integer',
+    min: 1000,
+    max: 120000,
+    default: 20000
+  },
+  filtersTimeoutMs: {
+    group: 'Step timeouts (ms)',
+    label: 'Site filters',
+    type: 'integer',
+    min: 1000,
+    max: 120000,
+    default: 20000
+  },
+  loaderTimeoutMs: {
+    group: 'Step timeouts (ms)',
+    label: 'Loader',
+    type: 'integer',
+    min: 1000,
+    max: 120000,
+    default: 15000
+  },
+  scrollDelayMs: {
+    group: 'Scrolling',
+    label: 'Delay between scrolls (ms)',
+    type: 'integer',
+    min: 100,
+    max: 10000,
+    default: 700
+  },
+  maxScrollIterations: {
+    group: 'Scrolling',
+    label: 'Maximum scrolls per name',
+    type: 'integer',
+    min: 1,
+    max: 500,
+    default: 60
+  },
+  stableIterations: {
+    group: 'Scrolling',
+    label: 'Unchanged scrolls before stopping',
+    type: 'integer',
+    min: 1,
+    max: 20,
+    default: 3
+  },
+  zeroResultTimeoutMs: {
+    group: 'Scrolling',
+    label: 'No-results timeout (ms)',
+    type: 'integer',
+    min: 5000,
+    max: 300000,
+    default: 30000
+  },
+  mainWindowWidth: {
+    group: 'Windows (applied on next open)',
+    label: 'Main window width',
+    type: 'integer',
+    min: 800,
+    max: 7680,
+    default: 1280
+  },
+  mainWindowHeight: {
+    group: 'Windows (applied on next open)',
+    label: 'Main window height',
+    type: 'integer',
+    min: 600,
+    max: 4320,
+    default: 900
+  },
+  debugWindowWidth: {
+    group: 'Windows (applied on next open)',
+    label: 'Debug console width',
+    type: 'integer',
+    min: 400,
+    max: 7680,
+    default: 600
+  },
+  debugWindowHeight: {
+    group: 'Windows (applied on next open)',
+    label: 'Debug console height',
+    type: 'integer',
+    min: 300,
+    max: 4320,
+    default: 700
+  },
+  sessionRerunAfterMinutes: {
+    group: 'Session',
+    label: 'Re-run restored tabs older than (minutes)',
+    description: 'Tabs reopened from the last session whose results are older are searched again; 0 never re-runs them',
+    type: 'integer',
+    min: 0,
+    max: 10080,
+    default: 0
+  },
+  apiEnabled: {
+    group: 'Local API',
+    label: 'Enable the local HTTP API',
+    description: 'Lets tools on this computer start searches and read results (see apiServer.js)',
+    type: 'boolean',
+    default: false
+  },
+  apiPort: {
+    group: 'Local API',
+    label: 'Port',
+    type: 'integer',
+    min: 1024,
+    max: 65535,
+    default: 4790
+  }
+};
+
+// Absolute path of settings.json, set by initSettings.
+let settingsPath = null;
+// Values read from or saved to the file, keyed by setting.
+let stored = {};
+// Values from the command line or environment, keyed by setting.
+let overrides = {};
+// Called with the effective settings after every change.
+const listeners = [];
+
+/**
+ * Check a value against its definition.
+ * @param {string} key
+ * @param {*} value
+ * @returns {{value: *, error: string|null}} The normalised value, or an error
+ */
+function validateSetting(key, value) {
+  const def = SETTING_DEFINITIONS[key];
+  if (!def) return { value, error: 'Unknown setting' };
+  if (def.type === 'integer') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < def.min || number > def.max) {
+      return { value, error: `Must be a whole number from ${def.min} to ${def.max}` };
+    }
+    return { value: number, error: null };
+  }
+  if (def.type === 'enum') {
+    if (!def.options.includes(value)) {
+      return { value, error: `Must be one of ${def.options.join(', ')}` };
+    }
+    return { value, error: null };
+  }
+  if (def.type === 'boolean') {
+    if (value === true || value === 'true') return { value: true, error: null };
+    if (value === false || value === 'false') return { value: false, error: null };
+    return { value, error: 'Must be true or false' };
+  }
+  if (def.type === 'url') {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) return { value: '', error: null };
+    try {
+      const { protocol } = new URL(text);
+      if (protocol === 'http:' || protocol === 'https:') return { value: text, error: null };
+    } catch (err) {
+      // not a URL
+    }
+    return { value, error: 'Must be an http:// or https:// URL' };
+  }
+  return { value, error: 'Unknown setting type' };
+}
+
+/**
+ * Keep the valid entries of a settings object.
+ * @param {Object} values
+ * @param {function(string)} log Receives one message per dropped entry
+ * @returns {Object}
+ */
+function validEntries(values, log) {
+  const result = {};
+  for (const [key, raw] of Object.entries(values || {})) {
+    if (raw === undefined || raw === null) continue;
+    const { value, error } = validateSetting(key, raw);
+    if (error) {
+      log(`Ignoring setting ${key}=${JSON.stringify(raw)}: ${error}`);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Load settings.json from the given userData folder.
+ * @param {string} userDataDir
+ * @param {Object} [sessionOverrides] Values from the command line or
+ *   environment; undefined entries are ignored
+ * @param {function(string)} [log] Receives human-readable status messages
+ */
+function initSettings(userDataDir, sessionOverrides = {}, log = () => {}) {
+  settingsPath = path.join(userDataDir, SETTINGS_FILE_NAME);
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log(`Failed to read ${settingsPath}: ${err.message}`);
+  }
+  stored = validEntries(fromFile, log);
+  overrides = validEntries(sessionOverrides, log);
+}
+
+/**
+ * Effective value of a setting.
+ * @param {string} key
+ */
+function getSetting(key) {
+  if (key in overrides) return overrides[key];
+  if (key in stored) return stored[key];
+  return SETTING_DEFINITIONS[key].default;
+}
+
+/**
+ * Everything the Settings view needs: effective values, the definitions
+ * and the keys locked by a command-line or environment override.
+ * @returns {{values: Object, definitions: Object, overridden: Array<string>}}
+ */
+function getSettings() {
+  const values = {};
+  Object.keys(SETTING_DEFINITIONS).forEach(key => {
+    values[key] = getSetting(key);
+  });
+  return { values, definitions: SETTING_DEFINITIONS, overridden: Object.keys(overrides) };
+}
+
+async function save() {
+  if (!settingsPath) throw new Error('Settings have not been initialised');
+  // Replace the file in one step so a crash cannot leave half of it
+  const tmpPath = `${settingsPath}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(stored, null, 2), 'utf8');
+  await fs.promises.rename(tmpPath, settingsPath);
+  const settings = getSettings();
+  listeners.forEach(listener => listener(settings));
+  return settings;
+}
+
+/**
+ * Validate and save changed settings. Nothing is saved when any value is
+ * invalid. Values equal to their default are removed from the file.
+ * @param {Object} changes Setting values keyed by setting
+ * @returns {Promise<{settings: Object, errors: Object<string, string>}>}
+ *   `errors` maps each invalid setting to a message
+ */
+async function updateSettings(changes) {
+  const errors = {};
+  const next = { ...stored };
+  for (const [key, raw] of Object.entries(changes || {})) {
+    const { value, error } = validateSetting(key, raw);
+    if (error) {
+      errors[key] = error;
+    } else if (value === SETTING_DEFINITIONS[key].default) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+  }
+  if (Object.keys(errors).length > 0) return { settings: getSettings(), errors };
+  stored = next;
+  return { settings: await save(), errors };
+}
+
+/**
+ * Reset every setting to its default.
+ * @returns {Promise<Object>} The settings (see getSettings)
+ */
+async function resetSettings() {
+  stored = {};
+  return save();
+}
+
+/**
+ * Register a listener called with the settings (see getSettings) after
+ * they are saved.
+ * @param {function(Object)} listener
+ */
+function onSettingsChange(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  validateSetting,
+  initSettings,
+  getSetting,
+  getSettings,
+  updateSettings,
+  resetSettings,
+  onSettingsChange
+};
@@ -0,0 +1,84 @@
+// apiServer.test.js
+// Runs the local API against stub operations to check authentication and
+// request validation. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startApiServer } = require('../apiServer');
+
+const TOKEN = 'test-token';
+
+/**
+ * Start a server whose operations record the searches started through it.
+ * @param {import('node:test').TestContext} t
+ */
+async function startServer(t) {
+  const started = [];
+  const operations = {
+    listSearches: () => [{ id: 1, status: 'finished' }],
+    getSearch: (id) => (id === 1 ? { id: 1, data: [] } : null),
+    startSearch: (filters) => {
+      started.push(filters);
+      return { searchId: 2, queuePosition: 0 };
+    },
+    stopSearch: (id) => id === 1,
+    retrySearch: (id) => id === 1,
+    subscribe: () => () => {}
+  };
+  const server = await startApiServer({ port: 0, token: TOKEN, operations });
+  t.after(() => server.close());
+  const request = async (method, route, { token = TOKEN, body } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const res = await fetch(`${server.url}${route}`, { method, headers, body });
+    return { status: res.status, body: await res.json() };
+  };
+  return { request, started };
+}
+
+test('rejects requests without the token', async (t) => {
+  const { request } = await startServer(t);
+  assert.strictEqual((await request('GET', '/searches', { token: null })).status, 401);
+  assert.strictEqual((await request('GET', '/searches', { token: 'wrong-token' })).status, 401);
+  assert.strictEqual((await request('GET', '/searches', { token: 'x' })).status, 401);
+  const ok = await request('GET', '/searches');
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(ok.body, [{ id: 1, status: 'finished' }]);
+});
+
+test('accepts the token as a query parameter', async (t) => {
+  const { request } = await startServer(t);
+  assert.strictEqual((await request('GET', `/searches/1?token=${TOKEN}`, { token: null })).status, 200);
+});
+
+test('starts a search with the platform defaulting to all', async (t) => {
+  const { request, started } = await startServer(t);
+  const res = await request('POST', '/searches', { body: JSON.stringify({ moduleType: 'Ancestor', moduleName: 'Singularity', priceMax: 500, debug: true }) });
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(res.body, { searchId: 2, queuePosition: 0 });
+  assert.deepStrictEqual(started, [{ platform: 'all', moduleType: 'ancestor', moduleName: 'Singularity', priceMax: '500' }]);
+});
+
+test('answers invalid search requests with 400', async (t) => {
+  const { request, started } = await startServer(t);
+  const post = (body) => request('POST', '/searches', { body });
+  const missingType = await post(JSON.stringify({ moduleName: 'x' }));
+  assert.strictEqual(missingType.status, 400);
+  assert.match(missingType.body.error, /moduleType must be one of ancestor, trigger/);
+  const badPlatform = await post(JSON.stringify({ moduleType: 'trigger', platform: 'switch' }));
+  assert.strictEqual(badPlatform.status, 400);
+  assert.match(badPlatform.body.error, /platform must be one of all, pc, ps, xbox/);
+  assert.strictEqual((await post('{not json')).status, 400);
+  assert.strictEqual((await post('[1, 2]')).status, 400);
+  assert.deepStrictEqual(started, []);
+});
+
+test('answers unknown searches and routes with 404 and wrong methods with 405', async (t) => {
+  const { request } = await startServer(t);
+  assert.strictEqual((await request('GET', '/searches/9')).status, 404);
+  assert.strictEqual((await request('POST', '/searches/9/stop')).status, 404);
+  assert.strictEqual((await request('POST', '/searches/1/stop')).status, 200);
+  assert.strictEqual((await request('GET', '/searches/1/stop')).status, 405);
+  assert.strictEqual((await request('GET', '/nothing')).status, 404);
+  assert.strictEqual((await request('DELETE', '/searches')).status, 405);
+});
@@ -0,0 +1,66 @@
+// cliSearch.test.js
+// Checks the argument parsing and exit codes of the headless search mode.
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EXIT_CODES, parseSearchArgs, exitCodeForError } = require('../cliSearch');
+
+// process.argv as Electron passes it
+const argv = (...args) => ['/path/to/electron', '.', ...args];
+
+test('ignores runs without --search', () => {
+  assert.strictEqual(parseSearchArgs(argv('--type', 'ancestor')), null);
+});
+
+test('parses filters and output options', () => {
+  const parsed = parseSearchArgs(argv(
+    '--search', '--type=Trigger', '--name', 'Flame Trigger', '--name', 'Frost Trigger',
+    '--platform', 'PS', '--price-max', '500', '--out', 'results.csv', '--timeout=90', '--no-sandbox'
+  ));
+  assert.deepStrictEqual(parsed, {
+    filters: {
+      moduleType: 'trigger',
+      moduleName: 'Flame Trigger\nFrost Trigger',
+      platform: 'ps',
+      priceMax: '500'
+    },
+    out: 'results.csv',
+    format: 'csv',
+    timeoutMs: 90000
+  });
+});
+
+test('defaults to all platforms and JSON on stdout', () => {
+  const parsed = parseSearchArgs(argv('--search', '--type', 'ancestor'));
+  assert.strictEqual(parsed.filters.platform, 'all');
+  assert.strictEqual(parsed.out, null);
+  assert.strictEqual(parsed.format, 'json');
+  assert.strictEqual(parsed.timeoutMs, null);
+  // An explicit format wins over the file extension
+  assert.strictEqual(parseSearchArgs(argv('--search', '--type', 'ancestor', '--out', 'a.csv', '--format', 'JSON')).format, 'json');
+});
+
+test('rejects bad arguments with a usage error', () => {
+  const rejects = (args, message) => {
+    assert.throws(() => parseSearchArgs(argv('--search', ...args)), (err) => err.code === 'usage' && message.test(err.message));
+  };
+  rejects([], /--type must be one of ancestor, trigger/);
+  rejects(['--type', 'reactor'], /--type must be one of/);
+  rejects(['--type', 'ancestor', '--platform', 'switch'], /--platform must be one of all, pc, ps, xbox/);
+  rejects(['--type', 'ancestor', '--format', 'xml'], /--format must be one of json, csv/);
+  rejects(['--type', 'ancestor', '--price-min', 'cheap'], /priceMin must be a number/);
+  rejects(['--type', 'ancestor', '--timeout', '0'], /--timeout must be a positive number/);
+  rejects(['--type', 'ancestor', '--name'], /--name needs a value/);
+  rejects(['--type', '--name', 'x'], /--type needs a value/);
+});
+
+test('maps search errors to exit codes', () => {
+  assert.strictEqual(exitCodeForError({ code: 'zero-results' }), EXIT_CODES.NO_RESULTS);
+  assert.strictEqual(exitCodeForError({ code: 'load-failed' }), EXIT_CODES.LOAD_FAILED);
+  assert.strictEqual(exitCodeForError({ code: 'selector-not-found' }), EXIT_CODES.PAGE_CHANGED);
+  assert.strictEqual(exitCodeForError({ code: 'parse-error' }), EXIT_CODES.PAGE_CHANGED);
+  assert.strictEqual(exitCodeForError({ code: 'window-crashed' }), EXIT_CODES.ERROR);
+  assert.strictEqual(exitCodeForError(null), EXIT_CODES.ERROR);
+});
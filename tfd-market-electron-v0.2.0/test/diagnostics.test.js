@@ -0,0 +1,51 @@
+// diagnostics.test.js
+// Checks the seller name redaction of diagnostics bundles. Run with
+// `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createRedactor } = require('../diagnostics');
+
+test('replaces each seller name with a stable placeholder', () => {
+  const redact = createRedactor(['BunnyMain', 'Ember', 'BunnyMain']);
+  const text = JSON.stringify([{ sellerName: 'BunnyMain' }, { sellerName: 'Ember' }, { sellerName: 'BunnyMain' }]);
+  assert.strictEqual(redact(text), '[{"sellerName":"seller-1"},{"sellerName":"seller-2"},{"sellerName":"seller-1"}]');
+});
+
+test('only replaces whole names', () => {
+  const redact = createRedactor(['Max', 'Ember']);
+  assert.strictEqual(redact('Max sold to Ember'), 'seller-2 sold to seller-1');
+  assert.strictEqual(redact('Max HP and Embers stay'), 'seller-2 HP and Embers stay');
+  assert.strictEqual(redact('<span class="nickname">Max</span>'), '<span class="nickname">seller-2</span>');
+});
+
+test('prefers the longer of two overlapping names', () => {
+  const redact = createRedactor(['Bunny', 'Bunny Main']);
+  assert.strictEqual(redact('Bunny Main and Bunny'), 'seller-1 and seller-2');
+});
+
+test('treats names as text, not patterns', () => {
+  const redact = createRedactor(['x.y*', 'a+b']);
+  assert.strictEqual(redact('x.y* and a+b, not xzy or aab'), 'seller-1 and seller-2, not xzy or aab');
+});
+
+test('matches names in any script', () => {
+  const redact = createRedactor(['버니메인']);
+  assert.strictEqual(redact('판매자 버니메인 님'), '판매자 seller-1 님');
+});
+
+test('redacts short names only in seller name fields', () => {
+  const redact = createRedactor(['HP', '', '버니']);
+  assert.strictEqual(redact('Max HP +5%'), 'Max HP +5%');
+  assert.strictEqual(redact('{"sellerName": "HP", "stat": "HP"}'), '{"sellerName": "seller-1", "stat": "HP"}');
+  assert.strictEqual(redact('Saved {\\"seller\\":\\"버니\\"}'), 'Saved {\\"seller\\":\\"seller-2\\"}');
+  assert.strictEqual(redact('{"sellerName": "Other"}'), '{"sellerName": "Other"}');
+});
+
+test('redacts short names in nickname elements', () => {
+  const redact = createRedactor(['버니'], { nicknameClass: 'nickname' });
+  const html = '<span class="user nickname"> 버니 </span><span class="stat">버니</span>';
+  assert.strictEqual(redact(html), '<span class="user nickname">seller-1</span><span class="stat">버니</span>');
+  assert.strictEqual(createRedactor(['버니'])(html), html);
+});
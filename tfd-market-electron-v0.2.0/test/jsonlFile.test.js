@@ -0,0 +1,70 @@
+// jsonlFile.test.js
+// Checks the cached JSON Lines access of the search store and price
+// history. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createJsonlFile } = require('../jsonlFile');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfd-jsonl-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'store.jsonl');
+}
+
+test('reads a missing file as empty', async (t) => {
+  const file = createJsonlFile(tempFile(t));
+  assert.deepStrictEqual(await file.read(), []);
+});
+
+test('parses only what was appended since the last read', async (t) => {
+  const filePath = tempFile(t);
+  const file = createJsonlFile(filePath);
+  await file.append([{ n: 1 }, { n: 2 }]);
+  const first = await file.read();
+  assert.deepStrictEqual(first.map(entry => entry.n), [1, 2]);
+  await file.append([{ n: 3 }]);
+  const second = await file.read();
+  assert.deepStrictEqual(second.map(entry => entry.n), [1, 2, 3]);
+  // Entries already read are reused, not parsed again
+  assert.strictEqual(second[0], first[0]);
+});
+
+test('skips corrupt lines and waits for an unfinished last line', async (t) => {
+  const filePath = tempFile(t);
+  const file = createJsonlFile(filePath);
+  await file.append([{ n: 1 }]);
+  fs.appendFileSync(filePath, 'not json\n{"n":');
+  assert.deepStrictEqual((await file.read()).map(entry => entry.n), [1]);
+  fs.appendFileSync(filePath, '2}\n');
+  assert.deepStrictEqual((await file.read()).map(entry => entry.n), [1, 2]);
+});
+
+test('reads a replaced file again', async (t) => {
+  const filePath = tempFile(t);
+  const file = createJsonlFile(filePath);
+  await file.append([{ n: 1 }, { n: 2 }]);
+  await file.read();
+  fs.writeFileSync(filePath + '.new', '{"n":9}\n');
+  fs.renameSync(filePath + '.new', filePath);
+  assert.deepStrictEqual((await file.read()).map(entry => entry.n), [9]);
+});
+
+test('prunes the file to the lines kept', async (t) => {
+  const filePath = tempFile(t);
+  const file = createJsonlFile(filePath);
+  await file.append([{ n: 1 }, { n: 2 }, { n: 3 }]);
+  assert.strictEqual(await file.prune(entries => entries), 0);
+  // An append queued behind the prune is not lost
+  const pruned = file.prune(entries => entries.filter(entry => entry.n > 1));
+  const appended = file.append([{ n: 4 }]);
+  assert.strictEqual(await pruned, 1);
+  await appended;
+  assert.deepStrictEqual((await file.read()).map(entry => entry.n), [2, 3, 4]);
+  assert.deepStrictEqual((await createJsonlFile(filePath).read()).map(entry => entry.n), [2, 3, 4]);
+  assert.strictEqual(fs.existsSync(filePath + '.tmp'), false);
+});
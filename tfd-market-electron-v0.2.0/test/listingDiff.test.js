@@ -0,0 +1,79 @@
+// listingDiff.test.js
+// Checks how two runs of a search are compared. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { diffListings } = require('../listingDiff');
+
+function listing(fields) {
+  return {
+    name: 'Ancestral Singularity',
+    sellerName: 'BunnyMain',
+    price: '1,500',
+    stats: [{ raw: '(+) Max HP [1.0~5.0]% 3.0%', value: '3.0%' }],
+    ...fields
+  };
+}
+
+test('tags new, repriced, unchanged and gone listings', () => {
+  const previous = [
+    listing({}),
+    listing({ sellerName: 'Ember', price: '900' }),
+    listing({ sellerName: 'Gone', price: '100' })
+  ];
+  const current = [
+    listing({}),
+    listing({ sellerName: 'Ember', price: '800' }),
+    listing({ sellerName: 'Fresh', price: '50' })
+  ];
+  const { listings, gone, summary } = diffListings(previous, current);
+  assert.deepStrictEqual(listings.map(mod => mod.change), [null, 'repriced', 'new']);
+  assert.strictEqual(listings[1].previousPrice, '900');
+  assert.deepStrictEqual(gone.map(mod => [mod.sellerName, mod.change]), [['Gone', 'gone']]);
+  assert.deepStrictEqual(summary, { new: 1, repriced: 1, gone: 1, unchanged: 1 });
+});
+
+test('matches by listing ID when known', () => {
+  const previous = [listing({ listingId: 'a1', sellerName: 'Old name' })];
+  const current = [listing({ listingId: 'a1', price: '1,400' })];
+  const { listings, summary } = diffListings(previous, current);
+  assert.strictEqual(listings[0].change, 'repriced');
+  assert.strictEqual(summary.gone, 0);
+});
+
+test('pairs identical listings one to one', () => {
+  const previous = [listing({}), listing({})];
+  const current = [listing({}), listing({}), listing({})];
+  const { listings, gone, summary } = diffListings(previous, current);
+  assert.deepStrictEqual(listings.map(mod => mod.change), [null, null, 'new']);
+  assert.strictEqual(gone.length, 0);
+  assert.deepStrictEqual(summary, { new: 1, repriced: 0, gone: 0, unchanged: 2 });
+  // One of two copies was sold
+  const after = diffListings(current, [listing({})]);
+  assert.strictEqual(after.listings[0].change, null);
+  assert.strictEqual(after.summary.gone, 2);
+});
+
+test('prefers a copy with the same price before tagging a reprice', () => {
+  const previous = [listing({ price: '2,000' }), listing({ price: '1,500' })];
+  const current = [listing({ price: '1,500' }), listing({ price: '1,800' })];
+  const { listings, gone, summary } = diffListings(previous, current);
+  assert.strictEqual(listings[0].change, null);
+  assert.strictEqual(listings[1].change, 'repriced');
+  assert.strictEqual(listings[1].previousPrice, '2,000');
+  assert.strictEqual(gone.length, 0);
+  assert.deepStrictEqual(summary, { new: 0, repriced: 1, gone: 0, unchanged: 1 });
+});
+
+test('matches listings whose stats were read in another order', () => {
+  const stats = [
+    { raw: '(+) Max HP [1.0~5.0]% 3.0%', value: '3.0%' },
+    { raw: '(-) DEF [-9.0~-3.0]% -4.0%', value: '-4.0%' }
+  ];
+  const previous = [listing({ stats })];
+  const current = [listing({ stats: stats.slice().reverse(), price: '1,200' })];
+  const { listings, summary } = diffListings(previous, current);
+  assert.strictEqual(listings[0].change, 'repriced');
+  assert.strictEqual(summary.gone, 0);
+});
@@ -0,0 +1,80 @@
+// listingExport.test.js
+// Checks the CSV, JSON and text table exports of listings. Run with
+// `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { flattenListings, toCsv, toJson, toRecordsJson, toMarkdown } = require('../listingExport');
+
+const ancestor = {
+  name: 'Ancestral Singularity',
+  category: 'Ancestors',
+  socketType: 'Almandine',
+  requiredRank: '12',
+  price: '1,500',
+  platform: 'PC(STEAM)',
+  rerollCount: '-',
+  sellerName: 'BunnyMain',
+  sellerStatus: 'Online',
+  sellerRank: '28',
+  regDate: '4 hours ago',
+  ageHours: 4,
+  attributes: ['DEF'],
+  stats: [
+    { raw: '(+) DEF [6.0~22.0]% 18.2%', value: '18.2%' },
+    { raw: '(-) DEF [-9.0~-3.0]% -6.0%', value: '-6.0%' }
+  ]
+};
+
+const trigger = {
+  name: 'Flame Trigger',
+  category: 'Trigger',
+  price: '300',
+  sellerName: '=HYPERLINK("http://example.com")',
+  stats: [{ raw: 'Burn Chance (%) 35.0', value: '35.0' }]
+};
+
+test('flattens listings into records with parsed numbers', () => {
+  const { columns, records } = flattenListings([ancestor, trigger]);
+  assert.deepStrictEqual(columns.slice(-3), ['(+) DEF', '(-) DEF', 'Burn Chance (%)']);
+  assert.strictEqual(records[0].price, 1500);
+  assert.strictEqual(records[0].requiredRank, 12);
+  assert.strictEqual(records[0].rerollCount, null);
+  assert.strictEqual(records[0]['(+) DEF'], 18.2);
+  assert.strictEqual(records[0]['(-) DEF'], -6);
+  // Every record has every field
+  assert.strictEqual(records[0]['Burn Chance (%)'], null);
+  assert.strictEqual(records[1]['(+) DEF'], null);
+  assert.strictEqual(records[1]['Burn Chance (%)'], 35);
+});
+
+test('writes CSV with quoting and guards against formulas', () => {
+  const lines = toCsv([ancestor, trigger]).split('\r\n');
+  assert.strictEqual(lines.length, 4);
+  assert.strictEqual(lines[3], '');
+  assert.ok(lines[0].startsWith('name,category,socketType,requiredRank,price,'));
+  assert.ok(lines[0].endsWith(',(+) DEF,(-) DEF,Burn Chance (%)'));
+  // Negative numbers stay numbers
+  assert.ok(lines[1].endsWith(',18.2,-6,'));
+  // Text that starts like a formula is prefixed and quoted where needed
+  assert.ok(lines[2].includes(`,"'=HYPERLINK(""http://example.com"")",`));
+});
+
+test('the JSON export keeps listings as parsed, the records JSON matches the CSV', () => {
+  assert.deepStrictEqual(JSON.parse(toJson([ancestor])), [ancestor]);
+  const records = JSON.parse(toRecordsJson([ancestor, trigger]));
+  assert.deepStrictEqual(records, flattenListings([ancestor, trigger]).records);
+});
+
+test('copies a padded table in a code block and leaves out empty columns', () => {
+  const table = toMarkdown([ancestor, { ...trigger, sellerName: 'Ember | Co' }]);
+  const lines = table.trim().split('\n');
+  assert.strictEqual(lines[0], '```');
+  assert.strictEqual(lines[lines.length - 1], '```');
+  const header = lines[1].split('|').map(cell => cell.trim()).filter(Boolean);
+  assert.deepStrictEqual(header, ['Name', 'Price', 'Socket', 'MR', 'Seller', 'Status', 'Stats']);
+  // Pipes inside cells would break the table
+  assert.ok(lines[4].includes('Ember / Co'));
+  assert.ok(lines.slice(1, -1).every(line => line.length === lines[1].length));
+});
@@ -0,0 +1,47 @@
+// listingIdentity.test.js
+// Checks the keys that identify a listing across scroll iterations and
+// re-runs. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { hashString, listingKey } = require('../listingIdentity');
+
+const listing = {
+  name: 'Ancestral Singularity',
+  sellerName: 'BunnyMain',
+  price: '1,500',
+  socketType: 'Almandine',
+  rerollCount: '3',
+  stats: [
+    { raw: '(+) Skill Power Boost Ratio [4.0~18.0]% 12.5%', value: '12.5%' },
+    { raw: '(-) Max HP [-9.0~-3.0]% -6.0%', value: '-6.0%' }
+  ]
+};
+
+test('uses the site listing ID when known', () => {
+  assert.strictEqual(listingKey({ ...listing, listingId: 'abc123' }), 'id:abc123');
+  // The ID alone decides, whatever else changed
+  assert.strictEqual(listingKey({ listingId: 'abc123', price: '900' }), 'id:abc123');
+});
+
+test('hashes the contents when there is no ID', () => {
+  const key = listingKey(listing);
+  assert.match(key, /^h:[0-9a-f]{16}$/);
+  assert.strictEqual(listingKey({ ...listing }), key);
+  assert.strictEqual(hashString('abc'), hashString('abc'));
+});
+
+test('the hash tells apart price, seller and rolled values', () => {
+  const key = listingKey(listing);
+  assert.notStrictEqual(listingKey({ ...listing, price: '1,400' }), key);
+  assert.notStrictEqual(listingKey({ ...listing, sellerName: 'Ember' }), key);
+  const rerolled = listing.stats.map(stat => ({ ...stat }));
+  rerolled[0].value = '12.6%';
+  assert.notStrictEqual(listingKey({ ...listing, stats: rerolled }), key);
+});
+
+test('the hash does not depend on stat order', () => {
+  const reversed = { ...listing, stats: listing.stats.slice().reverse() };
+  assert.strictEqual(listingKey(reversed), listingKey(listing));
+});
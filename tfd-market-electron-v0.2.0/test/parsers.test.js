@@ -0,0 +1,145 @@
+// parsers.test.js
+// Runs the market item parsers against saved HTML snippets so parser
+// regressions are caught without the live site. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const { parseDocument, parseItem, parsePriceValue } = require('../parsers');
+const { getLocale, normalizeNumbers } = require('../locales');
+const { selectors } = require('../selectors.default.json');
+
+/**
+ * Load a fixture from test/fixtures into a jsdom document.
+ * @param {string} name File name without extension
+ * @returns {Document}
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.html`), 'utf8');
+  return new JSDOM(html).window.document;
+}
+
+test('parses an ancestor listing', () => {
+  const { modules, itemCount } = parseDocument(loadFixture('ancestor'), selectors);
+  assert.strictEqual(itemCount, 1);
+  const mod = modules[0];
+  assert.strictEqual(mod.name, 'Ancestral Singularity');
+  assert.strictEqual(mod.category, 'Ancestors');
+  assert.strictEqual(mod.socketType, 'Almandine');
+  assert.strictEqual(mod.requiredRank, '12');
+  assert.strictEqual(mod.platform, 'PC(STEAM)');
+  assert.strictEqual(mod.rerollCount, '3');
+  assert.strictEqual(mod.sellerName, 'BunnyMain');
+  assert.strictEqual(mod.sellerStatus, 'Online');
+  assert.strictEqual(mod.sellerRank, '28');
+  assert.strictEqual(mod.price, '1,500');
+  assert.strictEqual(mod.regDate, '4 hours ago');
+  assert.deepStrictEqual(mod.attributes, ['Skill Power Boost Ratio', 'Skill Cooldown', 'Max HP']);
+  assert.deepStrictEqual(mod.stats[0], {
+    raw: '(+) Skill Power Boost Ratio [37.2~140.3]%',
+    positive: true,
+    negative: false,
+    value: '112.5%'
+  });
+  assert.strictEqual(mod.stats[2].negative, true);
+  assert.strictEqual(mod.stats[2].value, '-7.4%');
+});
+
+test('parses a trigger listing', () => {
+  const { modules } = parseDocument(loadFixture('trigger'), selectors);
+  const mod = modules[0];
+  assert.strictEqual(mod.name, 'Power Beyond');
+  assert.strictEqual(mod.category, 'Trigger');
+  assert.strictEqual(mod.socketType, '');
+  assert.strictEqual(mod.requiredRank, '17');
+  assert.strictEqual(mod.rerollCount, '-');
+  assert.strictEqual(mod.sellerName, 'Ultimate Gley');
+  assert.strictEqual(mod.sellerStatus, 'Offline');
+  assert.strictEqual(mod.price, '820');
+  assert.strictEqual(mod.regDate, '2 days ago');
+  assert.deepStrictEqual(mod.attributes, ['Skill Power', 'Skill Duration']);
+  assert.deepStrictEqual(mod.stats[1], {
+    raw: 'Skill Duration (Modifier) 12.8%',
+    positive: false,
+    negative: false,
+    value: '12.8%'
+  });
+});
+
+test('tolerates missing fields', () => {
+  const { modules, itemCount } = parseDocument(loadFixture('missing-fields'), selectors);
+  assert.strictEqual(itemCount, 2);
+  const [fallback, bare] = modules;
+  // Without a type label the ancestor parser is used
+  assert.strictEqual(fallback.category, 'Ancestors');
+  assert.strictEqual(fallback.name, 'Fallback Name Module');
+  assert.strictEqual(fallback.socketType, 'Xantic');
+  assert.strictEqual(fallback.price, '');
+  assert.strictEqual(fallback.sellerName, '');
+  assert.strictEqual(fallback.regDate, '');
+  // Options without a name are skipped; a missing value is empty
+  assert.strictEqual(fallback.stats.length, 1);
+  assert.strictEqual(fallback.stats[0].value, '');
+  assert.deepStrictEqual(fallback.attributes, ['Firearm ATK']);
+  // Status words are stripped from the name even without a status element
+  assert.strictEqual(bare.sellerName, 'Quiet Seller');
+  assert.strictEqual(bare.sellerStatus, '');
+  assert.deepStrictEqual(bare.stats, []);
+});
+
+test('strips Caliber from price variants', () => {
+  const doc = loadFixture('caliber-prices');
+  const prices = Array.from(doc.querySelectorAll(selectors.item)).map(item => parseItem(item, selectors).price);
+  assert.deepStrictEqual(prices, ['2,400', '950', '12,000', '75']);
+});
+
+// The German and Korean fixtures are hand-written (see their headers), so
+// these tests check the locale rules, not the live pages.
+test('normalises a German listing with the German locale rules', () => {
+  const { modules } = parseDocument(loadFixture('ancestor-de'), selectors, getLocale('de'));
+  const mod = modules[0];
+  assert.strictEqual(mod.category, 'Ancestors');
+  assert.strictEqual(mod.socketType, 'Almandin');
+  // Only the whole status word is removed from the name
+  assert.strictEqual(mod.sellerName, 'OnlineHase');
+  assert.strictEqual(mod.sellerStatus, 'Offline');
+  assert.strictEqual(mod.price, '12,500');
+  assert.deepStrictEqual(mod.stats.map(stat => [stat.raw, stat.value]), [['(+) Fertigkeitsabklingzeit [-15.0~-4.0]%', '-11.2%']]);
+  assert.strictEqual(mod.regDate, 'vor 2 Tagen');
+  assert.strictEqual(mod.ageHours, 48);
+});
+
+test('normalises a Korean listing with the Korean locale rules', () => {
+  const { modules } = parseDocument(loadFixture('trigger-ko'), selectors, getLocale('ko'));
+  const mod = modules[0];
+  assert.strictEqual(mod.category, 'Trigger');
+  assert.strictEqual(mod.sellerName, '버니장인');
+  assert.strictEqual(mod.sellerStatus, 'Online');
+  assert.strictEqual(mod.price, '3,200');
+  assert.strictEqual(mod.ageHours, 5);
+});
+
+test('reports the loader as hidden when it is not rendered', () => {
+  // jsdom performs no layout, so offsetParent is always null
+  const { loaderVisible } = parseDocument(loadFixture('caliber-prices'), selectors);
+  assert.strictEqual(loaderVisible, false);
+});
+
+test('rewrites numbers from the locale format to the English one', () => {
+  const de = getLocale('de');
+  assert.strictEqual(normalizeNumbers('1,5%', de), '1.5%');
+  assert.strictEqual(normalizeNumbers('1.234,5 und 12.500', de), '1,234.5 und 12,500');
+  // A decimal point German pages do not use is left alone
+  assert.strictEqual(normalizeNumbers('12.5%', de), '12.5%');
+  assert.strictEqual(normalizeNumbers('1,500 and 1.5', getLocale('en')), '1,500 and 1.5');
+});
+
+test('reads prices in English or the given locale format', () => {
+  assert.strictEqual(parsePriceValue('1,500'), 1500);
+  assert.strictEqual(parsePriceValue(''), null);
+  assert.strictEqual(parsePriceValue('1.500 Kaliber', getLocale('de')), 1500);
+  assert.strictEqual(parsePriceValue('1.234,5', getLocale('de')), 1234.5);
+});
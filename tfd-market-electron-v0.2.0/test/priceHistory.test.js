@@ -0,0 +1,94 @@
+// priceHistory.test.js
+// Checks the daily price summaries built from recorded observations and
+// how long observations are kept. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { initPriceHistory, recordPriceHistory, summarizePriceHistory, getPriceHistory } = require('../priceHistory');
+
+const DAY_1 = new Date(2026, 9, 1, 10).getTime();
+const DAY_2 = new Date(2026, 9, 2, 18).getTime();
+
+function observation(fields) {
+  return {
+    capturedAt: DAY_1,
+    name: 'Ancestral Singularity',
+    sellerName: 'BunnyMain',
+    price: 1500,
+    attributes: ['Max HP'],
+    stats: ['(+) Max HP [1.0~5.0]% 3.0%'],
+    ...fields
+  };
+}
+
+test('summarizes prices per day', () => {
+  const summary = summarizePriceHistory([
+    observation({ listingKey: 'id:1', price: 1000 }),
+    observation({ listingKey: 'id:2', price: 2000 }),
+    observation({ listingKey: 'id:3', price: 1200 }),
+    observation({ listingKey: 'id:1', price: 900, capturedAt: DAY_2 })
+  ], { name: 'ancestral singularity' });
+  assert.deepStrictEqual(summary.map(day => [day.min, day.median, day.max, day.count]), [
+    [1000, 1200, 2000, 3],
+    [900, 900, 900, 1]
+  ]);
+  assert.strictEqual(summary[0].day, new Date(2026, 9, 1).getTime());
+});
+
+test('counts a listing seen by several searches on one day once', () => {
+  const summary = summarizePriceHistory([
+    observation({ listingKey: 'id:1', price: 1000 }),
+    observation({ listingKey: 'id:1', price: 1000, capturedAt: DAY_1 + 3600000 }),
+    observation({ listingKey: 'id:2', price: 3000 })
+  ], { name: 'Ancestral Singularity' });
+  assert.strictEqual(summary[0].count, 2);
+  assert.strictEqual(summary[0].median, 2000);
+});
+
+test('keys observations recorded without a listing key by their fields', () => {
+  const summary = summarizePriceHistory([
+    observation({}),
+    observation({}),
+    observation({ sellerName: 'Ember' })
+  ], { name: 'Ancestral Singularity' });
+  assert.strictEqual(summary[0].count, 2);
+});
+
+test('narrows to listings with all requested attributes', () => {
+  const observations = [
+    observation({ listingKey: 'id:1', price: 1000 }),
+    observation({ listingKey: 'id:2', price: 5000, attributes: ['Max HP', 'DEF'] }),
+    observation({ listingKey: 'id:3', name: 'Other', price: 10 })
+  ];
+  const summary = summarizePriceHistory(observations, { name: 'Ancestral Singularity', attributes: ['DEF'] });
+  assert.deepStrictEqual(summary.map(day => day.count), [1]);
+  assert.strictEqual(summary[0].min, 5000);
+  assert.deepStrictEqual(summarizePriceHistory(observations, { name: 'Missing' }), []);
+});
+
+test('drops observations older than a year once they are a month past it', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfd-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dayMs = 24 * 60 * 60 * 1000;
+  const historyPath = path.join(dir, 'price-history.jsonl');
+  fs.writeFileSync(historyPath, [
+    observation({ listingKey: 'id:1', capturedAt: Date.now() - 380 * dayMs }),
+    observation({ listingKey: 'id:2', capturedAt: Date.now() - 370 * dayMs })
+  ].map(obs => JSON.stringify(obs) + '\n').join(''));
+  initPriceHistory(dir);
+  const record = { recordId: 'r1', finishedAt: Date.now(), listings: [{ name: 'Ancestral Singularity', sellerName: 'Ember', price: '1,200', stats: [] }] };
+  await recordPriceHistory(record);
+  // Nothing is a month past the year yet
+  assert.strictEqual(fs.readFileSync(historyPath, 'utf8').trim().split('\n').length, 3);
+
+  fs.writeFileSync(historyPath, JSON.stringify(observation({ listingKey: 'id:0', capturedAt: Date.now() - 400 * dayMs })) + '\n', { flag: 'a' });
+  await recordPriceHistory({ ...record, recordId: 'r2' });
+  const kept = fs.readFileSync(historyPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(kept.map(obs => obs.recordId), ['r1', 'r2']);
+  const summary = await getPriceHistory({ name: 'Ancestral Singularity' });
+  assert.deepStrictEqual(summary.map(day => day.count), [1]);
+});
@@ -0,0 +1,64 @@
+// scheduler.test.js
+// Checks repeat intervals with mocked timers. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { setSchedule, clearSchedule, getSchedule, clearAllSchedules } = require('../scheduler');
+
+const MINUTE = 60000;
+
+test('re-runs a search every interval', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.after(clearAllSchedules);
+  const runs = [];
+  const changes = [];
+  const schedule = setSchedule(1, 5 * MINUTE, {
+    run: (id) => runs.push([id, Date.now()]) > 0,
+    onChange: (id, value) => changes.push(value)
+  });
+  assert.deepStrictEqual(schedule, { intervalMs: 5 * MINUTE, lastRunAt: null, nextRunAt: 5 * MINUTE });
+  t.mock.timers.tick(5 * MINUTE - 1);
+  assert.strictEqual(runs.length, 0);
+  t.mock.timers.tick(1);
+  t.mock.timers.tick(5 * MINUTE);
+  assert.deepStrictEqual(runs, [[1, 5 * MINUTE], [1, 10 * MINUTE]]);
+  assert.deepStrictEqual(getSchedule(1), { intervalMs: 5 * MINUTE, lastRunAt: 10 * MINUTE, nextRunAt: 15 * MINUTE });
+  assert.strictEqual(changes.length, 3);
+});
+
+test('skips a tick when the search cannot start', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.after(clearAllSchedules);
+  let busy = true;
+  setSchedule(2, MINUTE, { run: () => !busy, lastRunAt: 123 });
+  t.mock.timers.tick(MINUTE);
+  assert.deepStrictEqual(getSchedule(2), { intervalMs: MINUTE, lastRunAt: 123, nextRunAt: 2 * MINUTE });
+  busy = false;
+  t.mock.timers.tick(MINUTE);
+  assert.strictEqual(getSchedule(2).lastRunAt, 2 * MINUTE);
+});
+
+test('clearing or replacing a schedule stops its timer', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.after(clearAllSchedules);
+  let runs = 0;
+  const changes = [];
+  setSchedule(3, MINUTE, { run: () => ++runs > 0, onChange: (id, value) => changes.push(value) });
+  setSchedule(3, 2 * MINUTE, { run: () => ++runs > 0 });
+  t.mock.timers.tick(MINUTE);
+  assert.strictEqual(runs, 0);
+  assert.strictEqual(getSchedule(3).intervalMs, 2 * MINUTE);
+  // Replacing does not report the old schedule as cleared
+  assert.strictEqual(changes.length, 1);
+
+  const cleared = [];
+  setSchedule(4, MINUTE, { run: () => ++runs > 0, onChange: (id, value) => cleared.push(value) });
+  clearSchedule(4);
+  assert.strictEqual(cleared[cleared.length - 1], null);
+  assert.strictEqual(getSchedule(4), null);
+  clearAllSchedules();
+  t.mock.timers.tick(10 * MINUTE);
+  assert.strictEqual(runs, 0);
+  assert.strictEqual(getSchedule(3), null);
+});
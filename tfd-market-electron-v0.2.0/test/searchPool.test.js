@@ -0,0 +1,120 @@
+// searchPool.test.js
+// Checks the concurrency limit, the FIFO queue and window reuse of the
+// search pool with stand-in windows. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  configureSearchPool,
+  setConcurrency,
+  requestSearchSlot,
+  releaseSearchSlot,
+  cancelQueuedSearch,
+  getQueuePosition,
+  closeIdleWindows
+} = require('../searchPool');
+
+// The pool is module state shared by all tests, so each test uses its own
+// search IDs and releases every slot it took.
+let windowCount = 0;
+const queueReports = [];
+
+/** Stand-in for a hidden BrowserWindow. */
+function fakeWindow() {
+  windowCount++;
+  const win = {
+    name: `window-${windowCount}`,
+    closed: false,
+    isDestroyed: () => win.closed,
+    close: () => { win.closed = true; },
+    destroy: () => { win.closed = true; },
+    webContents: { stop: () => {} }
+  };
+  return win;
+}
+
+configureSearchPool({
+  concurrency: 2,
+  createWindow: fakeWindow,
+  onQueueChange: (queued) => queueReports.push(queued)
+});
+
+test('queues searches beyond the concurrency limit in order', () => {
+  const started = [];
+  const start = (id) => (win) => started.push([id, win]);
+  assert.strictEqual(requestSearchSlot(1, start(1)), 0);
+  assert.strictEqual(requestSearchSlot(2, start(2)), 0);
+  assert.strictEqual(requestSearchSlot(3, start(3)), 1);
+  assert.strictEqual(requestSearchSlot(4, start(4)), 2);
+  assert.deepStrictEqual(started.map(([id]) => id), [1, 2]);
+  assert.deepStrictEqual(queueReports[queueReports.length - 1], [{ id: 3, position: 1 }, { id: 4, position: 2 }]);
+  assert.throws(() => requestSearchSlot(3, start(3)), /already holds or awaits a slot/);
+
+  // A finished run hands its window to the next queued search
+  const firstWindow = started[0][1];
+  releaseSearchSlot(1, firstWindow);
+  assert.deepStrictEqual(started.map(([id]) => id), [1, 2, 3]);
+  assert.strictEqual(started[2][1], firstWindow);
+  assert.strictEqual(getQueuePosition(4), 1);
+  assert.deepStrictEqual(queueReports[queueReports.length - 1], [{ id: 4, position: 1 }]);
+
+  // A closed window is not reused
+  releaseSearchSlot(2, null);
+  assert.deepStrictEqual(started.map(([id]) => id), [1, 2, 3, 4]);
+  assert.notStrictEqual(started[3][1], firstWindow);
+  assert.strictEqual(getQueuePosition(4), 0);
+
+  releaseSearchSlot(3, started[2][1]);
+  releaseSearchSlot(4, started[3][1]);
+  closeIdleWindows();
+});
+
+test('a queued search can be cancelled before it starts', () => {
+  const started = [];
+  const start = (id) => () => started.push(id);
+  requestSearchSlot(11, start(11));
+  requestSearchSlot(12, start(12));
+  requestSearchSlot(13, start(13));
+  requestSearchSlot(14, start(14));
+  assert.strictEqual(cancelQueuedSearch(13), true);
+  assert.strictEqual(cancelQueuedSearch(13), false);
+  assert.strictEqual(getQueuePosition(14), 1);
+  releaseSearchSlot(11, null);
+  assert.deepStrictEqual(started, [11, 12, 14]);
+  releaseSearchSlot(12, null);
+  releaseSearchSlot(14, null);
+  // Releasing a search without a slot does nothing
+  releaseSearchSlot(13, null);
+});
+
+test('raising the limit starts queued searches', () => {
+  const started = [];
+  const start = (id) => () => started.push(id);
+  [21, 22, 23, 24].forEach(id => requestSearchSlot(id, start(id)));
+  assert.deepStrictEqual(started, [21, 22]);
+  setConcurrency(3);
+  assert.deepStrictEqual(started, [21, 22, 23]);
+  // An invalid limit falls back to the default of two
+  setConcurrency(0);
+  [21, 22, 23, 24].forEach(id => releaseSearchSlot(id, null));
+  assert.deepStrictEqual(started, [21, 22, 23, 24]);
+});
+
+test('keeps at most one idle window per slot', () => {
+  const windows = [];
+  const start = (win) => windows.push(win);
+  [31, 32].forEach(id => requestSearchSlot(id, start));
+  // Lowering the limit leaves room for fewer idle windows
+  setConcurrency(1);
+  releaseSearchSlot(31, windows[0]);
+  releaseSearchSlot(32, windows[1]);
+  assert.strictEqual(windows[0].closed, false);
+  assert.strictEqual(windows[1].closed, true);
+  requestSearchSlot(33, start);
+  assert.strictEqual(windows[2], windows[0]);
+  releaseSearchSlot(33, windows[2]);
+  closeIdleWindows();
+  assert.ok(windows.every(win => win.closed));
+  setConcurrency(2);
+});
@@ -0,0 +1,61 @@
+// searchStore.test.js
+// Checks how searches are saved, listed and pruned. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  initSearchStore,
+  readRecords,
+  saveSearchRecord,
+  listSearchRecords,
+  getSearchRecord,
+  listModuleNames
+} = require('../searchStore');
+
+function useTempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfd-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  initSearchStore(dir);
+  return dir;
+}
+
+function record(searchId, startedAt, fields) {
+  return {
+    searchId,
+    filters: { moduleType: 'ancestor' },
+    status: 'finished',
+    startedAt,
+    finishedAt: startedAt + 1000,
+    listings: [],
+    ...fields
+  };
+}
+
+test('lists saved searches newest first with their listing counts', async (t) => {
+  useTempStore(t);
+  await saveSearchRecord(record(1, 1000, { listings: [{ name: 'Ancestral Singularity' }] }));
+  const saved = await saveSearchRecord(record(2, 2000, { filters: { moduleType: 'trigger' }, listings: [{ name: 'Flame Trigger' }, { name: 'Burn Trigger' }] }));
+  assert.strictEqual(saved.recordId, '2000-2');
+  const list = await listSearchRecords();
+  assert.deepStrictEqual(list.map(summary => [summary.recordId, summary.count, summary.listings]), [['2000-2', 2, undefined], ['1000-1', 1, undefined]]);
+  assert.strictEqual((await getSearchRecord('1000-1')).listings[0].name, 'Ancestral Singularity');
+  assert.strictEqual(await getSearchRecord('missing'), null);
+  assert.deepStrictEqual(await listModuleNames('trigger'), ['Burn Trigger', 'Flame Trigger']);
+  assert.deepStrictEqual(await listModuleNames(), ['Ancestral Singularity', 'Burn Trigger', 'Flame Trigger']);
+});
+
+test('keeps the newest 500 searches once 50 more were saved', async (t) => {
+  const dir = useTempStore(t);
+  for (let i = 1; i <= 550; i++) await saveSearchRecord(record(i, i));
+  assert.strictEqual((await readRecords()).length, 550);
+  await saveSearchRecord(record(551, 551));
+  const records = await readRecords();
+  assert.strictEqual(records.length, 500);
+  assert.strictEqual(records[0].recordId, '52-52');
+  const lines = fs.readFileSync(path.join(dir, 'search-history.jsonl'), 'utf8').trim().split('\n');
+  assert.strictEqual(lines.length, 500);
+});
@@ -0,0 +1,72 @@
+// settingsStore.test.js
+// Checks how settings are validated, stored and overridden. Run with
+// `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  validateSetting,
+  initSettings,
+  getSetting,
+  getSettings,
+  updateSettings,
+  resetSettings
+} = require('../settingsStore');
+
+test('validates integers against their bounds', () => {
+  assert.deepStrictEqual(validateSetting('scrollDelayMs', '800'), { value: 800, error: null });
+  assert.deepStrictEqual(validateSetting('scrollDelayMs', 800), { value: 800, error: null });
+  assert.match(validateSetting('scrollDelayMs', 50).error, /from 100 to 10000/);
+  assert.match(validateSetting('scrollDelayMs', '7.5').error, /whole number/);
+  assert.match(validateSetting('scrollDelayMs', '').error, /whole number/);
+});
+
+test('validates enums, booleans and URLs', () => {
+  assert.strictEqual(validateSetting('captureMode', 'network').error, null);
+  assert.match(validateSetting('captureMode', 'xhr').error, /one of dom, network/);
+  assert.deepStrictEqual(validateSetting('apiEnabled', 'true'), { value: true, error: null });
+  assert.match(validateSetting('apiEnabled', 'yes').error, /true or false/);
+  assert.deepStrictEqual(validateSetting('marketUrl', ' '), { value: '', error: null });
+  assert.strictEqual(validateSetting('marketUrl', 'http://localhost:4780/market').error, null);
+  assert.match(validateSetting('marketUrl', 'file:///etc/passwd').error, /http/);
+  assert.strictEqual(validateSetting('noSuchSetting', 1).error, 'Unknown setting');
+});
+
+test('stores changed values and drops invalid ones from the file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfd-settings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify({ scrollDelayMs: 5, stableIterations: 4 }));
+  const messages = [];
+  initSettings(dir, {}, (message) => messages.push(message));
+  assert.strictEqual(getSetting('scrollDelayMs'), 700);
+  assert.strictEqual(getSetting('stableIterations'), 4);
+  assert.strictEqual(messages.length, 1);
+
+  // Nothing is saved while any value is invalid
+  const rejected = await updateSettings({ scrollDelayMs: 900, apiPort: 80 });
+  assert.deepStrictEqual(Object.keys(rejected.errors), ['apiPort']);
+  assert.strictEqual(getSetting('scrollDelayMs'), 700);
+
+  // Values equal to their default are left out of the file
+  const { errors } = await updateSettings({ scrollDelayMs: '900', stableIterations: 3 });
+  assert.deepStrictEqual(errors, {});
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'settings.json'), 'utf8'));
+  assert.deepStrictEqual(saved, { scrollDelayMs: 900 });
+  assert.ok(!fs.existsSync(path.join(dir, 'settings.json.tmp')));
+
+  await resetSettings();
+  assert.strictEqual(getSetting('scrollDelayMs'), 700);
+});
+
+test('session overrides win over stored values and are reported', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfd-settings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify({ maxConcurrentSearches: 3 }));
+  initSettings(dir, { maxConcurrentSearches: '5', locale: undefined });
+  assert.strictEqual(getSetting('maxConcurrentSearches'), 5);
+  assert.deepStrictEqual(getSettings().overridden, ['maxConcurrentSearches']);
+});
@@ -0,0 +1,100 @@
+// watchRules.test.js
+// Checks the profile filter shared by the helper and watch rules against
+// hand-made listings. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { matchesProfile } = require('../watchRules');
+
+const ancestor = {
+  name: 'Ancestral Singularity',
+  price: '1,500',
+  requiredRank: '12',
+  rerollCount: '-',
+  sellerName: 'BunnyMain',
+  sellerStatus: 'Online',
+  regDate: '4 hours ago',
+  ageHours: 4,
+  attributes: ['Skill Power Boost Ratio', 'Max HP'],
+  stats: [
+    { raw: '(+) Skill Power Boost Ratio [4.0~18.0]% 12.5%', value: '12.5%', negative: false },
+    { raw: '(-) Max HP [-9.0~-3.0]% -6.0%', value: '-6.0%', negative: true }
+  ]
+};
+
+const trigger = {
+  name: 'Flame Trigger',
+  price: '300',
+  sellerName: 'Ember',
+  sellerStatus: 'Offline',
+  regDate: '2 days ago',
+  stats: [{ raw: 'Burn Chance (%) 35.0', value: '35.0' }]
+};
+
+test('an empty profile matches every listing', () => {
+  assert.strictEqual(matchesProfile(ancestor, {}), true);
+  assert.strictEqual(matchesProfile(trigger, {}, { triggerMode: true }), true);
+});
+
+test('requires each selected attribute within its range', () => {
+  assert.strictEqual(matchesProfile(ancestor, { attributes: ['Skill Power Boost Ratio'] }), true);
+  assert.strictEqual(matchesProfile(ancestor, { attributes: ['Skill Cooldown'] }), false);
+  const ranges = (min, max) => ({ 'Skill Power Boost Ratio': { min, max } });
+  assert.strictEqual(matchesProfile(ancestor, { attributes: ['Skill Power Boost Ratio'], attributeRanges: ranges(10, 15) }), true);
+  assert.strictEqual(matchesProfile(ancestor, { attributes: ['Skill Power Boost Ratio'], attributeRanges: ranges(13, null) }), false);
+  assert.strictEqual(matchesProfile(ancestor, { attributes: ['Skill Power Boost Ratio'], attributeRanges: ranges(null, 12) }), false);
+});
+
+test('excludes listings with a selected negative attribute', () => {
+  assert.strictEqual(matchesProfile(ancestor, { negAttributes: ['(-) Max HP'] }), false);
+  assert.strictEqual(matchesProfile(ancestor, { negAttributes: ['(-) DEF'] }), true);
+});
+
+test('applies price bounds and keeps listings without a readable price', () => {
+  assert.strictEqual(matchesProfile(ancestor, { priceMin: 1000, priceMax: 2000 }), true);
+  assert.strictEqual(matchesProfile(ancestor, { priceMax: 1499 }), false);
+  assert.strictEqual(matchesProfile({ ...ancestor, price: '' }, { priceMax: 10 }), true);
+});
+
+test('MR and reroll bounds apply only outside trigger mode', () => {
+  assert.strictEqual(matchesProfile(ancestor, { mrMin: 13 }), false);
+  assert.strictEqual(matchesProfile(ancestor, { mrMax: 12 }), true);
+  // A '-' reroll count reads as 0
+  assert.strictEqual(matchesProfile(ancestor, { rerollMax: 0 }), true);
+  assert.strictEqual(matchesProfile(ancestor, { rerollMin: 1 }), false);
+  assert.strictEqual(matchesProfile(trigger, { mrMin: 13 }, { triggerMode: true }), true);
+});
+
+test('matches status and seller name without regard to case', () => {
+  assert.strictEqual(matchesProfile(ancestor, { statuses: ['online'] }), true);
+  assert.strictEqual(matchesProfile(ancestor, { statuses: ['Offline'] }), false);
+  assert.strictEqual(matchesProfile(ancestor, { seller: 'bunny' }), true);
+  assert.strictEqual(matchesProfile(ancestor, { seller: 'ember' }), false);
+});
+
+test('applies age bounds and falls back to the English label', () => {
+  assert.strictEqual(matchesProfile(ancestor, { ageHoursMax: 4 }), true);
+  assert.strictEqual(matchesProfile(ancestor, { ageHoursMax: 3 }), false);
+  assert.strictEqual(matchesProfile(trigger, { ageMin: 2, ageMax: 2 }), true);
+  assert.strictEqual(matchesProfile(trigger, { ageHoursMax: 24 }), false);
+  assert.strictEqual(matchesProfile({ ...trigger, regDate: '1 day ago' }, { ageHoursMax: 24 }), true);
+  // A listing of unknown age fails a set bound
+  assert.strictEqual(matchesProfile({ ...ancestor, ageHours: undefined, regDate: '' }, { ageMax: 30 }), false);
+});
+
+test('module names filter ancestors only', () => {
+  assert.strictEqual(matchesProfile(ancestor, { moduleNames: ['Ancestral Singularity'] }), true);
+  assert.strictEqual(matchesProfile(ancestor, { moduleNames: ['Other'] }), false);
+  assert.strictEqual(matchesProfile(trigger, { moduleNames: ['Other'] }, { triggerMode: true }), true);
+});
+
+test('trigger attribute ranges apply in trigger mode', () => {
+  const state = { triggerFilters: { 'Burn Chance': { min: 30, max: null } } };
+  assert.strictEqual(matchesProfile(trigger, state, { triggerMode: true }), true);
+  state.triggerFilters['Burn Chance'].min = 40;
+  assert.strictEqual(matchesProfile(trigger, state, { triggerMode: true }), false);
+  assert.strictEqual(matchesProfile(trigger, state), true);
+  // A listing without the attribute fails a set bound
+  assert.strictEqual(matchesProfile(trigger, { triggerFilters: { Duration: { min: 1 } } }, { triggerMode: true }), false);
+});
@@ -0,0 +1,174 @@
+// wait.js
+// Condition-based waiting for the hidden search windows. Instead of
+// sleeping for a fixed amount of time after each interaction with the
+// market page, runSearch polls a small predicate script inside the page
+// until the DOM reaches the expected state or the step's timeout expires.
+
+/**
+ * Poll a predicate script inside the given webContents until it returns a
+ * truthy value or the timeout expires. Errors thrown while evaluating the
+ * script (for example while the page is navigating) count as "not yet".
+ *
+ * When `settle` is set, the predicate must keep returning the same truthy
+ * value for that many milliseconds before the condition counts as met.
+ * Predicates return a signature of the state they observed so that a page
+ * which is still changing does not satisfy the wait on its first poll.
+ *
+ * @param {Electron.WebContents} webContents
+ * @param {string} script Expression evaluated in the page
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] Maximum time to wait in ms
+ * @param {number} [options.interval=250] Delay between polls in ms
+ * @param {number} [options.settle=0] Time the result must stay unchanged
+ * @param {AbortSignal} [options.signal] Stops waiting when the search is
+ *   cancelled; the promise then rejects with the signal's reason
+ * @returns {Promise<{met: boolean, elapsed: number}>}
+ */
+async function waitForCondition(webContents, script, options = {}) {
+  const timeout = options.timeout || 10000;
+  const interval = options.interval || 250;
+  const settle = options.settle || 0;
+  const start = Date.now();
+  let lastValue = null;
+  let since = 0;
+  while (true) {
+    if (options.signal) options.signal.throwIfAborted();
+    if (webContents.isDestroyed()) {
+      return { met: false, elapsed: Date.now() - start };
+    }
+    let value = false;
+    try {
+      value = await webContents.executeJavaScript(script, true);
+    } catch (err) {
+      value = false;
+    }
+    const now = Date.now();
+    if (value) {
+      if (value !== lastValue) {
+        lastValue = value;
+        since = now;
+      }
+      if (now - since >= settle) {
+        return { met: true, elapsed: now - start };
+      }
+    } else {
+      lastValue = null;
+    }
+    if (now - start >= timeout) {
+      return { met: false, elapsed: now - start };
+    }
+    await sleep(interval, options.signal);
+  }
+}
+
+/**
+ * Wait for `ms` milliseconds. With a signal the wait ends early, and the
+ * promise rejects with the signal's reason, when the signal is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Page-side snippet that sets `loaderVisible` when any loader element is
+// currently rendered. Shared by the predicates below.
+function loaderCheck(selectors) {
+  return `
+    const loaderVisible = Array.from(document.querySelectorAll(${JSON.stringify(selectors.loader)}))
+      .some(el => el.offsetParent !== null);`;
+}
+
+// Page-side snippet that sets `signature` to a short description of the
+// currently rendered result list.
+function signatureCheck(selectors) {
+  return `
+    const items = document.querySelectorAll(${JSON.stringify(selectors.item)});
+    const first = items[0] ? items[0].textContent.replace(/\\s+/g, ' ').trim().slice(0, 200) : '';
+    const signature = items.length + '|' + first;`;
+}
+
+/**
+ * Build a script returning a signature of the current result list. Used to
+ * remember the list before an interaction so a later wait can detect that
+ * it changed.
+ * @param {Object} selectors Active selector map (see selectorProfile.js)
+ * @returns {string}
+ */
+function itemsSignatureScript(selectors) {
+  return `(() => {${signatureCheck(selectors)}
+    return signature;
+  })()`;
+}
+
+/**
+ * Build a predicate that is met once the loader is no longer visible.
+ * @param {Object} selectors Active selector map
+ * @returns {string}
+ */
+function loaderHiddenScript(selectors) {
+  return `(() => {${loaderCheck(selectors)}
+    return !loaderVisible;
+  })()`;
+}
+
+/**
+ * Build a predicate that is met once the given dropdown shows `value` as
+ * its selection and the loader has disappeared.
+ * @param {Object} selectors Active selector map
+ * @param {string} dropdownSelector Selector of the dropdown root element
+ * @param {string|Array<string>} value Option text fragment that should be
+ *   selected, or several of which any one will do
+ * @returns {string}
+ */
+function dropdownAppliedScript(selectors, dropdownSelector, value) {
+  const values = [].concat(value).map(v => String(v || '').toLowerCase());
+  return `(() => {
+    const values = ${JSON.stringify(values)};
+    const root = document.querySelector(${JSON.stringify(dropdownSelector)});
+    if (!root) return false;
+    const btn = root.querySelector(${JSON.stringify(selectors.dropdownButton)});
+    const label = btn ? btn.textContent.toLowerCase() : '';
+    const selected = root.querySelector(${JSON.stringify(selectors.dropdownSelectedOption)});
+    const selectedLabel = selected ? selected.textContent.toLowerCase() : null;
+    const applied = values.some(value => label.includes(value) || (selectedLabel !== null && selectedLabel.includes(value)));${loaderCheck(selectors)}${signatureCheck(selectors)}
+    return applied && !loaderVisible ? signature : false;
+  })()`;
+}
+
+/**
+ * Build a predicate that is met once the result list differs from
+ * `previousSignature` and the loader has disappeared.
+ * @param {Object} selectors Active selector map
+ * @param {string} previousSignature Value returned by itemsSignatureScript
+ * @returns {string}
+ */
+function itemsChangedScript(selectors, previousSignature) {
+  return `(() => {${loaderCheck(selectors)}${signatureCheck(selectors)}
+    return signature !== ${JSON.stringify(previousSignature || '')} && !loaderVisible ? signature : false;
+  })()`;
+}
+
+module.exports = {
+  waitForCondition,
+  sleep,
+  itemsSignatureScript,
+  loaderHiddenScript,
+  dropdownAppliedScript,
+  itemsChangedScript
+};
@@ -0,0 +1,188 @@
+// watchRules.js
+// Decides whether a listing passes a saved filter profile: attributes with
+// ranges, excluded negative attributes, price, MR, rerolls, seller status,
+// age, seller name, module names and trigger attribute ranges. Category,
+// socket and platform chips are not part of a profile and are ignored.
+//
+// Like parsers.js this file works both in the page (as
+// window.TFDWatchRules), where helper.js' updateResults filters the shown
+// listings with it, and from Node, where main.js evaluates a profile used
+// as a watch rule after each run of a recurring search. In the page,
+// locales.js must be loaded first.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./locales'));
+  } else {
+    root.TFDWatchRules = factory(root.TFDLocales);
+  }
+})(typeof self !== 'undefined' ? self : this, function (locales) {
+  const ENGLISH = locales.getLocale(locales.DEFAULT_LOCALE);
+
+  /** Whether a profile bound is set; profiles store unset bounds as null. */
+  function isSet(value) {
+    return value !== null && value !== undefined && value !== '' && !isNaN(value);
+  }
+
+  /**
+   * Numeric value of each ancestor attribute. Prefers the rolled value and
+   * falls back to the average of the range, as helper.js does.
+   * @param {Object} mod
+   * @returns {Object<string, number|null>}
+   */
+  function attributeValues(mod) {
+    const values = {};
+    (mod.stats || []).forEach(stat => {
+      const raw = (stat.raw || '').trim();
+      if (!raw) return;
+      const parts = raw.split(/\s+/);
+      const lastToken = parts.pop();
+      let label = parts.join(' ');
+      if (label.startsWith('(+)') || label.startsWith('(-)')) {
+        label = label.slice(3);
+      }
+      const attrName = label.split('[')[0].trim();
+      if (!attrName) return;
+      let value = null;
+      const valueMatch = (stat.value || '').trim().match(/-?[0-9]+(?:\.[0-9]+)?/);
+      if (valueMatch) value = parseFloat(valueMatch[0]);
+      if (value === null) {
+        const numbers = (lastToken.match(/-?[0-9]+(?:\.[0-9]+)?/g) || []).map(parseFloat).filter(n => !isNaN(n));
+        if (numbers.length > 0) value = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+      }
+      values[attrName] = value;
+    });
+    return values;
+  }
+
+  /**
+   * Names of the negative attributes of an ancestor listing, in the same
+   * form the helper's negative attribute filter stores them.
+   * @param {Object} mod
+   * @returns {Array<string>}
+   */
+  function negativeAttributes(mod) {
+    const names = [];
+    (mod.stats || []).forEach(stat => {
+      if (!stat.negative) return;
+      const parts = (stat.raw || '').trim().split(/\s+/);
+      parts.pop();
+      const attrName = parts.join(' ').split('[')[0].trim();
+      if (attrName) names.push(attrName);
+    });
+    return names;
+  }
+
+  /**
+   * Numeric value of each trigger attribute.
+   * @param {Object} mod
+   * @returns {Object<string, number|null>}
+   */
+  function triggerValues(mod) {
+    const values = {};
+    (mod.stats || []).forEach(stat => {
+      const raw = (stat.raw || '').trim();
+      if (!raw) return;
+      const parts = raw.split(/\s+/);
+      const valueStr = parts.pop();
+      const attrName = parts.join(' ').split('(')[0].trim();
+      const match = valueStr.match(/([0-9]+(?:\.[0-9]+)?)/);
+      values[attrName] = match ? parseFloat(match[1]) : null;
+    });
+    return values;
+  }
+
+  /**
+   * Age of a listing. Uses the age the parsers read in the market's
+   * language (`ageHours`), falling back to the English registration label
+   * ("4 days ago", "19 hours ago") for listings saved without one.
+   * @param {Object} mod
+   * @returns {{days: number|null, hours: number|null}}
+   */
+  function parseAge(mod) {
+    const hours = typeof mod.ageHours === 'number' ? mod.ageHours : locales.ageInHours(mod.regDate, ENGLISH);
+    if (hours === null) return { days: null, hours: null };
+    return { days: hours / 24, hours };
+  }
+
+  /** Parse a rank or reroll label into an integer, or null. */
+  function parseCount(value, dashIsZero) {
+    if (value === undefined || value === null || value === '') return null;
+    const cleaned = value.toString().trim();
+    if (dashIsZero && (cleaned === '-' || cleaned === '')) return 0;
+    const parsed = parseInt(cleaned.replace(/[^0-9]/g, ''), 10);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /** Whether `value` lies within [min, max]; a missing value fails a set bound. */
+  function withinBounds(value, min, max) {
+    if (isSet(min) && (value === null || value < min)) return false;
+    if (isSet(max) && (value === null || value > max)) return false;
+    return true;
+  }
+
+  /**
+   * Test a listing against a saved filter profile.
+   * @param {Object} mod Listing as produced by parsers.js
+   * @param {Object} state Profile state from profileManager.getState()
+   * @param {Object} [options]
+   * @param {boolean} [options.triggerMode] Evaluate as a trigger search:
+   *   MR, reroll and module name filters are skipped and trigger ranges apply
+   * @returns {boolean}
+   */
+  function matchesProfile(mod, state, options = {}) {
+    const triggerMode = !!options.triggerMode;
+    // Attributes: the listing must have each one, within its range if a
+    // value is known
+    const attrValues = attributeValues(mod);
+    const ranges = state.attributeRanges || {};
+    for (const attr of state.attributes || []) {
+      if (!mod.attributes || !mod.attributes.includes(attr)) return false;
+      const range = ranges[attr] || {};
+      const val = attrValues[attr];
+      if (val === null || val === undefined) continue;
+      if (isSet(range.min) && val < range.min) return false;
+      if (isSet(range.max) && val > range.max) return false;
+    }
+    // Excluded negative attributes
+    const negatives = negativeAttributes(mod);
+    if ((state.negAttributes || []).some(attr => negatives.includes(attr))) return false;
+    // Price; listings without a readable price are not excluded
+    const price = parseFloat((mod.price || '').replace(/[^0-9.]/g, ''));
+    if (!isNaN(price)) {
+      if (isSet(state.priceMin) && price < state.priceMin) return false;
+      if (isSet(state.priceMax) && price > state.priceMax) return false;
+    }
+    if (!triggerMode) {
+      if (!withinBounds(parseCount(mod.requiredRank, false), state.mrMin, state.mrMax)) return false;
+      if (!withinBounds(parseCount(mod.rerollCount, true), state.rerollMin, state.rerollMax)) return false;
+    }
+    // Seller status (case-insensitive)
+    const statuses = state.statuses || [];
+    if (statuses.length > 0) {
+      const current = (mod.sellerStatus || '').toLowerCase();
+      if (!statuses.some(s => s.toLowerCase() === current)) return false;
+    }
+    // Age in days and in hours
+    const age = parseAge(mod);
+    if (!withinBounds(age.days, state.ageMin, state.ageMax)) return false;
+    if (!withinBounds(age.hours, state.ageHoursMin, state.ageHoursMax)) return false;
+    // Seller name (case-insensitive contains)
+    if (state.seller && !(mod.sellerName || '').toLowerCase().includes(state.seller.toLowerCase())) return false;
+    if (triggerMode && state.triggerFilters) {
+      const values = triggerValues(mod);
+      for (const attr in state.triggerFilters) {
+        const range = state.triggerFilters[attr] || {};
+        const value = values[attr] === undefined ? null : values[attr];
+        if (!withinBounds(value, range.min, range.max)) return false;
+      }
+    }
+    const moduleNames = state.moduleNames || [];
+    if (!triggerMode && moduleNames.length > 0 && !moduleNames.includes(mod.name)) return false;
+    return true;
+  }
+
+  return {
+    matchesProfile
+  };
+});